@@ -0,0 +1,247 @@
+// Audio file encoders for bounced takes (bounce.js): PCM WAV at 16 or 24 bit, and Opus
+// in WebM where the browser has a WebCodecs AudioEncoder for it. Both work on a plain
+// AudioBuffer and need no audio output or MediaRecorder, so they run offline.
+
+export const AUDIO_FORMATS = {
+  wav16: { label: 'WAV 16-bit', extension: 'wav', mimeType: 'audio/wav' },
+  wav24: { label: 'WAV 24-bit', extension: 'wav', mimeType: 'audio/wav' },
+  webm: { label: 'WebM (Opus)', extension: 'webm', mimeType: 'audio/webm' }
+};
+
+export const OPUS_SAMPLE_RATE = 48000; // Opus only runs at 48 kHz; render at this rate for WebM
+const OPUS_BITRATE = 192000;
+const OPUS_FRAME = 960; // 20 ms
+const CLUSTER_MS = 5000; // block timecodes are 16-bit offsets from their cluster
+
+// --- WAV ---
+
+export function encodeWav(buffer, { bitDepth = 16 } = {}) {
+  const channels = buffer.numberOfChannels;
+  const bytesPerSample = bitDepth / 8;
+  const frames = buffer.length;
+  const dataSize = frames * channels * bytesPerSample;
+  const bytes = new Uint8Array(44 + dataSize);
+  const view = new DataView(bytes.buffer);
+  const writeTag = (offset, tag) => [...tag].forEach((ch, i) => { bytes[offset + i] = ch.charCodeAt(0); });
+
+  writeTag(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * channels * bytesPerSample, true);
+  view.setUint16(32, channels * bytesPerSample, true);
+  view.setUint16(34, bitDepth, true);
+  writeTag(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const data = Array.from({ length: channels }, (_, c) => buffer.getChannelData(c));
+  const max = Math.pow(2, bitDepth - 1) - 1;
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      const value = Math.round(Math.max(-1, Math.min(1, data[c][i])) * max);
+      if (bitDepth === 16) {
+        view.setInt16(offset, value, true);
+      } else {
+        bytes[offset] = value & 0xff;
+        bytes[offset + 1] = (value >> 8) & 0xff;
+        bytes[offset + 2] = (value >> 16) & 0xff;
+      }
+      offset += bytesPerSample;
+    }
+  }
+  return bytes;
+}
+
+// --- WebM (Opus) ---
+
+const opusConfig = channels => ({ codec: 'opus', sampleRate: OPUS_SAMPLE_RATE, numberOfChannels: channels, bitrate: OPUS_BITRATE });
+
+export async function webmSupported(channels = 2) {
+  if (typeof AudioEncoder !== 'function' || typeof AudioData !== 'function') return false;
+  try {
+    return !!(await AudioEncoder.isConfigSupported(opusConfig(channels))).supported;
+  } catch {
+    return false;
+  }
+}
+
+function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  parts.forEach(part => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
+
+// Big-endian unsigned integer in the fewest bytes (at least one)
+function uintBytes(value) {
+  const out = [];
+  do {
+    out.unshift(value % 256);
+    value = Math.floor(value / 256);
+  } while (value > 0);
+  return Uint8Array.from(out);
+}
+
+// EBML data size: a length marker bit followed by the value
+function sizeBytes(size) {
+  let length = 1;
+  while (size >= Math.pow(2, 7 * length) - 1) length++;
+  const out = new Uint8Array(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i--) {
+    out[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  out[0] |= 0x80 >> (length - 1);
+  return out;
+}
+
+// id is the element id including its marker bits, e.g. 0x1A45DFA3
+function element(id, payload) {
+  const data = payload instanceof Uint8Array ? payload : concatBytes(payload);
+  return concatBytes([uintBytes(id), sizeBytes(data.length), data]);
+}
+
+const uintElement = (id, value) => element(id, uintBytes(value));
+const stringElement = (id, text) => element(id, Uint8Array.from([...text].map(ch => ch.charCodeAt(0))));
+function floatElement(id, value) {
+  const data = new Uint8Array(8);
+  new DataView(data.buffer).setFloat64(0, value);
+  return element(id, data);
+}
+
+// Opus identification header (RFC 7845), for encoders that do not supply one
+function opusHead(channels, sampleRate) {
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  [...'OpusHead'].forEach((ch, i) => { head[i] = ch.charCodeAt(0); });
+  head[8] = 1; // version
+  head[9] = channels;
+  view.setUint16(10, 0, true); // pre-skip
+  view.setUint32(12, sampleRate, true);
+  return head;
+}
+
+// packets: [{ timestamp (µs), data }]
+function muxWebm(packets, { channels, duration, codecPrivate }) {
+  const header = element(0x1A45DFA3, [
+    uintElement(0x4286, 1), // EBMLVersion
+    uintElement(0x42F7, 1), // EBMLReadVersion
+    uintElement(0x42F2, 4), // EBMLMaxIDLength
+    uintElement(0x42F3, 8), // EBMLMaxSizeLength
+    stringElement(0x4282, 'webm'), // DocType
+    uintElement(0x4287, 2), // DocTypeVersion
+    uintElement(0x4285, 2) // DocTypeReadVersion
+  ]);
+  const info = element(0x1549A966, [
+    uintElement(0x2AD7B1, 1000000), // TimecodeScale: 1 ms
+    stringElement(0x4D80, 'Virtual Piano'), // MuxingApp
+    stringElement(0x5741, 'Virtual Piano'), // WritingApp
+    floatElement(0x4489, duration * 1000) // Duration (ms)
+  ]);
+  const tracks = element(0x1654AE6B, [
+    element(0xAE, [
+      uintElement(0xD7, 1), // TrackNumber
+      uintElement(0x73C5, 1), // TrackUID
+      uintElement(0x83, 2), // TrackType: audio
+      stringElement(0x86, 'A_OPUS'),
+      element(0x63A2, codecPrivate),
+      uintElement(0x56BB, 80000000), // SeekPreRoll: 80 ms
+      element(0xE1, [
+        floatElement(0xB5, OPUS_SAMPLE_RATE),
+        uintElement(0x9F, channels)
+      ])
+    ])
+  ]);
+
+  const clusters = [];
+  let blocks = [];
+  let clusterTime = 0;
+  const closeCluster = () => {
+    if (blocks.length > 0) clusters.push(element(0x1F43B675, [uintElement(0xE7, clusterTime), ...blocks]));
+    blocks = [];
+  };
+  packets.forEach(packet => {
+    const time = Math.round(packet.timestamp / 1000);
+    if (blocks.length === 0 || time - clusterTime >= CLUSTER_MS) {
+      closeCluster();
+      clusterTime = time;
+    }
+    const block = new Uint8Array(4 + packet.data.length);
+    block[0] = 0x81; // track 1
+    new DataView(block.buffer).setInt16(1, time - clusterTime);
+    block[3] = 0x80; // keyframe
+    block.set(packet.data, 4);
+    blocks.push(element(0xA3, block)); // SimpleBlock
+  });
+  closeCluster();
+
+  return concatBytes([header, element(0x18538067, [info, tracks, ...clusters])]);
+}
+
+// Encode a 48 kHz AudioBuffer as Opus in WebM (check webmSupported() first)
+export async function encodeWebm(buffer) {
+  if (buffer.sampleRate !== OPUS_SAMPLE_RATE) {
+    throw new Error(`WebM export needs a ${OPUS_SAMPLE_RATE} Hz render (got ${buffer.sampleRate} Hz)`);
+  }
+  const channels = buffer.numberOfChannels;
+  const packets = [];
+  let description = null;
+  let failure = null;
+  const encoder = new AudioEncoder({
+    output: (chunk, metadata) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      packets.push({ timestamp: chunk.timestamp, data });
+      const config = metadata?.decoderConfig?.description;
+      if (config) {
+        description = ArrayBuffer.isView(config)
+          ? new Uint8Array(config.buffer, config.byteOffset, config.byteLength).slice()
+          : new Uint8Array(config).slice();
+      }
+    },
+    error: error => { failure = error; }
+  });
+  encoder.configure(opusConfig(channels));
+
+  const data = Array.from({ length: channels }, (_, c) => buffer.getChannelData(c));
+  for (let start = 0; start < buffer.length; start += OPUS_FRAME) {
+    const frames = Math.min(OPUS_FRAME, buffer.length - start);
+    const planar = new Float32Array(frames * channels);
+    data.forEach((channel, c) => planar.set(channel.subarray(start, start + frames), c * frames));
+    const audioData = new AudioData({
+      format: 'f32-planar',
+      sampleRate: OPUS_SAMPLE_RATE,
+      numberOfFrames: frames,
+      numberOfChannels: channels,
+      timestamp: Math.round((start / OPUS_SAMPLE_RATE) * 1e6),
+      data: planar
+    });
+    encoder.encode(audioData);
+    audioData.close();
+  }
+  await encoder.flush();
+  encoder.close();
+  if (failure) throw failure;
+
+  return muxWebm(packets, {
+    channels,
+    duration: buffer.duration,
+    codecPrivate: description || opusHead(channels, OPUS_SAMPLE_RATE)
+  });
+}
+
+// AudioBuffer -> file bytes for a key of AUDIO_FORMATS
+export function encodeAudio(buffer, format) {
+  if (format === 'webm') return encodeWebm(buffer);
+  return Promise.resolve(encodeWav(buffer, { bitDepth: format === 'wav24' ? 24 : 16 }));
+}
@@ -0,0 +1,128 @@
+// Offline bounce: renders a recorded take (recorder.js) to an AudioBuffer through the same
+// instrument voices, mixer channels and master effects as live playing, but on an
+// OfflineAudioContext, so it runs faster than real time and needs no audio output.
+// Nothing here touches the DOM; encoding the result is audioEncoding.js.
+
+import { createSampleVoice } from './instruments.js';
+import { createSynthVoice } from './synth.js';
+import { createMixer, channelForSource, DEFAULT_MIXER } from './mixer.js';
+import { createMasterBus, DEFAULT_EFFECTS } from './effects.js';
+
+export const DEFAULT_BOUNCE = {
+  format: 'wav16', // key of AUDIO_FORMATS (audioEncoding.js)
+  tailSeconds: 3, // rendered after the last note is released, for the release and reverb
+  normalize: true
+};
+
+export const NORMALIZE_PEAK_DB = -1;
+
+const RESTRIKE_FADE = 0.08; // same quick fade the voice allocator uses on a re-strike
+
+const spanKey = (note, source) => `${source}|${note}`;
+
+// Take events -> sounding notes in seconds: { note, midi, velocity, source, start, end, fade }
+// A note released under the pedal rings until the pedal lifts; striking a note that is
+// still sounding ends the previous one with a short fade (fade null = envelope release).
+export function noteSpans(take) {
+  const spans = [];
+  const sounding = new Map(); // spanKey -> span still open (held or sustained)
+  const sustained = new Set(); // spans released while the pedal was down
+  let pedalDown = false;
+
+  const end = (span, time, fade = null) => {
+    span.end = Math.max(span.start, time);
+    span.fade = fade;
+    sounding.delete(spanKey(span.note, span.source));
+    sustained.delete(span);
+  };
+
+  take.events.forEach(event => {
+    const time = event.time / 1000;
+    if (event.type === 'pedal') {
+      pedalDown = event.down;
+      if (!pedalDown) [...sustained].forEach(span => end(span, time));
+      return;
+    }
+    const key = spanKey(event.note, event.source);
+    const open = sounding.get(key);
+    if (event.type === 'noteOn') {
+      if (open) end(open, time, RESTRIKE_FADE);
+      const span = { note: event.note, midi: event.midi, velocity: event.velocity, source: event.source, start: time, end: null, fade: null };
+      spans.push(span);
+      sounding.set(key, span);
+    } else if (event.type === 'noteOff' && open && !sustained.has(open)) {
+      if (pedalDown) sustained.add(open);
+      else end(open, time);
+    }
+  });
+
+  const takeEnd = take.duration / 1000;
+  [...sounding.values()].forEach(span => end(span, takeEnd));
+  return spans;
+}
+
+// Scale a buffer so its loudest sample sits at peakDb; returns the gain applied
+export function normalizeBuffer(buffer, peakDb = NORMALIZE_PEAK_DB) {
+  let peak = 0;
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    for (let i = 0; i < data.length; i++) {
+      const value = Math.abs(data[i]);
+      if (value > peak) peak = value;
+    }
+  }
+  if (peak === 0) return 1;
+  const gain = Math.pow(10, peakDb / 20) / peak;
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    for (let i = 0; i < data.length; i++) data[i] *= gain;
+  }
+  return gain;
+}
+
+// Render a take. getSound(note, velocity) resolves sounds as the instrument manager does;
+// velocityToGain and panForNote match what live playing uses. Returns the AudioBuffer.
+export async function renderTake(take, {
+  getSound,
+  velocityToGain = velocity => velocity / 127,
+  panForNote = () => 0,
+  mixer: mixerSettings = DEFAULT_MIXER,
+  effects = DEFAULT_EFFECTS,
+  sampleRate = 44100,
+  tailSeconds = DEFAULT_BOUNCE.tailSeconds,
+  normalize = DEFAULT_BOUNCE.normalize,
+  createContext = (channels, length, rate) => new OfflineAudioContext(channels, length, rate)
+}) {
+  const spans = noteSpans(take);
+  if (spans.length === 0) throw new Error(`${take.name} has no notes to render`);
+
+  // Sounds first: sample loading is async, scheduling below is not
+  const sounds = await Promise.all(spans.map(span => getSound(span.note, span.velocity)));
+  const lastRelease = spans.reduce((latest, span, i) => {
+    const fade = span.fade ?? sounds[i]?.releaseTime ?? 0;
+    return Math.max(latest, span.end + fade);
+  }, take.duration / 1000);
+  const length = Math.max(1, Math.ceil((lastRelease + Math.max(0, tailSeconds)) * sampleRate));
+
+  const ctx = createContext(2, length, sampleRate);
+  const mixer = createMixer(ctx, mixerSettings);
+  const bus = createMasterBus(ctx, effects, mixer.master);
+  mixer.connectEffects(bus.input);
+  await bus.ready();
+
+  spans.forEach((span, i) => {
+    const sound = sounds[i];
+    if (!sound) return;
+    const channel = mixer.input(channelForSource(span.source));
+    const gain = velocityToGain(span.velocity);
+    const pan = panForNote(span.note);
+    const voice = sound.type === 'synth'
+      ? createSynthVoice(ctx, channel, { frequency: sound.frequency, velocity: span.velocity, gain, preset: sound.preset, envelope: sound.envelope, detune: sound.detune, pan, startTime: span.start })
+      : createSampleVoice(ctx, channel, { sample: sound, gain, pan, startTime: span.start });
+    voice.release(span.fade ?? undefined, span.end);
+  });
+
+  const buffer = await ctx.startRendering();
+  if (normalize) normalizeBuffer(buffer);
+  return buffer;
+}
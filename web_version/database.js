@@ -0,0 +1,55 @@
+// IndexedDB storage for data too large or too structured for localStorage (settings.js):
+// looper layers and the like. One object store of records keyed by name ('looper', ...).
+// Failures are logged and treated as "nothing saved", so the app keeps working without it.
+
+const DB_NAME = 'virtualPiano';
+const DB_VERSION = 1;
+const STORE = 'records';
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      dbPromise = null; // allow a retry later
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+async function run(mode, action) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = action(db.transaction(STORE, mode).objectStore(STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Saved value for a key, or null
+export async function loadRecord(key) {
+  try {
+    return (await run('readonly', store => store.get(key))) ?? null;
+  } catch (e) {
+    console.warn(`Could not read ${key}:`, e);
+    return null;
+  }
+}
+
+export async function saveRecord(key, value) {
+  try {
+    await run('readwrite', store => store.put(value, key));
+  } catch (e) {
+    console.warn(`Could not save ${key}:`, e);
+  }
+}
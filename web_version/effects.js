@@ -0,0 +1,138 @@
+// Master effects bus every voice plays through:
+// input -> 3-band EQ -> dry + convolution reverb -> compressor -> limiter -> destination
+// Built per AudioContext so the same chain can render offline.
+
+export const IMPULSE_RESPONSES = {
+  room: 'impulses/room.wav',
+  hall: 'impulses/hall.wav',
+  plate: 'impulses/plate.wav'
+};
+
+export const DEFAULT_EFFECTS = {
+  reverb: { impulse: 'hall', mix: 0.2 }, // impulse: key of IMPULSE_RESPONSES or 'off'
+  eq: { low: 0, mid: 0, high: 0 }, // gain in dB
+  compressor: { enabled: true, threshold: -18, ratio: 3, attack: 0.01, release: 0.25 },
+  limiter: { enabled: true, ceiling: -1 } // dBFS
+};
+
+const EQ_LOW_FREQ = 250;
+const EQ_MID_FREQ = 1000;
+const EQ_HIGH_FREQ = 4000;
+
+const impulseCache = new Map(); // url -> Promise<AudioBuffer> (buffers can be shared across contexts)
+
+export function loadImpulse(ctx, name) {
+  const url = IMPULSE_RESPONSES[name];
+  if (!url) return Promise.resolve(null);
+  if (!impulseCache.has(url)) {
+    const promise = fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load impulse response ${url} (${response.status})`);
+        }
+        return response.arrayBuffer();
+      })
+      .then(arrayBuffer => ctx.decodeAudioData(arrayBuffer))
+      .catch(error => {
+        impulseCache.delete(url);
+        throw error;
+      });
+    impulseCache.set(url, promise);
+  }
+  return impulseCache.get(url);
+}
+
+const dbToGain = db => Math.pow(10, db / 20);
+
+// Hard clip at the ceiling so nothing the compressor lets through can exceed it
+function makeClipCurve(ceiling) {
+  const curve = new Float32Array(1024);
+  for (let i = 0; i < curve.length; i++) {
+    const x = (i / (curve.length - 1)) * 2 - 1;
+    curve[i] = Math.max(-ceiling, Math.min(ceiling, x));
+  }
+  return curve;
+}
+
+export function createMasterBus(ctx, settings = DEFAULT_EFFECTS, destination = ctx.destination) {
+  const input = ctx.createGain();
+
+  const eqLow = ctx.createBiquadFilter();
+  eqLow.type = 'lowshelf';
+  eqLow.frequency.value = EQ_LOW_FREQ;
+  const eqMid = ctx.createBiquadFilter();
+  eqMid.type = 'peaking';
+  eqMid.frequency.value = EQ_MID_FREQ;
+  eqMid.Q.value = 0.8;
+  const eqHigh = ctx.createBiquadFilter();
+  eqHigh.type = 'highshelf';
+  eqHigh.frequency.value = EQ_HIGH_FREQ;
+
+  const dry = ctx.createGain();
+  const wet = ctx.createGain();
+  const convolver = ctx.createConvolver();
+  const reverbSum = ctx.createGain();
+
+  const compressor = ctx.createDynamicsCompressor();
+
+  // Limiter: fast, hard-knee compressor pulled down to the ceiling, then a safety clipper
+  const limiter = ctx.createDynamicsCompressor();
+  limiter.knee.value = 0;
+  limiter.ratio.value = 20;
+  limiter.attack.value = 0.001;
+  limiter.release.value = 0.05;
+  const clipper = ctx.createWaveShaper();
+
+  input.connect(eqLow).connect(eqMid).connect(eqHigh);
+  eqHigh.connect(dry).connect(reverbSum);
+  eqHigh.connect(convolver).connect(wet).connect(reverbSum);
+  reverbSum.connect(compressor).connect(limiter).connect(clipper).connect(destination);
+
+  const state = { impulse: null };
+
+  async function setImpulse(name) {
+    if (state.impulse === name) return;
+    state.impulse = name;
+    try {
+      const buffer = await loadImpulse(ctx, name);
+      if (state.impulse === name) {
+        convolver.buffer = buffer;
+      }
+    } catch (error) {
+      console.warn('Reverb unavailable:', error);
+    }
+  }
+
+  function update(next) {
+    const now = ctx.currentTime;
+    const reverbOn = next.reverb.impulse !== 'off' && next.reverb.mix > 0;
+    wet.gain.setTargetAtTime(reverbOn ? next.reverb.mix : 0, now, 0.02);
+    dry.gain.setTargetAtTime(reverbOn ? 1 - next.reverb.mix * 0.5 : 1, now, 0.02);
+    if (reverbOn) {
+      setImpulse(next.reverb.impulse);
+    }
+
+    eqLow.gain.setTargetAtTime(next.eq.low, now, 0.02);
+    eqMid.gain.setTargetAtTime(next.eq.mid, now, 0.02);
+    eqHigh.gain.setTargetAtTime(next.eq.high, now, 0.02);
+
+    // A disabled compressor/limiter is left in place with a ratio of 1 (no gain change)
+    compressor.threshold.value = next.compressor.enabled ? next.compressor.threshold : 0;
+    compressor.ratio.value = next.compressor.enabled ? next.compressor.ratio : 1;
+    compressor.attack.value = next.compressor.attack;
+    compressor.release.value = next.compressor.release;
+
+    limiter.threshold.value = next.limiter.enabled ? next.limiter.ceiling : 0;
+    limiter.ratio.value = next.limiter.enabled ? 20 : 1;
+    clipper.curve = makeClipCurve(next.limiter.enabled ? dbToGain(next.limiter.ceiling) : 1);
+  }
+
+  update(settings);
+
+  return {
+    input,
+    update,
+    // Resolves once the current impulse response is loaded (needed before offline rendering)
+    ready: () => (state.impulse ? loadImpulse(ctx, state.impulse).catch(() => null) : Promise.resolve(null))
+  };
+}
@@ -0,0 +1,87 @@
+// ADSR amplitude envelopes applied to a voice's gain param, shared by sample and synth voices.
+//
+// { attack, decay, sustain, release, curve, releaseTracking }
+//   attack/decay/release  seconds
+//   sustain               level (0-1) the note settles at after the decay
+//   curve                 'exponential' (natural, piano-like tails) or 'linear'
+//   releaseTracking       how much shorter the release gets per octave above C4 (and longer
+//                         below): 0 = same release everywhere, 1 = halves every octave up
+
+export const ENVELOPE_CURVES = ['exponential', 'linear'];
+
+export const DEFAULT_ENVELOPE = {
+  attack: 0.002, // A couple of milliseconds: effectively instant, but without a click
+  decay: 0,
+  sustain: 1, // Samples decay on their own, so hold them at full level
+  release: 2,
+  curve: 'exponential',
+  releaseTracking: 0.3
+};
+
+const TRACKING_CENTER_MIDI = 60; // C4 keeps the nominal release
+const MIN_TIME = 0.001;
+const TIME_CONSTANTS_PER_SEGMENT = 5; // exponential segments reach ~99% of the way in their time
+
+// Merge envelope layers (defaults, preset, manifest, user overrides); unknown curves fall back
+export function resolveEnvelope(...layers) {
+  const envelope = Object.assign({}, DEFAULT_ENVELOPE, ...layers.filter(Boolean));
+  if (!ENVELOPE_CURVES.includes(envelope.curve)) {
+    envelope.curve = DEFAULT_ENVELOPE.curve;
+  }
+  envelope.sustain = Math.min(1, Math.max(0, envelope.sustain));
+  return envelope;
+}
+
+// The envelope as it applies to one note, with the release scaled by pitch
+export function envelopeForNote(envelope, midi) {
+  const octaves = (midi - TRACKING_CENTER_MIDI) / 12;
+  return {
+    ...envelope,
+    release: Math.max(MIN_TIME, envelope.release * Math.pow(2, -envelope.releaseTracking * octaves))
+  };
+}
+
+// Attack to peak, then decay to the sustain level
+export function applyEnvelopeStart(param, envelope, peak, startTime) {
+  const attackEnd = startTime + Math.max(MIN_TIME, envelope.attack);
+  param.setValueAtTime(0, startTime);
+  param.linearRampToValueAtTime(peak, attackEnd);
+  if (envelope.sustain >= 1 || envelope.decay <= 0) {
+    if (envelope.sustain < 1) param.setValueAtTime(peak * envelope.sustain, attackEnd);
+    return;
+  }
+  const level = peak * envelope.sustain;
+  if (envelope.curve === 'linear') {
+    param.linearRampToValueAtTime(level, attackEnd + envelope.decay);
+  } else {
+    param.setTargetAtTime(level, attackEnd, envelope.decay / TIME_CONSTANTS_PER_SEGMENT);
+  }
+}
+
+// Level applyEnvelopeStart reaches `elapsed` seconds after the start (for releases
+// scheduled ahead of time, where param.value is not yet known)
+export function envelopeLevelAt(envelope, peak, elapsed) {
+  const attack = Math.max(MIN_TIME, envelope.attack);
+  if (elapsed < attack) return peak * Math.max(0, elapsed / attack);
+  const level = peak * envelope.sustain;
+  if (envelope.sustain >= 1 || envelope.decay <= 0) return level;
+  const decayed = elapsed - attack;
+  if (envelope.curve === 'linear') {
+    return peak - (peak - level) * Math.min(1, decayed / envelope.decay);
+  }
+  return level + (peak - level) * Math.exp(-decayed / (envelope.decay / TIME_CONSTANTS_PER_SEGMENT));
+}
+
+// Fade from the envelope's level at `time` (the param's current value unless given) to
+// silence; returns when the voice can be stopped
+export function applyEnvelopeRelease(param, envelope, time, duration = envelope.release, level = param.value) {
+  const seconds = Math.max(MIN_TIME, duration);
+  param.cancelScheduledValues(time);
+  param.setValueAtTime(level, time);
+  if (envelope.curve === 'linear') {
+    param.linearRampToValueAtTime(0, time + seconds);
+  } else {
+    param.setTargetAtTime(0, time, seconds / TIME_CONSTANTS_PER_SEGMENT);
+  }
+  return time + seconds;
+}
@@ -0,0 +1,58 @@
+"""Generate the reverb impulse responses bundled in this folder.
+
+Each impulse is stereo decorrelated noise with a few early reflections, an
+exponential decay (RT60) and damping that darkens the tail over time.
+Run from this folder: python make_impulses.py
+"""
+import math
+import random
+import struct
+import wave
+
+SAMPLE_RATE = 22050
+
+IMPULSES = {
+    # name: (length seconds, RT60 seconds, damping, early reflection delays in ms)
+    'room': (0.9, 0.6, 0.55, [7, 13, 19, 29]),
+    'hall': (2.6, 2.2, 0.35, [19, 31, 43, 61, 79]),
+    'plate': (1.8, 1.5, 0.15, []),
+}
+
+
+def make_channel(length, rt60, damping, reflections, seed):
+    rng = random.Random(seed)
+    frames = int(length * SAMPLE_RATE)
+    decay = math.log(1000) / (rt60 * SAMPLE_RATE)  # -60 dB after rt60 seconds
+    out = [0.0] * frames
+    low = 0.0
+    for i in range(frames):
+        # One-pole lowpass whose cutoff falls as the tail ages
+        t = i / frames
+        coeff = min(0.95, damping + t * (1 - damping) * 0.8)
+        low += (rng.uniform(-1, 1) - low) * (1 - coeff)
+        out[i] = low * math.exp(-decay * i)
+    for n, delay_ms in enumerate(reflections):
+        index = int(delay_ms * SAMPLE_RATE / 1000)
+        if index < frames:
+            out[index] += rng.choice((-1, 1)) * 0.6 / (n + 1)
+    peak = max(abs(v) for v in out) or 1
+    return [v / peak * 0.9 for v in out]
+
+
+def write_wav(path, left, right):
+    with wave.open(path, 'wb') as wav:
+        wav.setnchannels(2)
+        wav.setsampwidth(2)
+        wav.setframerate(SAMPLE_RATE)
+        data = bytearray()
+        for l, r in zip(left, right):
+            data += struct.pack('<hh', int(l * 32767), int(r * 32767))
+        wav.writeframes(bytes(data))
+
+
+if __name__ == '__main__':
+    for name, (length, rt60, damping, reflections) in IMPULSES.items():
+        left = make_channel(length, rt60, damping, reflections, seed=name + 'L')
+        right = make_channel(length, rt60, damping, reflections, seed=name + 'R')
+        write_wav(f'{name}.wav', left, right)
+        print(f'Wrote {name}.wav')
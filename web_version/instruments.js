@@ -0,0 +1,395 @@
+import { noteNameToMidi, midiToFrequency } from './notes.js';
+import { resolveSynthPreset, DEFAULT_SYNTH_PRESET } from './synth.js';
+import { loadProgressively } from './sampleLoader.js';
+import { createVoiceOutput } from './stereo.js';
+import { resolveEnvelope, envelopeForNote, applyEnvelopeStart, applyEnvelopeRelease, envelopeLevelAt } from './envelope.js';
+
+// Instrument packs are described by JSON manifests listed in instruments/index.json.
+//
+// Manifest format (paths are relative to the manifest file):
+// {
+//   "name": "Acoustic Grand Piano",
+//   "baseUrl": "../acoustic_grand_piano/",    // folder holding the sample files
+//   "envelope": {                              // optional ADSR, see envelope.js for defaults
+//     "attack": 0.002, "decay": 0, "sustain": 1, "release": 2,
+//     "curve": "exponential", "releaseTracking": 0.3
+//   },
+//   "releaseTime": 2,                          // shorthand for envelope.release
+//   "fallback": "piano_sounds",                // optional pack id used when a sample fails to load
+//   "maxPitchShift": 12,                       // optional limit (semitones) for re-pitching the nearest sample
+//   "samples": { "C3": "c3.mp3", ... },        // single velocity layer, or:
+//   "layers": [
+//     { "maxVelocity": 80, "samples": { ... } },
+//     { "maxVelocity": 127, "samples": { ... } }
+//   ]
+// }
+// A sample entry is either a file name or { "file", "root", "loopStart", "loopEnd" }:
+// "root" is the pitch the file was recorded at (defaults to the note it is mapped to)
+// and loop points are in seconds.
+//
+// Notes without their own sample play the nearest sample of the layer re-pitched with
+// playbackRate, so a pack with one sample every few semitones still covers the keyboard.
+//
+// Synth instruments need no samples: { "name": "Organ", "type": "synth", "preset": "organ" }
+// where "preset" is a name from SYNTH_PRESETS (synth.js) or an inline preset object;
+// an "envelope" there overrides the preset's own.
+// When a pack has no usable sample for a note the built-in synth plays it instead.
+
+export const INSTRUMENT_INDEX_URL = 'instruments/index.json';
+const MAX_ZONE_ATTEMPTS = 3; // Nearest samples tried before giving up on a note
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url} (${response.status})`);
+  }
+  return response.json();
+}
+
+function normalizeZone(note, entry, baseUrl) {
+  const spec = typeof entry === 'string' ? { file: entry } : entry;
+  const midi = noteNameToMidi(note);
+  const rootMidi = spec.root !== undefined ? noteNameToMidi(spec.root) : midi;
+  if (midi === null || rootMidi === null || !spec.file) {
+    console.warn(`Skipping invalid sample entry for ${note}`);
+    return null;
+  }
+  return {
+    note,
+    midi,
+    rootMidi,
+    url: new URL(spec.file, baseUrl).href,
+    loopStart: spec.loopStart ?? null,
+    loopEnd: spec.loopEnd ?? null
+  };
+}
+
+// Turn a raw manifest into { id, name, type, envelope, fallback, maxPitchShift, layers: [{ maxVelocity, zones }] }
+export function normalizeManifest(raw, manifestUrl, id = raw.id) {
+  if (raw.type === 'synth') {
+    return {
+      id,
+      name: raw.name || id,
+      type: 'synth',
+      preset: raw.preset || DEFAULT_SYNTH_PRESET,
+      envelope: resolveEnvelope(resolveSynthPreset(raw.preset).envelope, raw.envelope),
+      fallback: null,
+      maxPitchShift: Infinity,
+      layers: []
+    };
+  }
+
+  const baseUrl = new URL(raw.baseUrl || './', new URL(manifestUrl, document.baseURI)).href;
+  const rawLayers = raw.layers || [{ maxVelocity: 127, samples: raw.samples || {} }];
+
+  const layers = rawLayers
+    .map(layer => ({
+      maxVelocity: layer.maxVelocity ?? 127,
+      zones: Object.entries(layer.samples || {})
+        .map(([note, entry]) => normalizeZone(note, entry, baseUrl))
+        .filter(Boolean)
+    }))
+    .sort((a, b) => a.maxVelocity - b.maxVelocity);
+
+  return {
+    id,
+    name: raw.name || id,
+    type: 'sample',
+    envelope: resolveEnvelope(raw.releaseTime !== undefined && { release: raw.releaseTime }, raw.envelope),
+    fallback: raw.fallback || null,
+    maxPitchShift: raw.maxPitchShift ?? Infinity,
+    layers
+  };
+}
+
+// Pick the layer for a velocity: the first layer whose maxVelocity covers it
+export function pickVelocityLayer(layers, velocity) {
+  if (!layers || layers.length === 0) return null;
+  return layers.find(layer => velocity <= layer.maxVelocity) || layers[layers.length - 1];
+}
+
+// Voice contract shared with synth.js: starts sounding immediately and returns
+// { release(fadeSeconds?), releaseTime }; release fades out and frees the nodes.
+// The gain node follows the sample's envelope (already scaled for the note) and
+// sample.detune (cents, from the tuning) retunes it; pan (-1..1) places it in stereo.
+// startTime and release(fade, time) schedule ahead, e.g. when rendering offline.
+export function createSampleVoice(ctx, destination, { sample, gain = 1, pan = 0, startTime = ctx.currentTime }) {
+  const envelope = sample.envelope || resolveEnvelope();
+  const output = createVoiceOutput(ctx, destination, pan);
+  const gainNode = ctx.createGain();
+  applyEnvelopeStart(gainNode.gain, envelope, gain, startTime);
+
+  const source = ctx.createBufferSource();
+  source.buffer = sample.buffer;
+  source.playbackRate.value = sample.playbackRate;
+  if (sample.detune) {
+    if (source.detune) {
+      source.detune.value = sample.detune;
+    } else {
+      source.playbackRate.value *= Math.pow(2, sample.detune / 1200); // no detune param (older Safari)
+    }
+  }
+  if (sample.loopEnd > sample.loopStart) {
+    source.loop = true;
+    source.loopStart = sample.loopStart;
+    source.loopEnd = sample.loopEnd;
+  }
+  source.connect(gainNode).connect(output.input);
+  source.start(startTime);
+
+  let released = false;
+  function release(fadeSeconds = envelope.release, time = ctx.currentTime) {
+    if (released) return;
+    released = true;
+    const level = time > ctx.currentTime ? envelopeLevelAt(envelope, gain, time - startTime) : gainNode.gain.value;
+    const end = applyEnvelopeRelease(gainNode.gain, envelope, time, fadeSeconds, level);
+    source.stop(end);
+    source.onended = () => {
+      gainNode.disconnect();
+      output.disconnect();
+    };
+  }
+
+  return { release, releaseTime: envelope.release };
+}
+
+function synthSound(preset, midi, envelope = resolveEnvelope(resolveSynthPreset(preset).envelope)) {
+  const noteEnvelope = envelopeForNote(envelope, midi);
+  return {
+    type: 'synth',
+    preset,
+    frequency: midiToFrequency(midi),
+    envelope: noteEnvelope,
+    releaseTime: noteEnvelope.release
+  };
+}
+
+// getDetune(midi) returns the tuning's detune in cents for a note (see tuning.js)
+export function initInstrumentManager({ getAudioContext, indexUrl = INSTRUMENT_INDEX_URL, fallbackSynthPreset = DEFAULT_SYNTH_PRESET, getDetune = () => 0 }) {
+  const state = {
+    index: [], // [{ id, name, manifest }]
+    defaultId: null,
+    instruments: {}, // id -> Promise<normalized instrument>
+    loaded: {}, // id -> normalized instrument, once its promise has resolved
+    current: null,
+    buffers: new Map(), // sample url -> Promise<AudioBuffer>
+    decoded: new Map(), // sample url -> AudioBuffer, once its promise has resolved
+    failedUrls: new Set(), // samples that failed to load, skipped when picking the nearest one
+    envelopeOverrides: {}, // instrument id -> partial envelope set by the user
+    loading: null // running progressive load { done, cancel }, replaced by the next preload()
+  };
+
+  async function loadIndex() {
+    const index = await fetchJson(indexUrl);
+    state.index = index.instruments || [];
+    state.defaultId = index.default || state.index[0]?.id || null;
+    return state.index;
+  }
+
+  function loadInstrument(id) {
+    if (!state.instruments[id]) {
+      const entry = state.index.find(item => item.id === id);
+      if (!entry) {
+        return Promise.reject(new Error(`Unknown instrument: ${id}`));
+      }
+      const manifestUrl = new URL(entry.manifest, new URL(indexUrl, document.baseURI)).href;
+      state.instruments[id] = fetchJson(manifestUrl)
+        .then(raw => {
+          state.loaded[id] = normalizeManifest(raw, manifestUrl, id);
+          return state.loaded[id];
+        })
+        .catch(error => {
+          delete state.instruments[id]; // allow a retry later
+          throw error;
+        });
+    }
+    return state.instruments[id];
+  }
+
+  async function select(id) {
+    state.current = await loadInstrument(id);
+    return state.current;
+  }
+
+  function loadBuffer(url) {
+    if (!state.buffers.has(url)) {
+      const ctx = getAudioContext();
+      const promise = fetch(url, { headers: { 'Accept': 'audio/*, */*' } })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load sample ${url} (${response.status})`);
+          }
+          return response.arrayBuffer();
+        })
+        .then(arrayBuffer => ctx.decodeAudioData(arrayBuffer))
+        .then(buffer => {
+          state.failedUrls.delete(url);
+          state.decoded.set(url, buffer);
+          return buffer;
+        })
+        .catch(error => {
+          state.buffers.delete(url); // allow a retry later
+          state.failedUrls.add(url);
+          throw error;
+        });
+      state.buffers.set(url, promise);
+    }
+    return state.buffers.get(url);
+  }
+
+  // Zones of the velocity layer that can play the note: a zone mapped to the note first,
+  // then by smallest pitch shift. On a tie the sample above wins: pitching down keeps the
+  // attack natural, pitching up thins it.
+  function findZones(instrument, midi, velocity) {
+    const layer = pickVelocityLayer(instrument.layers, velocity);
+    if (!layer) return [];
+    const distance = zone => (zone.midi === midi ? -1 : Math.abs(midi - zone.rootMidi));
+    return layer.zones
+      .filter(zone => !state.failedUrls.has(zone.url))
+      .filter(zone => zone.midi === midi || Math.abs(midi - zone.rootMidi) <= instrument.maxPitchShift)
+      .sort((a, b) => distance(a) - distance(b) || b.rootMidi - a.rootMidi);
+  }
+
+  function sampleSound(zone, buffer, midi) {
+    return {
+      type: 'sample',
+      buffer,
+      // Re-pitch from the pitch the sample was recorded at to the requested note
+      playbackRate: Math.pow(2, (midi - zone.rootMidi) / 12),
+      loopStart: zone.loopStart,
+      loopEnd: zone.loopEnd
+    };
+  }
+
+  async function getSampleFrom(instrument, midi, velocity) {
+    let lastError = null;
+    for (const zone of findZones(instrument, midi, velocity).slice(0, MAX_ZONE_ATTEMPTS)) {
+      try {
+        return sampleSound(zone, await loadBuffer(zone.url), midi);
+      } catch (error) {
+        console.warn(`${error.message}, trying the next nearest sample`);
+        lastError = error;
+      }
+    }
+    if (instrument.fallback && instrument.fallback !== instrument.id) {
+      return getSampleFrom(await loadInstrument(instrument.fallback), midi, velocity);
+    }
+    if (lastError) throw lastError;
+    return null;
+  }
+
+  // The instrument a note plays on: the selected one, or instrumentId when given (a looper
+  // layer keeps its own); an instrument that fails to load falls back to the selected one
+  async function instrumentFor(instrumentId) {
+    if (!instrumentId || instrumentId === state.current?.id) return state.current;
+    try {
+      return await loadInstrument(instrumentId);
+    } catch (error) {
+      console.warn(`Instrument ${instrumentId} unavailable:`, error.message);
+      return state.current;
+    }
+  }
+
+  // Resolve what to play for a note: a sample descriptor { type: 'sample', buffer, playbackRate, ... }
+  // or a synth descriptor { type: 'synth', preset, frequency, ... }; null only for invalid notes
+  async function getSound(note, velocity = 127, instrumentId = null) {
+    const midi = noteNameToMidi(note);
+    if (midi === null) return null;
+    const detune = getDetune(midi);
+    const instrument = await instrumentFor(instrumentId);
+    if (instrument?.type === 'synth') {
+      return { ...synthSound(instrument.preset, midi, getEnvelope(instrument)), detune };
+    }
+    try {
+      const sample = instrument ? await getSampleFrom(instrument, midi, velocity) : null;
+      if (sample) {
+        // Samples borrowed from a fallback pack still follow the playing instrument's envelope
+        const envelope = envelopeForNote(getEnvelope(instrument), midi);
+        return { ...sample, envelope, releaseTime: envelope.release, detune };
+      }
+    } catch (error) {
+      console.warn(`No sample for ${note}:`, error.message);
+    }
+    // Nothing loadable (offline, missing files, no pack): keep playing with the built-in synth
+    return { ...synthSound(fallbackSynthPreset, midi), detune, isFallback: true };
+  }
+
+  // Synchronous getSound for the low-latency path: only answers when the note's nearest
+  // sample is already decoded (or the instrument is a synth), otherwise null so the
+  // caller falls back to getSound()
+  function getLoadedSound(note, velocity = 127, instrumentId = null) {
+    const midi = noteNameToMidi(note);
+    const instrument = instrumentId && instrumentId !== state.current?.id ? state.loaded[instrumentId] : state.current;
+    if (midi === null || !instrument) return null;
+    const detune = getDetune(midi);
+    if (instrument.type === 'synth') {
+      return { ...synthSound(instrument.preset, midi, getEnvelope(instrument)), detune };
+    }
+    const zone = findZones(instrument, midi, velocity)[0];
+    const buffer = zone && state.decoded.get(zone.url);
+    if (!buffer) return null;
+    const envelope = envelopeForNote(getEnvelope(instrument), midi);
+    return { ...sampleSound(zone, buffer, midi), envelope, releaseTime: envelope.release, detune };
+  }
+
+  // Envelope of an instrument (the current one by default): manifest values + the user's
+  // overrides from the sidebar
+  function getEnvelope(instrument = state.current) {
+    return resolveEnvelope(instrument?.envelope, state.envelopeOverrides[instrument?.id]);
+  }
+
+  function setEnvelopeOverrides(id, overrides) {
+    if (overrides && Object.keys(overrides).length > 0) {
+      state.envelopeOverrides[id] = { ...overrides };
+    } else {
+      delete state.envelopeOverrides[id];
+    }
+  }
+
+  // Every sample url of the instrument with a load priority: 0 for samples the notes in
+  // [lowMidi, highMidi] play from (in every velocity layer), then 1, 2, ... per octave away
+  function getLoadPlan(instrument, lowMidi, highMidi) {
+    const priorities = new Map();
+    instrument.layers.forEach(layer => {
+      for (let midi = lowMidi; midi <= highMidi; midi++) {
+        const zone = findZones(instrument, midi, layer.maxVelocity)[0];
+        if (zone) priorities.set(zone.url, 0);
+      }
+      layer.zones.forEach(zone => {
+        if (priorities.get(zone.url) === 0) return;
+        const distance = Math.max(lowMidi - zone.midi, zone.midi - highMidi, 0);
+        const priority = 1 + Math.floor(distance / 12);
+        priorities.set(zone.url, Math.min(priorities.get(zone.url) ?? Infinity, priority));
+      });
+    });
+    return [...priorities].map(([url, priority]) => ({ url, priority }));
+  }
+
+  // Fetch and decode the current instrument's samples, the given MIDI range first.
+  // Starting a new preload cancels the previous one (already loaded buffers stay cached).
+  function preload({ range = [0, 127], concurrency, retries, onProgress } = {}) {
+    state.loading?.cancel();
+    const instrument = state.current;
+    if (!instrument) return Promise.resolve({ total: 0, loaded: 0, failed: 0, ready: true });
+    state.loading = loadProgressively(getLoadPlan(instrument, range[0], range[1]), {
+      load: loadBuffer,
+      concurrency,
+      retries,
+      onProgress
+    });
+    return state.loading.done;
+  }
+
+  return {
+    loadIndex,
+    select,
+    preload,
+    getSound,
+    getLoadedSound,
+    getEnvelope,
+    setEnvelopeOverrides,
+    getIndex: () => state.index,
+    getDefaultId: () => state.defaultId,
+    getCurrent: () => state.current
+  };
+}
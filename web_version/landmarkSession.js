@@ -0,0 +1,163 @@
+// Landmark sessions: the hand landmarks MediaPipe returned for every processed frame, with
+// the layout they were played on, saved as JSON. Replaying a session feeds the same frames
+// through the detection code without a camera, so the notes it triggers can be compared
+// across sensitivity settings (MOVEMENT_THRESHOLD, TRIGGER_COOLDOWN_FRAMES, ...).
+//
+// Session: { format, version, createdAt, video: { width, height }, settings, layout, frames }
+//   layout: { camera: { flipHorizontal, flipVertical, rotate180 }, pianoTransform,
+//             redLinePosition, pitch: { transpose, octave }, keys: [{ note, baseNote, type, polygon }] }
+//   frame:  { t (ms from the first frame), frame (frameCount), hands: [[[x, y, z], ...21]] }
+//           plus a `layout` with whatever changed since the previous frame
+// Replayed notes: { t, note, velocity, source } (t from the session's first frame)
+
+export const SESSION_FORMAT = 'virtual-piano-landmarks';
+export const SESSION_VERSION = 1;
+export const MAX_SESSION_FRAMES = 30 * 60 * 10; // ten minutes at 30 detections a second
+export const MATCH_WINDOW_MS = 80; // the same note this close in two replays counts as one
+
+const PRECISION = 1e5; // landmarks are normalised 0-1; five decimals is well under a pixel
+
+const round = value => Math.round(value * PRECISION) / PRECISION;
+const copy = value => JSON.parse(JSON.stringify(value));
+
+function snapshotKeys(keys) {
+  return keys.map(key => ({
+    note: key.note,
+    ...(key.baseNote !== undefined && { baseNote: key.baseNote }),
+    type: key.type,
+    polygon: key.polygon.map(([x, y]) => [x, y])
+  }));
+}
+
+// The layout fields that differ between two snapshots (all of them when there is no previous)
+function layoutChanges(previous, next) {
+  const changes = {};
+  Object.keys(next).forEach(field => {
+    if (!previous || previous[field] !== next[field]) changes[field] = next[field];
+  });
+  return changes;
+}
+
+// getLayout() -> { camera, pianoTransform, redLinePosition, pitch, keys } as the app has them now;
+// getSettings() -> the detection settings to store with the session
+export function createSessionRecorder({ getLayout, getSettings, video }) {
+  let session = null;
+  let startTime = 0;
+  let lastLayout = null; // JSON of each layout field at the last frame
+  let keysRef = null;
+  let keysSignature = '';
+
+  // Keys are compared by array and notes: copying every polygon each frame is not cheap
+  function layoutJson() {
+    const layout = getLayout();
+    const signature = layout.keys.map(key => key.note).join(',');
+    const keysChanged = layout.keys !== keysRef || signature !== keysSignature;
+    keysRef = layout.keys;
+    keysSignature = signature;
+    const json = {};
+    Object.entries(layout).forEach(([field, value]) => {
+      if (field !== 'keys') json[field] = JSON.stringify(value ?? null);
+    });
+    json.keys = keysChanged || !lastLayout ? JSON.stringify(snapshotKeys(layout.keys)) : lastLayout.keys;
+    return json;
+  }
+
+  return {
+    isRecording: () => !!session,
+    frameCount: () => session?.frames.length ?? 0,
+    start() {
+      keysRef = null;
+      lastLayout = layoutJson();
+      session = {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        createdAt: new Date().toISOString(),
+        video,
+        settings: copy(getSettings()),
+        layout: Object.fromEntries(Object.entries(lastLayout).map(([field, json]) => [field, JSON.parse(json)])),
+        frames: []
+      };
+      startTime = null;
+    },
+    // landmarks: results.landmarks; time: when the frame was detected (ms)
+    addFrame(landmarks, frame, time) {
+      if (!session) return false;
+      if (startTime === null) startTime = time;
+      const entry = {
+        t: Math.round((time - startTime) * 10) / 10,
+        frame,
+        hands: (landmarks || []).map(hand => hand.map(point => [round(point.x), round(point.y), round(point.z ?? 0)]))
+      };
+      const layout = layoutJson();
+      const changes = layoutChanges(lastLayout, layout);
+      if (Object.keys(changes).length > 0) {
+        entry.layout = Object.fromEntries(Object.entries(changes).map(([field, json]) => [field, JSON.parse(json)]));
+      }
+      lastLayout = layout;
+      session.frames.push(entry);
+      return session.frames.length < MAX_SESSION_FRAMES;
+    },
+    stop() {
+      const finished = session;
+      session = null;
+      return finished && finished.frames.length > 0 ? finished : null;
+    }
+  };
+}
+
+export function serializeSession(session) {
+  return JSON.stringify(session);
+}
+
+export function parseSession(text) {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch {
+    throw new Error('Not a JSON file');
+  }
+  if (session?.format !== SESSION_FORMAT) throw new Error('Not a landmark session');
+  if (session.version > SESSION_VERSION) throw new Error(`Session version ${session.version} is newer than this app`);
+  if (!Array.isArray(session.frames) || !Array.isArray(session.layout?.keys)) throw new Error('Session has no frames or keys');
+  return session;
+}
+
+export function sessionDuration(session) {
+  return session.frames.at(-1)?.t ?? 0;
+}
+
+// Frames ready to replay: landmarks back as { x, y, z } points, and the full layout in force
+// at each frame (shared between frames until it changes)
+export function replayFrames(session) {
+  let layout = session.layout;
+  return session.frames.map(frame => {
+    if (frame.layout) layout = { ...layout, ...frame.layout };
+    return {
+      t: frame.t,
+      frame: frame.frame,
+      landmarks: frame.hands.map(hand => hand.map(([x, y, z]) => ({ x, y, z }))),
+      layout
+    };
+  });
+}
+
+// Pair up two replays' notes: the same note within windowMs of each other is a match
+export function compareNotes(a, b, windowMs = MATCH_WINDOW_MS) {
+  const unmatched = [...b];
+  const matched = [];
+  const onlyA = [];
+  a.forEach(note => {
+    let best = -1;
+    unmatched.forEach((other, i) => {
+      if (other.note !== note.note || Math.abs(other.t - note.t) > windowMs) return;
+      if (best === -1 || Math.abs(other.t - note.t) < Math.abs(unmatched[best].t - note.t)) best = i;
+    });
+    if (best === -1) {
+      onlyA.push(note);
+    } else {
+      matched.push({ a: note, b: unmatched[best] });
+      unmatched.splice(best, 1);
+    }
+  });
+  return { matched, onlyA, onlyB: unmatched };
+}
@@ -0,0 +1,87 @@
+// Latency measurements for the sidebar panel. All times are performance.now() milliseconds.
+//
+//   hand tracking   frame handed to the landmarker -> landmarks back
+//   detection       landmarks (or key/MIDI event) -> note triggered
+//   output          note triggered -> sound leaving the speakers, from the context time
+//                   the voice started at and AudioContext.getOutputTimestamp()
+//
+// End-to-end for a source is the sum of its stages' averages.
+
+const WINDOW = 100; // samples kept per measurement
+
+function createStat() {
+  const samples = [];
+  return {
+    add(value) {
+      if (!Number.isFinite(value)) return;
+      samples.push(Math.max(0, value));
+      if (samples.length > WINDOW) samples.shift();
+    },
+    // { last, average, p95, count } or null before the first sample
+    summary() {
+      if (samples.length === 0) return null;
+      const sorted = [...samples].sort((a, b) => a - b);
+      return {
+        last: samples[samples.length - 1],
+        average: samples.reduce((sum, value) => sum + value, 0) / samples.length,
+        p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+        count: samples.length
+      };
+    }
+  };
+}
+
+export function initLatencyMonitor({ getAudioContext }) {
+  const tracking = createStat();
+  const detection = {}; // channel id -> stat
+  const output = createStat();
+
+  // Performance time at which audio rendered for contextTime reaches the speakers
+  function contextTimeToPerformance(ctx, contextTime) {
+    const stamp = typeof ctx.getOutputTimestamp === 'function' ? ctx.getOutputTimestamp() : null;
+    if (stamp && stamp.performanceTime > 0) {
+      return stamp.performanceTime + (contextTime - stamp.contextTime) * 1000;
+    }
+    // No output timestamp yet: assume the render clock is now and add the reported latency
+    const latency = (ctx.baseLatency || 0) + (ctx.outputLatency || 0);
+    return performance.now() + (contextTime - ctx.currentTime + latency) * 1000;
+  }
+
+  return {
+    recordTracking: ms => tracking.add(ms),
+    // detectedAt: when the finger/key/MIDI event was seen; triggeredAt: when the note was sent
+    recordTrigger(channel, detectedAt, triggeredAt) {
+      if (detectedAt === null || detectedAt === undefined) return;
+      if (!detection[channel]) detection[channel] = createStat();
+      detection[channel].add(triggeredAt - detectedAt);
+    },
+    // A voice that was triggered at triggeredAt started rendering at contextTime
+    recordStart(triggeredAt, contextTime) {
+      const ctx = getAudioContext();
+      if (!ctx || triggeredAt === undefined) return;
+      output.add(contextTimeToPerformance(ctx, contextTime) - triggeredAt);
+    },
+    getReport() {
+      const ctx = getAudioContext();
+      const outputSummary = output.summary();
+      const trackingSummary = tracking.summary();
+      const channels = {};
+      Object.entries(detection).forEach(([channel, stat]) => {
+        const summary = stat.summary();
+        const stages = [summary, outputSummary, channel === 'hand' ? trackingSummary : null];
+        channels[channel] = {
+          detection: summary,
+          endToEnd: stages.reduce((sum, stage) => sum + (stage?.average || 0), 0)
+        };
+      });
+      return {
+        baseLatency: ctx?.baseLatency ?? null, // seconds
+        outputLatency: ctx?.outputLatency ?? null, // seconds
+        sampleRate: ctx?.sampleRate ?? null,
+        tracking: trackingSummary,
+        output: outputSummary,
+        channels
+      };
+    }
+  };
+}
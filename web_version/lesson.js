@@ -0,0 +1,89 @@
+// Lessons on songs read by parseMidiFile (midiFile.js): which hand plays each note, and the
+// lanes notes fall down to reach their keys. Lanes are in layout (exportKeys) coordinates,
+// so drawing them under the piano transform lines them up with the keys on screen, for the
+// generated keyboard and paper layouts alike.
+
+import { noteNameToMidi } from './notes.js';
+
+export const DEFAULT_LESSON = { showNotes: true, leadIn: 3, lookAhead: 3, handMode: 'auto', practiceHand: 'both' };
+
+export const HAND_MODES = {
+  auto: 'By track (two-part songs)',
+  split: 'Split at middle C'
+};
+
+export const HAND_COLORS = {
+  right: { white: '#4ade80', black: '#16a34a' },
+  left: { white: '#60a5fa', black: '#2563eb' }
+};
+
+export const SPLIT_MIDI = 60; // splitting by pitch, middle C and up is the right hand
+export const FALL_HEIGHT_RATIO = 0.9; // how far above the keys notes appear, in keyboard heights
+
+const EDGE_DEPTH = 0.25; // a key's top edge: polygon points in the top quarter of its height
+
+// 'right' or 'left' for each of song.notes. A song in two parts (tracks, or channels of a
+// one-track file) gives the higher part to the right hand; anything else splits by pitch.
+export function assignHands(song, mode = DEFAULT_LESSON.handMode) {
+  const byPitch = note => (note.midi >= SPLIT_MIDI ? 'right' : 'left');
+  if (mode !== 'auto') return song.notes.map(byPitch);
+
+  const partOf = note => `${note.track}:${note.channel}`;
+  const parts = new Map(); // part -> { sum, count } of its pitches
+  song.notes.forEach(note => {
+    const part = parts.get(partOf(note)) || { sum: 0, count: 0 };
+    part.sum += note.midi;
+    part.count++;
+    parts.set(partOf(note), part);
+  });
+  if (parts.size !== 2) return song.notes.map(byPitch);
+
+  const [[firstPart, first], [secondPart, second]] = parts;
+  const rightPart = first.sum / first.count >= second.sum / second.count ? firstPart : secondPart;
+  return song.notes.map(note => (partOf(note) === rightPart ? 'right' : 'left'));
+}
+
+// MIDI number -> { index, black, left, right, top } for each key of a layout: the lane above
+// the key's top edge (paper keys are not rectangles, so their full width can mislead)
+export function keyLanes(keys) {
+  const lanes = new Map();
+  keys.forEach((key, index) => {
+    const midi = noteNameToMidi(key.note);
+    if (midi === null || lanes.has(midi) || !key.polygon?.length) return;
+    const ys = key.polygon.map(([, y]) => y);
+    const top = Math.min(...ys);
+    const depth = (Math.max(...ys) - top) * EDGE_DEPTH;
+    let xs = key.polygon.filter(([, y]) => y <= top + depth).map(([x]) => x);
+    if (xs.length < 2 || Math.max(...xs) - Math.min(...xs) < 1) xs = key.polygon.map(([x]) => x);
+    lanes.set(midi, { index, black: key.type === 'black', left: Math.min(...xs), right: Math.max(...xs), top });
+  });
+  return lanes;
+}
+
+// Boxes for the notes in view at song time `position` (seconds): lookAhead seconds of song
+// fill fallHeight layout pixels above each lane. A note's bottom reaches the key when it is
+// due, and the part already played disappears into the key.
+// Box: { noteIndex, hand, black, left, right, top, bottom, sounding }
+export function fallingNoteBoxes(song, hands, lanes, position, { lookAhead, fallHeight }) {
+  const pixelsPerSecond = fallHeight / lookAhead;
+  const horizon = position + lookAhead;
+  const boxes = [];
+  for (let i = 0; i < song.notes.length; i++) {
+    const note = song.notes[i];
+    if (note.start > horizon) break; // notes are sorted by start
+    if (note.end <= position) continue;
+    const lane = lanes.get(note.midi);
+    if (!lane) continue;
+    boxes.push({
+      noteIndex: i,
+      hand: hands[i],
+      black: lane.black,
+      left: lane.left,
+      right: lane.right,
+      top: lane.top - Math.min(fallHeight, (note.end - position) * pixelsPerSecond),
+      bottom: lane.top - Math.max(0, note.start - position) * pixelsPerSecond,
+      sounding: note.start <= position
+    });
+  }
+  return boxes;
+}
@@ -0,0 +1,352 @@
+// Multi-track looper on the metronome's beat clock. The first recording starts on the next
+// bar and sets the loop going; every later pass (an overdub) records one loop length from
+// wherever it starts, wrapping around the loop end, and becomes a new layer.
+//
+// Layer: { id, name, instrument, muted, solo, notes: [{ note, velocity, beat, length }] }
+// Note positions and lengths are in beats, so loops follow tempo changes. Notes released
+// under the sustain pedal are lengthened to when it lifts. Playback goes through onEvent,
+// like the MIDI player:
+//   { type: 'noteOn', note, velocity, layer, instrument, id }
+//   { type: 'noteOff', note, layer, instrument, id }
+
+export const LOOP_BAR_OPTIONS = [1, 2, 4, 8];
+export const DEFAULT_LOOP_BARS = 2;
+
+const TICK_MS = 10;
+const EARLY_BEATS = 0.25; // notes this close before the first downbeat count from it
+const MIN_NOTE_BEATS = 0.01;
+const EPSILON = 1e-9;
+
+const holdKey = (note, source) => `${source}|${note}`;
+
+// metronome: the beat clock (initMetronome); now() -> the AudioContext time it runs on;
+// startClock() starts the metronome when the looper needs bars; getInstrument() -> id that
+// new layers are recorded with; onSave(data) persists layers (see restore())
+export function initLooper({ metronome, now, startClock, getInstrument = () => null, onEvent, onChange, onSave }) {
+  const state = {
+    bars: DEFAULT_LOOP_BARS,
+    beatsPerBar: null, // fixed by the first layer
+    layers: [],
+    nextLayerNumber: 1,
+    events: [], // every layer's note ons/offs, sorted by beat within the loop
+    playing: false,
+    origin: 0, // clock beat where the loop's first cycle starts
+    lastBeats: 0, // clock position the last tick dispatched up to
+    recording: null, // { start, end, instrument, open, sustained, notes } in clock beats
+    pedalDown: false,
+    sounding: new Map(), // event id -> noteOn event
+    timer: null
+  };
+
+  const clockBeats = () => metronome.positionAt(now()).beats;
+  const barBeats = () => state.beatsPerBar ?? metronome.getClock().beatsPerBar;
+  const loopBeats = () => state.bars * barBeats();
+  const nextBarBeat = beats => Math.ceil(beats / barBeats() - EPSILON) * barBeats();
+  const findLayer = id => state.layers.find(layer => layer.id === id);
+
+  const notify = () => onChange?.(getState());
+  const save = () => onSave?.(serialize());
+
+  function audible(layer) {
+    if (layer.muted) return false;
+    return !state.layers.some(other => other.solo) || layer.solo;
+  }
+
+  function rebuildEvents() {
+    const length = loopBeats();
+    const events = [];
+    state.layers.forEach(layer => {
+      layer.notes.forEach((note, index) => {
+        const id = `${layer.id}:${index}`;
+        const base = { note: note.note, layer: layer.id, id };
+        events.push({ ...base, type: 'noteOn', velocity: note.velocity, beat: note.beat, order: 1 });
+        events.push({ ...base, type: 'noteOff', beat: (note.beat + note.length) % length, order: 0 });
+      });
+    });
+    state.events = events.sort((a, b) => a.beat - b.beat || a.order - b.order);
+  }
+
+  function dispatch(event) {
+    const layer = findLayer(event.layer);
+    if (!layer) return;
+    if (event.type === 'noteOn') {
+      if (!audible(layer)) return;
+      if (state.sounding.has(event.id)) dispatch({ ...event, type: 'noteOff' }); // note as long as the loop
+      state.sounding.set(event.id, event);
+    } else if (!state.sounding.delete(event.id)) {
+      return; // muted, or its note on came before playback started
+    }
+    onEvent?.({ type: event.type, note: event.note, velocity: event.velocity, layer: layer.id, instrument: layer.instrument, id: event.id });
+  }
+
+  // Switch off sounding notes, of every layer or those matching a filter
+  function silence(filter = () => true) {
+    state.sounding.forEach((event, id) => {
+      const layer = findLayer(event.layer);
+      if (layer && !filter(layer)) return;
+      state.sounding.delete(id);
+      onEvent?.({ type: 'noteOff', note: event.note, layer: event.layer, instrument: layer?.instrument ?? null, id });
+    });
+  }
+
+  // Every event whose place on the clock is in (from, to]
+  function dispatchBetween(from, to) {
+    if (state.events.length === 0) return;
+    const length = loopBeats();
+    const firstCycle = Math.max(0, Math.floor((from - state.origin) / length));
+    const lastCycle = Math.floor((to - state.origin) / length);
+    for (let cycle = firstCycle; cycle <= lastCycle; cycle++) {
+      const cycleStart = state.origin + cycle * length;
+      state.events.forEach(event => {
+        const at = cycleStart + event.beat;
+        if (at > from && at <= to) dispatch(event);
+      });
+    }
+  }
+
+  function tick() {
+    if (!state.playing) return;
+    const beats = clockBeats();
+    if (beats < state.lastBeats) {
+      // The metronome was restarted: pick the loop up again from its next bar
+      silence();
+      cancelRecording();
+      state.origin = nextBarBeat(beats);
+      state.lastBeats = Math.min(beats, state.origin - EPSILON);
+      notify();
+      return;
+    }
+    // A throttled tab catches up by at most one loop rather than replaying every cycle missed
+    dispatchBetween(Math.max(state.lastBeats, beats - loopBeats()), beats);
+    state.lastBeats = beats;
+    if (state.recording && beats >= state.recording.end) commitRecording();
+  }
+
+  function startTimer() {
+    if (!state.timer) state.timer = setInterval(tick, TICK_MS);
+  }
+
+  function stopTimer() {
+    clearInterval(state.timer);
+    state.timer = null;
+  }
+
+  // Start the loop from its beginning at the next bar
+  function play() {
+    if (state.playing || (state.layers.length === 0 && !state.recording)) return;
+    if (!metronome.isRunning()) startClock?.();
+    const beats = clockBeats();
+    state.origin = nextBarBeat(beats);
+    state.lastBeats = Math.min(beats, state.origin - EPSILON);
+    state.playing = true;
+    startTimer();
+    notify();
+  }
+
+  function stop() {
+    if (!state.playing) return;
+    cancelRecording();
+    state.playing = false;
+    stopTimer();
+    silence();
+    notify();
+  }
+
+  // --- Recording ---
+
+  function record() {
+    if (state.recording) return;
+    const instrument = getInstrument();
+    if (state.layers.length === 0) {
+      // First layer: the loop starts on the next bar
+      if (!metronome.isRunning()) startClock?.();
+      state.beatsPerBar = metronome.getClock().beatsPerBar;
+      const beats = clockBeats();
+      const start = nextBarBeat(beats);
+      state.origin = start;
+      state.lastBeats = Math.min(beats, start - EPSILON);
+      state.playing = true;
+      startTimer();
+      state.recording = createRecording(start, instrument);
+    } else {
+      // Overdub: one loop length from now (or from the loop start, if it is about to play)
+      play();
+      state.recording = createRecording(Math.max(clockBeats(), state.origin), instrument);
+    }
+    notify();
+  }
+
+  function createRecording(start, instrument) {
+    return { start, end: start + loopBeats(), instrument, open: new Map(), sustained: new Set(), notes: [] };
+  }
+
+  function closeNote(recording, held, end) {
+    recording.notes.push({ note: held.note, velocity: held.velocity, start: held.start, end: Math.min(end, recording.end) });
+  }
+
+  function cancelRecording() {
+    if (!state.recording) return;
+    state.recording = null;
+    if (state.layers.length === 0) {
+      state.beatsPerBar = null;
+      state.playing = false;
+      stopTimer();
+    }
+  }
+
+  function commitRecording() {
+    const recording = state.recording;
+    state.recording = null;
+    recording.open.forEach(held => closeNote(recording, held, recording.end));
+    recording.sustained.forEach(held => closeNote(recording, held, recording.end));
+
+    const length = loopBeats();
+    const notes = recording.notes.map(note => ({
+      note: note.note,
+      velocity: note.velocity,
+      beat: (((note.start - state.origin) % length) + length) % length,
+      length: Math.min(length, Math.max(MIN_NOTE_BEATS, note.end - note.start))
+    }));
+    if (notes.length === 0) {
+      if (state.layers.length === 0) cancelRecording(); // nothing played: no loop yet
+      notify();
+      return;
+    }
+    state.layers.push({
+      id: `layer-${Date.now()}`,
+      name: `Layer ${state.nextLayerNumber++}`,
+      instrument: recording.instrument,
+      muted: false,
+      solo: false,
+      notes
+    });
+    rebuildEvents();
+    save();
+    notify();
+  }
+
+  function noteOn(note, velocity, source) {
+    const recording = state.recording;
+    if (!recording) return;
+    const beats = clockBeats();
+    if (beats < recording.start - EARLY_BEATS || beats >= recording.end) return;
+    const key = holdKey(note, source);
+    const previous = recording.open.get(key);
+    if (previous) closeNote(recording, previous, beats);
+    recording.open.set(key, { note, velocity, start: Math.max(recording.start, beats) });
+  }
+
+  function noteOff(note, source) {
+    const recording = state.recording;
+    const key = holdKey(note, source);
+    const held = recording?.open.get(key);
+    if (!held) return;
+    recording.open.delete(key);
+    if (state.pedalDown) recording.sustained.add(held);
+    else closeNote(recording, held, clockBeats());
+  }
+
+  function pedal(down) {
+    state.pedalDown = down;
+    const recording = state.recording;
+    if (down || !recording) return;
+    const beats = clockBeats();
+    recording.sustained.forEach(held => closeNote(recording, held, beats));
+    recording.sustained.clear();
+  }
+
+  // --- Layers ---
+
+  function updateLayer(id, changes) {
+    const layer = findLayer(id);
+    if (!layer) return;
+    Object.assign(layer, changes);
+    silence(other => !audible(other) || (changes.instrument !== undefined && other === layer));
+    save();
+    notify();
+  }
+
+  function removeLayers(filter) {
+    silence(filter);
+    state.layers = state.layers.filter(layer => !filter(layer));
+    if (state.layers.length === 0) {
+      stop();
+      state.beatsPerBar = null;
+      state.nextLayerNumber = 1;
+    }
+    rebuildEvents();
+    save();
+    notify();
+  }
+
+  // An overdub in progress is dropped first; otherwise the newest layer goes
+  function undo() {
+    if (state.recording) {
+      cancelRecording();
+      notify();
+      return;
+    }
+    const last = state.layers.at(-1);
+    if (last) removeLayers(layer => layer === last);
+  }
+
+  function getState() {
+    const beats = clockBeats();
+    const length = loopBeats();
+    const recording = state.recording;
+    return {
+      bars: state.bars,
+      beatsPerBar: barBeats(),
+      playing: state.playing,
+      // 0-1 through the loop, null before its first downbeat
+      position: state.playing && beats >= state.origin ? ((beats - state.origin) % length) / length : null,
+      recording: recording
+        ? { armed: beats < recording.start, progress: Math.min(1, Math.max(0, (beats - recording.start) / length)), overdub: state.layers.length > 0 }
+        : null,
+      layers: state.layers.map(layer => ({ ...layer, audible: audible(layer), noteCount: layer.notes.length }))
+    };
+  }
+
+  function serialize() {
+    return {
+      bars: state.bars,
+      beatsPerBar: state.beatsPerBar,
+      nextLayerNumber: state.nextLayerNumber,
+      layers: state.layers
+    };
+  }
+
+  return {
+    play,
+    stop,
+    toggle: () => (state.playing ? stop() : play()),
+    record,
+    undo,
+    noteOn,
+    noteOff,
+    pedal,
+    // Loop length in bars; fixed once the first layer exists
+    setBars(bars) {
+      if (state.layers.length > 0 || state.recording || !LOOP_BAR_OPTIONS.includes(bars)) return;
+      state.bars = bars;
+      save();
+      notify();
+    },
+    setMuted: (id, muted) => updateLayer(id, { muted }),
+    setSolo: (id, solo) => updateLayer(id, { solo }),
+    setInstrument: (id, instrument) => updateLayer(id, { instrument }),
+    clearLayer: id => removeLayers(layer => layer.id === id),
+    clear: () => removeLayers(() => true),
+    getState,
+    // Layers saved by onSave on an earlier visit
+    restore(data) {
+      if (!data || state.layers.length > 0 || state.recording) return;
+      state.bars = LOOP_BAR_OPTIONS.includes(data.bars) ? data.bars : DEFAULT_LOOP_BARS;
+      state.layers = Array.isArray(data.layers) ? data.layers.filter(layer => Array.isArray(layer.notes)) : [];
+      state.beatsPerBar = state.layers.length > 0 ? data.beatsPerBar || null : null;
+      state.nextLayerNumber = data.nextLayerNumber || state.layers.length + 1;
+      rebuildEvents();
+      notify();
+    }
+  };
+}
@@ -0,0 +1,186 @@
+// Metronome scheduled on the AudioContext clock: a timer wakes up every LOOKAHEAD_MS and
+// schedules every click due within the next SCHEDULE_AHEAD_SECONDS, so clicks stay
+// sample-accurate however late the timer fires.
+//
+// The beat clock (getClock / positionAt / timeOfBar / nextBarTime) is shared with
+// anything that needs to line up with bars, e.g. recordings and the looper.
+
+export const DEFAULT_METRONOME = {
+  bpm: 100,
+  beatsPerBar: 4,
+  beatUnit: 4, // 4 = quarter-note beats, 8 = eighth-note beats
+  subdivision: 1, // clicks per beat (2 = eighths over quarter beats, 3 = triplets, ...)
+  accents: null, // per-beat level: 2 accent, 1 normal, 0 silent; null = defaultAccents()
+  volume: 0.6
+};
+
+export const MIN_BPM = 30;
+export const MAX_BPM = 300;
+const LOOKAHEAD_MS = 25;
+const SCHEDULE_AHEAD_SECONDS = 0.1;
+const START_DELAY_SECONDS = 0.05; // First click slightly in the future so it is never late
+const CLICK_SECONDS = 0.03;
+const CLICK_FREQUENCIES = { accent: 1760, beat: 1320, subdivision: 990 };
+const CLICK_LEVELS = { accent: 1, beat: 0.7, subdivision: 0.35 };
+
+// Downbeat accented; compound meters (6/8, 9/8, 12/8) also accent every dotted beat
+export function defaultAccents(beatsPerBar, beatUnit = 4) {
+  const compound = beatUnit === 8 && beatsPerBar % 3 === 0 && beatsPerBar > 3;
+  return Array.from({ length: beatsPerBar }, (_, beat) => {
+    if (beat === 0) return 2;
+    return compound && beat % 3 === 0 ? 2 : 1;
+  });
+}
+
+export function initMetronome({ getAudioContext, getDestination, settings = DEFAULT_METRONOME, onBeat } = {}) {
+  const state = {
+    settings: { ...DEFAULT_METRONOME, ...settings },
+    running: false,
+    timer: null,
+    output: null, // GainNode on the current context
+    // Tempo anchor: beat number `anchorBeat` falls at context time `anchorTime`
+    anchorTime: 0,
+    anchorBeat: 0,
+    nextTick: 0, // index of the next subdivision tick to schedule
+    listeners: new Set()
+  };
+
+  const secondsPerBeat = () => 60 / state.settings.bpm;
+
+  function accentsFor(settings = state.settings) {
+    const accents = settings.accents;
+    if (Array.isArray(accents) && accents.length === settings.beatsPerBar) return accents;
+    return defaultAccents(settings.beatsPerBar, settings.beatUnit);
+  }
+
+  function ensureOutput(ctx) {
+    if (!state.output || state.output.context !== ctx) {
+      state.output = ctx.createGain();
+      state.output.connect(getDestination?.() || ctx.destination);
+    }
+    state.output.gain.value = state.settings.volume;
+    return state.output;
+  }
+
+  function scheduleClick(ctx, time, kind) {
+    const osc = ctx.createOscillator();
+    const amp = ctx.createGain();
+    osc.frequency.value = CLICK_FREQUENCIES[kind];
+    amp.gain.setValueAtTime(CLICK_LEVELS[kind], time);
+    amp.gain.exponentialRampToValueAtTime(0.001, time + CLICK_SECONDS);
+    osc.connect(amp).connect(ensureOutput(ctx));
+    osc.start(time);
+    osc.stop(time + CLICK_SECONDS + 0.01);
+    osc.onended = () => amp.disconnect();
+  }
+
+  function tickTime(tick) {
+    return state.anchorTime + (tick / state.settings.subdivision - state.anchorBeat) * secondsPerBeat();
+  }
+
+  function scheduler() {
+    const ctx = getAudioContext();
+    if (!ctx || !state.running) return;
+    const { subdivision, beatsPerBar } = state.settings;
+    const accents = accentsFor();
+    while (tickTime(state.nextTick) < ctx.currentTime + SCHEDULE_AHEAD_SECONDS) {
+      const tick = state.nextTick++;
+      const time = tickTime(tick);
+      if (time < ctx.currentTime - 0.01) continue; // skip ticks missed while the tab was throttled
+      const totalBeat = Math.floor(tick / subdivision);
+      const sub = tick % subdivision;
+      const beat = totalBeat % beatsPerBar;
+      const level = accents[beat];
+      if (level > 0) {
+        scheduleClick(ctx, time, sub > 0 ? 'subdivision' : level === 2 ? 'accent' : 'beat');
+      }
+      const event = { time, bar: Math.floor(totalBeat / beatsPerBar), beat, sub, accent: level === 2 && sub === 0 };
+      onBeat?.(event);
+      state.listeners.forEach(listener => listener(event));
+    }
+  }
+
+  function start() {
+    const ctx = getAudioContext();
+    if (!ctx || state.running) return;
+    state.running = true;
+    state.anchorTime = ctx.currentTime + START_DELAY_SECONDS;
+    state.anchorBeat = 0;
+    state.nextTick = 0;
+    ensureOutput(ctx);
+    scheduler();
+    state.timer = setInterval(scheduler, LOOKAHEAD_MS);
+  }
+
+  function stop() {
+    if (!state.running) return;
+    state.running = false;
+    clearInterval(state.timer);
+    state.timer = null;
+  }
+
+  // Tempo changes keep the current position: re-anchor at the next tick still to be scheduled
+  function update(next) {
+    const previous = state.settings;
+    const merged = { ...previous, ...next };
+    merged.bpm = Math.min(MAX_BPM, Math.max(MIN_BPM, merged.bpm));
+    if (state.running && (merged.bpm !== previous.bpm || merged.subdivision !== previous.subdivision)) {
+      const time = tickTime(state.nextTick);
+      const beat = state.nextTick / previous.subdivision;
+      // Continue on the new subdivision's tick grid from the first tick at or after `beat`
+      state.nextTick = Math.ceil(beat * merged.subdivision);
+      state.anchorBeat = state.nextTick / merged.subdivision;
+      state.anchorTime = time + (state.anchorBeat - beat) * (60 / merged.bpm);
+    }
+    state.settings = merged;
+    if (state.output) state.output.gain.value = merged.volume;
+  }
+
+  // Bar/beat position at a context time; bar and beat are 0-based, fraction is within the beat
+  function positionAt(time) {
+    const beats = state.anchorBeat + (time - state.anchorTime) / secondsPerBeat();
+    const whole = Math.floor(beats);
+    const { beatsPerBar } = state.settings;
+    return {
+      beats,
+      bar: Math.floor(whole / beatsPerBar),
+      beat: ((whole % beatsPerBar) + beatsPerBar) % beatsPerBar,
+      fraction: beats - whole
+    };
+  }
+
+  function timeOfBar(bar) {
+    return state.anchorTime + (bar * state.settings.beatsPerBar - state.anchorBeat) * secondsPerBeat();
+  }
+
+  // Start of the first bar at or after `time`
+  function nextBarTime(time) {
+    const { bar, beat, fraction } = positionAt(time);
+    return beat === 0 && fraction < 1e-6 ? time : timeOfBar(bar + 1);
+  }
+
+  return {
+    start,
+    stop,
+    toggle: () => (state.running ? stop() : start()),
+    update,
+    isRunning: () => state.running,
+    getSettings: () => ({ ...state.settings, accents: accentsFor() }),
+    getClock: () => ({
+      running: state.running,
+      bpm: state.settings.bpm,
+      beatsPerBar: state.settings.beatsPerBar,
+      beatUnit: state.settings.beatUnit,
+      secondsPerBeat: secondsPerBeat(),
+      secondsPerBar: secondsPerBeat() * state.settings.beatsPerBar,
+      barZeroTime: timeOfBar(0)
+    }),
+    positionAt,
+    timeOfBar,
+    nextBarTime,
+    subscribe: listener => {
+      state.listeners.add(listener);
+      return () => state.listeners.delete(listener);
+    }
+  };
+}
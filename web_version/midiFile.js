@@ -0,0 +1,332 @@
+// Standard MIDI Files: write recorded takes (recorder.js) as format 0 or 1 .mid files,
+// and read .mid files (any format) into timed notes for the MIDI file player.
+//
+// Times in a take are milliseconds; they are converted to ticks at the take's tempo, after a
+// leading rest that puts the take's first metronome downbeat (tempo.barOffset) on a bar line,
+// so a take recorded against the metronome lines up with bars in a DAW. The metronome's bpm
+// counts its beat unit (eighths in 6/8), MIDI tempo always counts quarter notes.
+
+export const DEFAULT_PPQ = 480; // ticks per quarter note
+export const CC_SUSTAIN_PEDAL = 64;
+const DEFAULT_TEMPO = { bpm: 120, beatsPerBar: 4, beatUnit: 4, barOffset: 0 };
+const NOTE_OFF_VELOCITY = 64;
+
+// Variable-length quantity: 7 bits per byte, high bit set on all but the last
+function writeVarLength(value, out) {
+  let buffer = value & 0x7f;
+  while ((value >>= 7) > 0) {
+    buffer = (buffer << 8) | 0x80 | (value & 0x7f);
+  }
+  for (;;) {
+    out.push(buffer & 0xff);
+    if (buffer & 0x80) buffer >>= 8;
+    else break;
+  }
+}
+
+const textBytes = text => [...new TextEncoder().encode(text)];
+
+function chunk(type, data) {
+  const length = data.length;
+  return [...textBytes(type), (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff, ...data];
+}
+
+// Events: [{ tick, order, bytes }]; order breaks ties (note offs before note ons)
+function trackChunk(events, name) {
+  const data = [];
+  if (name) data.push(0x00, 0xff, 0x03, ...lengthPrefixed(textBytes(name)));
+  let lastTick = 0;
+  [...events]
+    .sort((a, b) => a.tick - b.tick || a.order - b.order)
+    .forEach(event => {
+      writeVarLength(event.tick - lastTick, data);
+      data.push(...event.bytes);
+      lastTick = event.tick;
+    });
+  data.push(0x00, 0xff, 0x2f, 0x00); // end of track
+  return chunk('MTrk', data);
+}
+
+function lengthPrefixed(bytes) {
+  const out = [];
+  writeVarLength(bytes.length, out);
+  return [...out, ...bytes];
+}
+
+// Tempo and time signature meta events at tick 0
+function tempoEvents({ bpm, beatsPerBar, beatUnit }) {
+  const quarterBpm = bpm * (4 / beatUnit);
+  const microsPerQuarter = Math.round(60000000 / quarterBpm);
+  const clocksPerClick = Math.round(24 * (4 / beatUnit));
+  return [
+    { tick: 0, order: 0, bytes: [0xff, 0x51, 0x03, (microsPerQuarter >> 16) & 0xff, (microsPerQuarter >> 8) & 0xff, microsPerQuarter & 0xff] },
+    { tick: 0, order: 0, bytes: [0xff, 0x58, 0x04, beatsPerBar, Math.round(Math.log2(beatUnit)), clocksPerClick, 8] }
+  ];
+}
+
+// Track a note event belongs to when splitting by hand: 'hand:1_3' -> 'Hand 2'
+function partForSource(source) {
+  const [prefix, id = ''] = String(source).split(':');
+  if (prefix === 'hand') {
+    const handIndex = parseInt(id.split('_')[0], 10);
+    return Number.isInteger(handIndex) ? `Hand ${handIndex + 1}` : 'Hands';
+  }
+  if (prefix === 'midi') return 'MIDI';
+  return 'Keyboard';
+}
+
+// Channel voice events of a take, grouped into parts: Map(partName -> [{ tick, order, bytes }])
+// Pedal events go to every part so each track sustains on its own channel.
+function noteParts(take, { splitHands, msToTicks }) {
+  const parts = new Map();
+  const partFor = name => {
+    if (!parts.has(name)) parts.set(name, []);
+    return parts.get(name);
+  };
+  const notes = take.events.filter(event => event.type !== 'pedal' && Number.isInteger(event.midi));
+  notes.forEach(event => partFor(splitHands ? partForSource(event.source) : 'Piano'));
+  if (parts.size === 0) partFor('Piano');
+
+  const channels = new Map([...parts.keys()].map((name, i) => [name, i % 16]));
+  notes.forEach(event => {
+    const name = splitHands ? partForSource(event.source) : 'Piano';
+    const channel = channels.get(name);
+    const tick = msToTicks(event.time);
+    const isOn = event.type === 'noteOn';
+    const velocity = isOn ? Math.max(1, Math.min(127, Math.round(event.velocity ?? 100))) : NOTE_OFF_VELOCITY;
+    parts.get(name).push({ tick, order: isOn ? 2 : 0, bytes: [(isOn ? 0x90 : 0x80) | channel, event.midi & 0x7f, velocity] });
+  });
+  take.events.filter(event => event.type === 'pedal').forEach(event => {
+    parts.forEach((events, name) => {
+      events.push({ tick: msToTicks(event.time), order: 1, bytes: [0xb0 | channels.get(name), CC_SUSTAIN_PEDAL, event.down ? 127 : 0] });
+    });
+  });
+  return parts;
+}
+
+// A take as a .mid file. format 0: one track; format 1: a tempo track plus one note track,
+// or one per hand (and keyboard/MIDI input) with splitHands.
+export function writeMidiFile(take, { format = 1, splitHands = false, ppq = DEFAULT_PPQ } = {}) {
+  const tempo = { ...DEFAULT_TEMPO, ...take.tempo };
+  const ticksPerMs = (tempo.bpm * (4 / tempo.beatUnit) * ppq) / 60000;
+  const barMs = (tempo.beatsPerBar * 60000) / tempo.bpm;
+  const leadIn = (barMs - (tempo.barOffset % barMs)) % barMs; // the part bar before the first downbeat
+  const msToTicks = ms => Math.max(0, Math.round((ms + leadIn) * ticksPerMs));
+  const parts = noteParts(take, { splitHands: format === 1 && splitHands, msToTicks });
+
+  const tracks = format === 0
+    ? [trackChunk([...tempoEvents(tempo), ...[...parts.values()].flat()], take.name)]
+    : [
+      trackChunk(tempoEvents(tempo), take.name),
+      ...[...parts].map(([name, events]) => trackChunk(events, name))
+    ];
+  const header = chunk('MThd', [0, format, tracks.length >> 8, tracks.length & 0xff, ppq >> 8, ppq & 0xff]);
+  return new Uint8Array([...header, ...tracks.flat()]);
+}
+
+// Reading ---------------------------------------------------------------------------
+
+function createReader(bytes) {
+  let offset = 0;
+  const reader = {
+    get offset() {
+      return offset;
+    },
+    set offset(value) {
+      offset = value;
+    },
+    eof: () => offset >= bytes.length,
+    byte() {
+      if (offset >= bytes.length) throw new Error('Unexpected end of MIDI file');
+      return bytes[offset++];
+    },
+    bytes(count) {
+      if (offset + count > bytes.length) throw new Error('Unexpected end of MIDI file');
+      const slice = bytes.subarray(offset, offset + count);
+      offset += count;
+      return slice;
+    },
+    uint(count) {
+      let value = 0;
+      for (let i = 0; i < count; i++) value = value * 256 + reader.byte();
+      return value;
+    },
+    varLength() {
+      let value = 0;
+      for (let i = 0; i < 4; i++) {
+        const byte = reader.byte();
+        value = value * 128 + (byte & 0x7f);
+        if (!(byte & 0x80)) return value;
+      }
+      throw new Error('Invalid variable-length value in MIDI file');
+    },
+    text(count) {
+      return new TextDecoder().decode(reader.bytes(count));
+    }
+  };
+  return reader;
+}
+
+// One MTrk chunk -> { name, events: [{ tick, kind, ... }] }
+function readTrack(reader, end) {
+  const track = { name: '', events: [] };
+  let tick = 0;
+  let runningStatus = null;
+  while (reader.offset < end) {
+    tick += reader.varLength();
+    let status = reader.byte();
+    if (status < 0x80) {
+      // Running status: the byte just read is the first data byte
+      if (runningStatus === null) throw new Error('MIDI file uses running status with no channel event to repeat');
+      reader.offset--;
+      status = runningStatus;
+    }
+    if (status === 0xff) {
+      runningStatus = null; // meta and sysex events cancel running status
+      const type = reader.byte();
+      const length = reader.varLength();
+      const data = reader.bytes(length);
+      if (type === 0x03 && !track.name) track.name = new TextDecoder().decode(data);
+      if (type === 0x51 && length === 3) track.events.push({ tick, kind: 'tempo', microsPerQuarter: (data[0] << 16) | (data[1] << 8) | data[2] });
+      if (type === 0x58 && length >= 2) track.events.push({ tick, kind: 'timeSignature', beatsPerBar: data[0], beatUnit: Math.pow(2, data[1]) });
+      if (type === 0x2f) break;
+      continue;
+    }
+    if (status === 0xf0 || status === 0xf7) {
+      runningStatus = null;
+      reader.bytes(reader.varLength()); // sysex: skipped
+      continue;
+    }
+    runningStatus = status;
+    const type = status & 0xf0;
+    const channel = status & 0x0f;
+    const data1 = reader.byte();
+    const data2 = type === 0xc0 || type === 0xd0 ? 0 : reader.byte();
+    if (type === 0x90 && data2 > 0) {
+      track.events.push({ tick, kind: 'noteOn', channel, midi: data1, velocity: data2 });
+    } else if (type === 0x80 || type === 0x90) {
+      track.events.push({ tick, kind: 'noteOff', channel, midi: data1 });
+    } else if (type === 0xb0 && data1 === CC_SUSTAIN_PEDAL) {
+      track.events.push({ tick, kind: 'pedal', channel, down: data2 >= 64 });
+    }
+  }
+  reader.offset = end;
+  return track;
+}
+
+// ticks -> seconds following every tempo change (SMPTE files use a fixed tick length)
+function createTickClock(division, tempoEvents) {
+  if (division & 0x8000) {
+    const framesPerSecond = 256 - (division >> 8); // stored as a negative number
+    const ticksPerFrame = division & 0xff;
+    return tick => tick / (framesPerSecond * ticksPerFrame);
+  }
+  const segments = [{ tick: 0, seconds: 0, microsPerQuarter: 500000 }]; // 120 bpm until told otherwise
+  [...tempoEvents].sort((a, b) => a.tick - b.tick).forEach(event => {
+    const last = segments[segments.length - 1];
+    const seconds = last.seconds + ((event.tick - last.tick) * last.microsPerQuarter) / (division * 1e6);
+    if (event.tick === last.tick) segments.pop();
+    segments.push({ tick: event.tick, seconds, microsPerQuarter: event.microsPerQuarter });
+  });
+  return tick => {
+    let segment = segments[0];
+    for (const next of segments) {
+      if (next.tick > tick) break;
+      segment = next;
+    }
+    return segment.seconds + ((tick - segment.tick) * segment.microsPerQuarter) / (division * 1e6);
+  };
+}
+
+// Ticks each bar starts at, up to endTick, following every time signature change. A change
+// that does not fall on a bar line starts a new bar there.
+function barStartTicks(ticksPerQuarter, meterEvents, endTick) {
+  const meters = [...meterEvents].sort((a, b) => a.tick - b.tick);
+  const starts = [];
+  let meter = { beatsPerBar: 4, beatUnit: 4 };
+  let next = 0; // index into meters
+  for (let tick = 0; tick <= endTick || starts.length === 0;) {
+    while (next < meters.length && meters[next].tick <= tick) meter = meters[next++];
+    starts.push(tick);
+    const barTicks = Math.max(1, meter.beatsPerBar * ticksPerQuarter * (4 / meter.beatUnit));
+    tick = next < meters.length ? Math.min(tick + barTicks, meters[next].tick) : tick + barTicks;
+  }
+  return starts;
+}
+
+// .mid bytes -> { format, tracks: [{ name, noteCount }], notes, pedals, duration, tempo, timeSignature, barStarts }
+//   notes:  [{ track, channel, midi, velocity, start, end }] (seconds, sorted by start)
+//   pedals: [{ track, channel, time, down }]
+//   tempo and timeSignature are the first ones; barStarts (seconds) follows every change
+// Throws on files that are not Standard MIDI Files.
+export function parseMidiFile(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const reader = createReader(bytes);
+  if (reader.text(4) !== 'MThd') throw new Error('Not a MIDI file (missing MThd header)');
+  const headerLength = reader.uint(4);
+  const headerEnd = reader.offset + headerLength;
+  const format = reader.uint(2);
+  const trackCount = reader.uint(2);
+  const division = reader.uint(2);
+  if ((division & 0x8000 ? division & 0xff : division) === 0) throw new Error('MIDI file has no tick length (division 0)');
+  reader.offset = headerEnd;
+
+  const tracks = [];
+  while (tracks.length < trackCount && !reader.eof()) {
+    const type = reader.text(4);
+    const length = reader.uint(4);
+    const end = Math.min(bytes.length, reader.offset + length);
+    if (type === 'MTrk') tracks.push(readTrack(reader, end));
+    else reader.offset = end; // unknown chunk types are skipped, as the spec asks
+  }
+  if (tracks.length === 0) throw new Error('MIDI file has no tracks');
+
+  const allEvents = tracks.flatMap(track => track.events);
+  const secondsAt = createTickClock(division, allEvents.filter(event => event.kind === 'tempo'));
+  const notes = [];
+  const pedals = [];
+  let lastTick = 0;
+  tracks.forEach((track, trackIndex) => {
+    const open = new Map(); // channel:midi -> note ons waiting for their note off
+    track.events.forEach(event => {
+      lastTick = Math.max(lastTick, event.tick);
+      if (event.kind === 'noteOn') {
+        const key = `${event.channel}:${event.midi}`;
+        if (!open.has(key)) open.set(key, []);
+        open.get(key).push(event);
+      } else if (event.kind === 'noteOff') {
+        const start = open.get(`${event.channel}:${event.midi}`)?.shift();
+        if (!start) return;
+        notes.push({ track: trackIndex, channel: event.channel, midi: event.midi, velocity: start.velocity, start: secondsAt(start.tick), end: secondsAt(event.tick) });
+      } else if (event.kind === 'pedal') {
+        pedals.push({ track: trackIndex, channel: event.channel, time: secondsAt(event.tick), down: event.down });
+      }
+    });
+    // Notes never switched off end with the track
+    const trackEnd = track.events.length > 0 ? track.events[track.events.length - 1].tick : 0;
+    open.forEach(starts => starts.forEach(start => {
+      notes.push({ track: trackIndex, channel: start.channel, midi: start.midi, velocity: start.velocity, start: secondsAt(start.tick), end: secondsAt(trackEnd) });
+    }));
+  });
+  notes.sort((a, b) => a.start - b.start || a.midi - b.midi);
+  pedals.sort((a, b) => a.time - b.time);
+
+  const firstTempo = allEvents.find(event => event.kind === 'tempo');
+  const firstMeter = allEvents.find(event => event.kind === 'timeSignature');
+  // SMPTE files have no beats; their bars are counted at 120 bpm
+  const ticksPerQuarter = division & 0x8000 ? ((256 - (division >> 8)) * (division & 0xff)) / 2 : division;
+  const meterEvents = allEvents.filter(event => event.kind === 'timeSignature');
+  return {
+    format,
+    tracks: tracks.map((track, i) => ({
+      name: track.name || `Track ${i + 1}`,
+      noteCount: notes.filter(note => note.track === i).length
+    })),
+    notes,
+    pedals,
+    duration: notes.reduce((latest, note) => Math.max(latest, note.end), secondsAt(lastTick)),
+    tempo: firstTempo ? 60000000 / firstTempo.microsPerQuarter : 120, // quarter notes per minute
+    timeSignature: firstMeter ? { beatsPerBar: firstMeter.beatsPerBar, beatUnit: firstMeter.beatUnit } : { beatsPerBar: 4, beatUnit: 4 },
+    barStarts: barStartTicks(ticksPerQuarter, meterEvents, lastTick).map(secondsAt)
+  };
+}
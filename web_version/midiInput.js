@@ -0,0 +1,52 @@
+// Web MIDI input: forwards note on/off and control change messages from every
+// connected input device. Access is requested lazily from a user gesture.
+// Note callbacks also get the event's timeStamp (performance.now() clock).
+
+export const CC_SUSTAIN = 64;
+
+export function initMidiInput({ onNoteOn, onNoteOff, onControlChange, onStatusChange } = {}) {
+  const state = {
+    access: null,
+    inputs: []
+  };
+
+  function handleMessage(event) {
+    const [status, data1, data2 = 0] = event.data;
+    const type = status & 0xf0;
+    const channel = status & 0x0f;
+
+    if (type === 0x90 && data2 > 0) {
+      onNoteOn?.(data1, data2, channel, event.timeStamp);
+    } else if (type === 0x80 || type === 0x90) {
+      // Note on with velocity 0 is a note off (running status)
+      onNoteOff?.(data1, channel, event.timeStamp);
+    } else if (type === 0xb0) {
+      onControlChange?.(data1, data2, channel);
+    }
+  }
+
+  function attachInputs() {
+    state.inputs.forEach(input => (input.onmidimessage = null));
+    state.inputs = [...state.access.inputs.values()];
+    state.inputs.forEach(input => (input.onmidimessage = handleMessage));
+    onStatusChange?.(state.inputs.map(input => input.name));
+  }
+
+  async function connect() {
+    if (!navigator.requestMIDIAccess) {
+      throw new Error('Web MIDI is not supported in this browser');
+    }
+    if (!state.access) {
+      state.access = await navigator.requestMIDIAccess();
+      state.access.onstatechange = attachInputs;
+    }
+    attachInputs();
+    return state.inputs.map(input => input.name);
+  }
+
+  return {
+    connect,
+    isConnected: () => state.inputs.length > 0,
+    getInputNames: () => state.inputs.map(input => input.name)
+  };
+}
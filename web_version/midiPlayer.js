@@ -0,0 +1,208 @@
+// Transport for songs read by parseMidiFile (midiFile.js): play, pause, seek, tempo
+// scale, an A-B loop region and per-track mute. The player only times events; whoever
+// creates it turns them into sound and key highlights through onEvent:
+//   { type: 'noteOn', midi, velocity, track, channel }
+//   { type: 'noteOff', midi, track, channel }
+//   { type: 'pedal', down, track }
+// Every note switched on is switched off again, also on pause, seek, mute and loop.
+
+export const MIN_TEMPO_SCALE = 0.25;
+export const MAX_TEMPO_SCALE = 2;
+
+// Song -> time-ordered events; note offs sort before note ons at the same time
+function songEvents(song) {
+  const events = [];
+  song.notes.forEach((note, id) => {
+    events.push({ time: note.start, order: 2, type: 'noteOn', id, midi: note.midi, velocity: note.velocity, track: note.track, channel: note.channel });
+    events.push({ time: note.end, order: 0, type: 'noteOff', id, midi: note.midi, track: note.track, channel: note.channel });
+  });
+  song.pedals.forEach(pedal => {
+    events.push({ time: pedal.time, order: 1, type: 'pedal', down: pedal.down, track: pedal.track, channel: pedal.channel });
+  });
+  return events.sort((a, b) => a.time - b.time || a.order - b.order);
+}
+
+export function initMidiPlayer({ onEvent, onStateChange, now = () => performance.now() } = {}) {
+  const state = {
+    song: null,
+    events: [],
+    index: 0, // next event to dispatch
+    playing: false,
+    // Position anchor: song time `anchorPosition` (seconds) at wall-clock `anchorTime` (ms)
+    anchorPosition: 0,
+    anchorTime: 0,
+    tempoScale: 1,
+    loop: null, // { start, end } in song seconds
+    muted: new Set(), // track indices
+    sounding: new Map(), // note id -> noteOn event
+    pedals: new Set(), // tracks holding the pedal
+    timer: null
+  };
+
+  const position = () => (state.playing
+    ? state.anchorPosition + ((now() - state.anchorTime) / 1000) * state.tempoScale
+    : state.anchorPosition);
+
+  const notify = () => onStateChange?.(getState());
+
+  function getState() {
+    return {
+      loaded: !!state.song,
+      playing: state.playing,
+      position: Math.min(position(), state.song?.duration ?? 0),
+      duration: state.song?.duration ?? 0,
+      tempoScale: state.tempoScale,
+      loop: state.loop,
+      muted: [...state.muted]
+    };
+  }
+
+  function dispatch(event) {
+    if (event.type === 'noteOn') {
+      if (state.muted.has(event.track)) return;
+      state.sounding.set(event.id, event);
+    } else if (event.type === 'noteOff') {
+      if (!state.sounding.delete(event.id)) return; // muted, or cut by a seek
+    } else if (event.type === 'pedal') {
+      if (state.muted.has(event.track)) return;
+      if (event.down) state.pedals.add(event.track);
+      else if (!state.pedals.delete(event.track)) return;
+    }
+    onEvent?.(event);
+  }
+
+  // Switch off what is sounding (optionally only for one track)
+  function silence(track = null) {
+    state.sounding.forEach((event, id) => {
+      if (track !== null && event.track !== track) return;
+      state.sounding.delete(id);
+      onEvent?.({ ...event, type: 'noteOff' });
+    });
+    state.pedals.forEach(pedalTrack => {
+      if (track !== null && pedalTrack !== track) return;
+      state.pedals.delete(pedalTrack);
+      onEvent?.({ type: 'pedal', down: false, track: pedalTrack });
+    });
+  }
+
+  // First event at or after a song time
+  function indexAt(time) {
+    let low = 0;
+    let high = state.events.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (state.events[mid].time < time) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  function schedule() {
+    clearTimeout(state.timer);
+    state.timer = null;
+    if (!state.playing) return;
+    const current = position();
+    const loopEnd = state.loop ? state.loop.end : Infinity;
+    const nextEvent = state.events[state.index]?.time ?? state.song.duration;
+    const wait = (Math.min(nextEvent, loopEnd, state.song.duration) - current) / state.tempoScale;
+    state.timer = setTimeout(tick, Math.max(0, wait * 1000));
+  }
+
+  function tick() {
+    if (!state.playing) return;
+    const current = position();
+    if (state.loop && current >= state.loop.end) {
+      seekTo(state.loop.start);
+      return;
+    }
+    while (state.index < state.events.length && state.events[state.index].time <= current) {
+      dispatch(state.events[state.index++]);
+    }
+    if (state.index >= state.events.length && current >= state.song.duration) {
+      pause();
+      seekTo(0);
+      return;
+    }
+    schedule();
+  }
+
+  function seekTo(time) {
+    if (!state.song) return;
+    silence();
+    const target = Math.max(0, Math.min(state.song.duration, time));
+    state.anchorPosition = target;
+    state.anchorTime = now();
+    state.index = indexAt(target);
+    schedule();
+    notify();
+  }
+
+  function play() {
+    if (!state.song || state.playing) return;
+    if (state.loop && (position() < state.loop.start || position() >= state.loop.end)) {
+      state.anchorPosition = state.loop.start;
+      state.index = indexAt(state.loop.start);
+    }
+    state.playing = true;
+    state.anchorTime = now();
+    tick();
+    notify();
+  }
+
+  function pause() {
+    if (!state.playing) return;
+    state.anchorPosition = position();
+    state.playing = false;
+    clearTimeout(state.timer);
+    silence();
+    notify();
+  }
+
+  return {
+    load(song) {
+      pause();
+      silence();
+      state.song = song;
+      state.events = songEvents(song);
+      state.loop = null;
+      state.muted.clear();
+      state.anchorPosition = 0;
+      state.index = 0;
+      notify();
+    },
+    play,
+    pause,
+    toggle: () => (state.playing ? pause() : play()),
+    seek: seekTo,
+    // Keeps the current position; only the speed from here on changes
+    setTempoScale(scale) {
+      const current = position();
+      state.tempoScale = Math.min(MAX_TEMPO_SCALE, Math.max(MIN_TEMPO_SCALE, scale));
+      state.anchorPosition = current;
+      state.anchorTime = now();
+      schedule();
+      notify();
+    },
+    // { start, end } in seconds, or null to play through
+    setLoop(loop) {
+      state.loop = loop && loop.end > loop.start ? { start: loop.start, end: loop.end } : null;
+      if (state.loop && state.playing && (position() < state.loop.start || position() >= state.loop.end)) {
+        seekTo(state.loop.start);
+        return;
+      }
+      schedule();
+      notify();
+    },
+    setTrackMuted(track, muted) {
+      if (muted) {
+        state.muted.add(track);
+        silence(track);
+      } else {
+        state.muted.delete(track);
+      }
+      notify();
+    },
+    getState,
+    getSong: () => state.song
+  };
+}
@@ -0,0 +1,96 @@
+// Mixer: one gain channel per input source, summed into a master volume/mute stage.
+//
+//   hand / keyboard / midi / playback -> effects bus (effects.js) -> master -> destination
+//   metronome ------------------------------------------------------^ (kept dry)
+//
+// Every channel and the master have an AnalyserNode tap for level meters.
+
+export const MIXER_CHANNELS = {
+  hand: { name: 'Hands', effects: true },
+  keyboard: { name: 'Keyboard', effects: true },
+  midi: { name: 'MIDI', effects: true },
+  playback: { name: 'Playback', effects: true },
+  metronome: { name: 'Metronome', effects: false }
+};
+
+export const DEFAULT_MIXER = {
+  masterVolume: 0.9,
+  muted: false,
+  levels: { hand: 1, keyboard: 1, midi: 1, playback: 1, metronome: 1 } // linear gain, 0-1.5
+};
+
+const METER_FFT_SIZE = 512;
+const SMOOTHING = 0.02; // seconds, time constant for level changes (avoids zipper noise)
+
+// Mixer channel for a voice source id: 'hand:0_1' -> hand, 'key:q' -> keyboard, 'midi:0' -> midi
+export function channelForSource(source) {
+  const prefix = String(source).split(':')[0];
+  if (prefix === 'key') return 'keyboard';
+  return MIXER_CHANNELS[prefix] ? prefix : 'keyboard';
+}
+
+function createMeter(ctx) {
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = METER_FFT_SIZE;
+  const samples = new Float32Array(analyser.fftSize);
+  return {
+    analyser,
+    // Peak level of the last block, 0-1 (linear)
+    read() {
+      analyser.getFloatTimeDomainData(samples);
+      let peak = 0;
+      for (let i = 0; i < samples.length; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+      }
+      return peak;
+    }
+  };
+}
+
+export function createMixer(ctx, settings = DEFAULT_MIXER, destination = ctx.destination) {
+  const master = ctx.createGain();
+  const masterMeter = createMeter(ctx);
+  master.connect(masterMeter.analyser);
+  master.connect(destination);
+
+  const channels = {};
+  Object.entries(MIXER_CHANNELS).forEach(([id, spec]) => {
+    const gain = ctx.createGain();
+    const meter = createMeter(ctx);
+    gain.connect(meter.analyser);
+    if (!spec.effects) gain.connect(master);
+    channels[id] = { gain, meter, spec };
+  });
+
+  function update(next) {
+    const now = ctx.currentTime;
+    master.gain.setTargetAtTime(next.muted ? 0 : next.masterVolume, now, SMOOTHING);
+    Object.entries(channels).forEach(([id, channel]) => {
+      channel.gain.gain.setTargetAtTime(next.levels[id] ?? 1, now, SMOOTHING);
+    });
+  }
+
+  update(settings);
+
+  return {
+    // Where the effects bus sends its output
+    master,
+    // Route the channels that go through effects (call once the effects bus exists)
+    connectEffects(effectsInput) {
+      Object.values(channels).forEach(channel => {
+        if (channel.spec.effects) channel.gain.connect(effectsInput);
+      });
+    },
+    // Input node for a channel id (see MIXER_CHANNELS)
+    input: id => (channels[id] || channels.keyboard).gain,
+    update,
+    // Peak levels (0-1) for the master and every channel
+    getLevels() {
+      const levels = { master: masterMeter.read() };
+      Object.entries(channels).forEach(([id, channel]) => {
+        levels[id] = channel.meter.read();
+      });
+      return levels;
+    }
+  };
+}
@@ -0,0 +1,29 @@
+// Note name <-> MIDI number helpers shared by the audio, MIDI and layout code.
+// Key layouts mix sharps (C#3, generated/SVG keys) and flats (Db3, paper layout),
+// so parsing accepts both while formatting always uses sharps.
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const NOTE_OFFSETS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// 'C4' -> 60, 'Db3' -> 49, 'A-1' -> 9; returns null for anything unparseable
+export function noteNameToMidi(note) {
+  const match = /^([A-Ga-g])([#sb]?)(-?\d+)$/.exec(String(note).trim());
+  if (!match) return null;
+  const [, letter, accidental, octave] = match;
+  let semitone = NOTE_OFFSETS[letter.toUpperCase()];
+  if (accidental === '#' || accidental === 's') semitone += 1;
+  if (accidental === 'b') semitone -= 1;
+  return (parseInt(octave, 10) + 1) * 12 + semitone;
+}
+
+// 60 -> 'C4', 61 -> 'C#4'
+export function midiToNoteName(midi) {
+  const octave = Math.floor(midi / 12) - 1;
+  return NOTE_NAMES[((midi % 12) + 12) % 12] + octave;
+}
+
+// Equal-tempered frequency at A4 = 440 Hz
+export function midiToFrequency(midi) {
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
@@ -0,0 +1,516 @@
+// Canvas piano roll for editing a take's notes (takeEditor.js). Rows are MIDI notes, high
+// at the top; the strip at the bottom holds one velocity stem per note.
+//
+//   drag a note            move it (and the other selected notes) in time and pitch
+//   drag a note's end      resize it
+//   drag empty space       select with a box (shift adds to the selection)
+//   double-click           add a note on an empty spot, delete the note under the pointer
+//   drag a velocity stem   set its velocity (all selected notes when it is selected)
+//   Delete / Backspace     delete the selection; arrows transpose or nudge it
+//   Ctrl+Z / Ctrl+Shift+Z  undo / redo (through onUndo / onRedo)
+//   wheel                  scroll rows; shift+wheel scrolls time, ctrl+wheel zooms
+//
+// The view never keeps an edit to itself: every finished gesture calls onEdit(notes) with
+// the new note list, and the owner answers with setNotes().
+
+import { midiToNoteName } from './notes.js';
+import { snapTime, MIN_NOTE_MS, ADDED_NOTE_SOURCE } from './takeEditor.js';
+
+const GUTTER = 44; // note names
+const RULER = 18; // bar numbers
+const VELOCITY_LANE = 56;
+const ROW_HEIGHT = 12;
+const EDGE_PX = 6; // grab zone for resizing at a note's end
+const STEM_HIT_PX = 5;
+const DEFAULT_VELOCITY = 80;
+const MIN_ZOOM = 0.02; // px per ms
+const MAX_ZOOM = 1;
+const BLACK_KEYS = new Set([1, 3, 6, 8, 10]);
+
+const COLORS = {
+  background: '#f8fafc',
+  blackRow: '#e2e8f0',
+  outsideRow: 'rgba(148, 163, 184, 0.35)',
+  grid: 'rgba(100, 116, 139, 0.15)',
+  beat: 'rgba(100, 116, 139, 0.35)',
+  bar: 'rgba(30, 41, 59, 0.6)',
+  note: '59, 130, 246', // rgb, alpha from velocity
+  selected: '#f59e0b',
+  playhead: '#ef4444',
+  text: '#334155'
+};
+
+export function initPianoRoll(canvas, { onEdit, onUndo, onRedo, onSelectionChange, getPlayhead = () => null } = {}) {
+  const ctx = canvas.getContext('2d');
+  const state = {
+    notes: [],
+    rows: [], // MIDI numbers, top row first
+    layoutMidis: new Set(), // rows the current keys cover; the rest are shaded
+    timing: { beatMs: 500, barMs: 2000, gridMs: 125, offsetMs: 0 },
+    swing: 0,
+    snap: true,
+    duration: 0,
+    zoom: 0.15, // px per ms
+    scrollMs: 0,
+    scrollY: 0,
+    selection: new Set(),
+    drag: null,
+    lastVelocity: DEFAULT_VELOCITY,
+    frame: null
+  };
+
+  // --- Geometry ---
+
+  const width = () => canvas.clientWidth;
+  const height = () => canvas.clientHeight;
+  const gridBottom = () => height() - VELOCITY_LANE;
+  const timeToX = time => GUTTER + (time - state.scrollMs) * state.zoom;
+  const xToTime = x => (x - GUTTER) / state.zoom + state.scrollMs;
+  const rowTop = index => RULER + index * ROW_HEIGHT - state.scrollY;
+  const rowAt = y => Math.floor((y - RULER + state.scrollY) / ROW_HEIGHT);
+  const rowOf = midi => state.rows.indexOf(midi);
+  const maxScrollY = () => Math.max(0, state.rows.length * ROW_HEIGHT - (gridBottom() - RULER));
+  const snap = time => (state.snap ? snapTime(time, state.timing.gridMs, state.swing, state.timing.offsetMs) : time);
+  // The grid line at or before a time (grid lines start at the take's first downbeat)
+  const gridFloor = time => {
+    const { gridMs, offsetMs } = state.timing;
+    return Math.floor((time - offsetMs) / gridMs) * gridMs + offsetMs;
+  };
+  const clampMidi = midi => Math.min(state.rows[0] ?? midi, Math.max(state.rows.at(-1) ?? midi, midi));
+
+  function noteAt(x, y) {
+    if (y < RULER || y >= gridBottom() || x < GUTTER) return null;
+    const midi = state.rows[rowAt(y)];
+    const time = xToTime(x);
+    // Last drawn wins, like the stacking on screen
+    for (let i = state.notes.length - 1; i >= 0; i--) {
+      const note = state.notes[i];
+      if (note.midi === midi && time >= note.start && time <= note.end) return note;
+    }
+    return null;
+  }
+
+  function stemAt(x) {
+    let best = null;
+    let bestDistance = STEM_HIT_PX;
+    state.notes.forEach(note => {
+      const distance = Math.abs(timeToX(note.start) - x);
+      // Prefer the selection when stems overlap
+      if (distance < bestDistance || (distance === bestDistance && state.selection.has(note.id))) {
+        best = note;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  const velocityFromY = y => Math.round(Math.min(127, Math.max(1, ((height() - 3 - y) / (VELOCITY_LANE - 6)) * 127)));
+
+  // --- Drawing ---
+
+  function resize() {
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(canvas.clientWidth * ratio);
+    canvas.height = Math.round(canvas.clientHeight * ratio);
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    state.scrollY = Math.min(state.scrollY, maxScrollY());
+    draw();
+  }
+
+  function drawRows() {
+    state.rows.forEach((midi, index) => {
+      const top = rowTop(index);
+      if (top + ROW_HEIGHT < RULER || top > gridBottom()) return;
+      if (BLACK_KEYS.has(((midi % 12) + 12) % 12)) {
+        ctx.fillStyle = COLORS.blackRow;
+        ctx.fillRect(GUTTER, top, width() - GUTTER, ROW_HEIGHT);
+      }
+      if (!state.layoutMidis.has(midi)) {
+        ctx.fillStyle = COLORS.outsideRow;
+        ctx.fillRect(GUTTER, top, width() - GUTTER, ROW_HEIGHT);
+      }
+    });
+  }
+
+  function drawTimeLines() {
+    const { gridMs, beatMs, barMs, offsetMs } = state.timing;
+    let start = gridFloor(state.scrollMs);
+    if (start < 0) start += gridMs * Math.ceil(-start / gridMs);
+    const end = xToTime(width());
+    const showGrid = gridMs * state.zoom >= 4;
+    for (let time = start; time <= end; time += gridMs) {
+      const bars = (time - offsetMs) / barMs;
+      const beats = (time - offsetMs) / beatMs;
+      const isBar = Math.abs(bars - Math.round(bars)) < 1e-6;
+      const isBeat = Math.abs(beats - Math.round(beats)) < 1e-6;
+      if (!isBar && !isBeat && !showGrid) continue;
+      const x = Math.round(timeToX(time)) + 0.5;
+      ctx.strokeStyle = isBar ? COLORS.bar : isBeat ? COLORS.beat : COLORS.grid;
+      ctx.beginPath();
+      ctx.moveTo(x, isBar ? 0 : RULER);
+      ctx.lineTo(x, height());
+      ctx.stroke();
+      if (isBar) {
+        ctx.fillStyle = COLORS.text;
+        ctx.fillText(String(Math.round(bars) + 1), x + 3, RULER - 5);
+      }
+    }
+  }
+
+  function drawNotes() {
+    state.notes.forEach(note => {
+      const row = rowOf(note.midi);
+      if (row < 0) return;
+      const x = timeToX(note.start);
+      const w = Math.max(2, (note.end - note.start) * state.zoom);
+      const top = rowTop(row);
+      if (x > width() || x + w < GUTTER || top + ROW_HEIGHT < RULER || top > gridBottom()) return;
+      ctx.fillStyle = `rgba(${COLORS.note}, ${0.35 + 0.65 * (note.velocity / 127)})`;
+      ctx.fillRect(x, top + 1, w, ROW_HEIGHT - 2);
+      if (state.selection.has(note.id)) {
+        ctx.strokeStyle = COLORS.selected;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, top + 1, w, ROW_HEIGHT - 2);
+        ctx.lineWidth = 1;
+      }
+    });
+  }
+
+  function drawVelocities() {
+    const top = gridBottom();
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(GUTTER, top, width() - GUTTER, VELOCITY_LANE);
+    ctx.strokeStyle = COLORS.beat;
+    ctx.beginPath();
+    ctx.moveTo(GUTTER, top + 0.5);
+    ctx.lineTo(width(), top + 0.5);
+    ctx.stroke();
+    state.notes.forEach(note => {
+      const x = Math.round(timeToX(note.start)) + 0.5;
+      if (x < GUTTER || x > width()) return;
+      const stemTop = height() - 3 - (note.velocity / 127) * (VELOCITY_LANE - 6);
+      ctx.strokeStyle = state.selection.has(note.id) ? COLORS.selected : `rgb(${COLORS.note})`;
+      ctx.beginPath();
+      ctx.moveTo(x, height() - 3);
+      ctx.lineTo(x, stemTop);
+      ctx.stroke();
+      ctx.fillStyle = ctx.strokeStyle;
+      ctx.fillRect(x - 2, stemTop - 2, 4, 4);
+    });
+  }
+
+  function drawGutter() {
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, GUTTER, height());
+    ctx.fillStyle = COLORS.text;
+    state.rows.forEach((midi, index) => {
+      const top = rowTop(index);
+      if (top < RULER - 2 || top > gridBottom() - ROW_HEIGHT) return;
+      ctx.fillText(midiToNoteName(midi), 4, top + ROW_HEIGHT - 2);
+    });
+    ctx.fillText('vel', 4, gridBottom() + 14);
+  }
+
+  function draw() {
+    state.frame = null;
+    const w = width();
+    const h = height();
+    ctx.clearRect(0, 0, w, h);
+    ctx.font = '9px sans-serif';
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(0, 0, w, h);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(GUTTER, RULER, w - GUTTER, gridBottom() - RULER);
+    ctx.clip();
+    drawRows();
+    ctx.restore();
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(GUTTER, 0, w - GUTTER, h);
+    ctx.clip();
+    drawTimeLines();
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(GUTTER, RULER, w - GUTTER, gridBottom() - RULER);
+    ctx.clip();
+    drawNotes();
+    ctx.restore();
+    drawVelocities();
+
+    // Take end, playhead and selection box
+    ctx.strokeStyle = COLORS.bar;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(timeToX(state.duration), RULER);
+    ctx.lineTo(timeToX(state.duration), gridBottom());
+    ctx.stroke();
+    ctx.setLineDash([]);
+    const playhead = getPlayhead();
+    if (playhead !== null) {
+      ctx.strokeStyle = COLORS.playhead;
+      ctx.beginPath();
+      ctx.moveTo(timeToX(playhead), 0);
+      ctx.lineTo(timeToX(playhead), h);
+      ctx.stroke();
+    }
+    if (state.drag?.mode === 'box') {
+      const { x0, y0, x1, y1 } = state.drag;
+      ctx.strokeStyle = COLORS.selected;
+      ctx.strokeRect(Math.min(x0, x1), Math.min(y0, y1), Math.abs(x1 - x0), Math.abs(y1 - y0));
+    }
+    ctx.restore();
+
+    drawGutter();
+  }
+
+  const requestDraw = () => {
+    if (!state.frame) state.frame = requestAnimationFrame(draw);
+  };
+
+  // --- Editing ---
+
+  const selectedNotes = () => state.notes.filter(note => state.selection.has(note.id));
+  const nextId = () => state.notes.reduce((max, note) => Math.max(max, note.id), 0) + 1;
+
+  function setSelection(ids) {
+    state.selection = new Set(ids);
+    onSelectionChange?.(selectedNotes());
+    requestDraw();
+  }
+
+  function commit(notes) {
+    onEdit?.(notes);
+  }
+
+  // Copy of the notes with `change` applied to the selected ones
+  function editSelected(change) {
+    if (state.selection.size === 0) return;
+    commit(state.notes.map(note => (state.selection.has(note.id) ? { ...note, ...change(note) } : note)));
+  }
+
+  function pointer(event) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  canvas.addEventListener('pointerdown', (event) => {
+    if (event.button !== 0) return;
+    canvas.focus();
+    const { x, y } = pointer(event);
+    if (x < GUTTER) return;
+
+    if (y >= gridBottom()) {
+      const note = stemAt(x);
+      if (!note) return;
+      const targets = state.selection.has(note.id) ? selectedNotes() : [note];
+      state.drag = { mode: 'velocity', ids: new Set(targets.map(target => target.id)), original: state.notes, changed: false };
+    } else {
+      const note = noteAt(x, y);
+      if (note) {
+        if (event.shiftKey) {
+          const ids = new Set(state.selection);
+          if (ids.has(note.id)) ids.delete(note.id);
+          else ids.add(note.id);
+          setSelection(ids);
+        } else if (!state.selection.has(note.id)) {
+          setSelection([note.id]);
+        }
+        const resizing = timeToX(note.end) - x <= EDGE_PX;
+        const earliest = Math.min(...selectedNotes().map(selected => selected.start));
+        state.drag = { mode: resizing ? 'resize' : 'move', anchor: note, earliest, startX: x, startY: y, original: state.notes, changed: false };
+      } else {
+        state.drag = { mode: 'box', x0: x, y0: y, x1: x, y1: y, base: event.shiftKey ? new Set(state.selection) : new Set() };
+        if (!event.shiftKey) setSelection([]);
+      }
+    }
+    canvas.setPointerCapture(event.pointerId);
+  });
+
+  canvas.addEventListener('pointermove', (event) => {
+    const { x, y } = pointer(event);
+    const drag = state.drag;
+    if (!drag) {
+      const note = y < gridBottom() ? noteAt(x, y) : null;
+      canvas.style.cursor = note && timeToX(note.end) - x <= EDGE_PX ? 'ew-resize' : note ? 'move' : 'default';
+      return;
+    }
+    if (drag.mode === 'box') {
+      drag.x1 = x;
+      drag.y1 = y;
+      const [left, right] = [xToTime(Math.min(drag.x0, x)), xToTime(Math.max(drag.x0, x))];
+      const [top, bottom] = [rowAt(Math.min(drag.y0, y)), rowAt(Math.max(drag.y0, y))];
+      const inside = state.notes.filter(note => {
+        const row = rowOf(note.midi);
+        return note.end >= left && note.start <= right && row >= top && row <= bottom;
+      });
+      setSelection([...drag.base, ...inside.map(note => note.id)]);
+      return;
+    }
+    if (drag.mode === 'velocity') {
+      const velocity = velocityFromY(y);
+      state.lastVelocity = velocity;
+      state.notes = drag.original.map(note => (drag.ids.has(note.id) ? { ...note, velocity } : note));
+      drag.changed = true;
+      requestDraw();
+      return;
+    }
+    const anchor = drag.anchor;
+    const delta = (x - drag.startX) / state.zoom;
+    if (drag.mode === 'move') {
+      // The grabbed note snaps; the rest of the selection keeps its offsets from it
+      const shift = Math.max(-drag.earliest, snap(anchor.start + delta) - anchor.start);
+      const rows = Math.round((y - drag.startY) / ROW_HEIGHT);
+      state.notes = drag.original.map(note => {
+        if (!state.selection.has(note.id)) return note;
+        const row = Math.min(state.rows.length - 1, Math.max(0, rowOf(note.midi) + rows));
+        const midi = state.rows[row] ?? note.midi;
+        return { ...note, start: note.start + shift, end: note.end + shift, midi, note: midiToNoteName(midi) };
+      });
+    } else {
+      const end = Math.max(anchor.start + MIN_NOTE_MS, snap(anchor.end + delta));
+      const change = end - anchor.end;
+      state.notes = drag.original.map(note => (state.selection.has(note.id)
+        ? { ...note, end: Math.max(note.start + MIN_NOTE_MS, note.end + change) }
+        : note));
+    }
+    drag.changed = drag.changed || Math.abs(x - drag.startX) > 2 || Math.abs(y - drag.startY) > 2;
+    requestDraw();
+  });
+
+  const endDrag = () => {
+    const drag = state.drag;
+    state.drag = null;
+    if (!drag) return;
+    if (drag.mode === 'box') {
+      requestDraw();
+    } else if (drag.changed) {
+      commit(state.notes);
+    } else {
+      state.notes = drag.original;
+    }
+  };
+  canvas.addEventListener('pointerup', endDrag);
+  canvas.addEventListener('pointercancel', endDrag);
+
+  canvas.addEventListener('dblclick', (event) => {
+    const { x, y } = pointer(event);
+    if (x < GUTTER || y < RULER || y >= gridBottom()) return;
+    const note = noteAt(x, y);
+    if (note) {
+      state.selection.delete(note.id);
+      commit(state.notes.filter(other => other.id !== note.id));
+      return;
+    }
+    const midi = state.rows[rowAt(y)];
+    if (midi === undefined) return;
+    const start = Math.max(0, state.snap ? gridFloor(xToTime(x)) : xToTime(x));
+    const added = {
+      id: nextId(),
+      note: midiToNoteName(midi),
+      midi,
+      velocity: state.lastVelocity,
+      start,
+      end: start + Math.max(MIN_NOTE_MS, state.timing.gridMs),
+      source: ADDED_NOTE_SOURCE,
+      instrument: state.notes[0]?.instrument ?? null
+    };
+    state.selection = new Set([added.id]);
+    commit([...state.notes, added]);
+  });
+
+  canvas.addEventListener('keydown', (event) => {
+    const key = event.key;
+    const mod = event.ctrlKey || event.metaKey;
+    if (mod && key.toLowerCase() === 'z') {
+      if (event.shiftKey) onRedo?.();
+      else onUndo?.();
+    } else if (mod && key.toLowerCase() === 'y') {
+      onRedo?.();
+    } else if (mod && key.toLowerCase() === 'a') {
+      setSelection(state.notes.map(note => note.id));
+    } else if (key === 'Delete' || key === 'Backspace') {
+      if (state.selection.size === 0) return;
+      const remaining = state.notes.filter(note => !state.selection.has(note.id));
+      state.selection = new Set();
+      commit(remaining);
+    } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+      const step = (key === 'ArrowUp' ? 1 : -1) * (event.shiftKey ? 12 : 1);
+      editSelected(note => {
+        const midi = clampMidi(note.midi + step);
+        return { midi, note: midiToNoteName(midi) };
+      });
+    } else if (key === 'ArrowLeft' || key === 'ArrowRight') {
+      const step = (key === 'ArrowRight' ? 1 : -1) * state.timing.gridMs;
+      if (selectedNotes().some(note => note.start + step < 0)) return;
+      editSelected(note => ({ start: note.start + step, end: note.end + step }));
+    } else {
+      return;
+    }
+    event.preventDefault(); // keep keys out of the piano's computer keyboard input
+    event.stopPropagation();
+  });
+
+  canvas.addEventListener('wheel', (event) => {
+    event.preventDefault();
+    if (event.ctrlKey) {
+      const { x } = pointer(event);
+      const time = xToTime(x);
+      state.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, state.zoom * Math.exp(-event.deltaY * 0.002)));
+      state.scrollMs = Math.max(0, time - (x - GUTTER) / state.zoom);
+    } else if (event.shiftKey || Math.abs(event.deltaX) > Math.abs(event.deltaY)) {
+      const delta = event.shiftKey ? event.deltaY : event.deltaX;
+      state.scrollMs = Math.max(0, state.scrollMs + delta / state.zoom);
+    } else {
+      state.scrollY = Math.min(maxScrollY(), Math.max(0, state.scrollY + event.deltaY));
+    }
+    requestDraw();
+  }, { passive: false });
+
+  // Show the middle of the notes (or of the rows) in view
+  function centerRows() {
+    const midis = state.notes.map(note => note.midi);
+    const middle = midis.length > 0 ? (Math.min(...midis) + Math.max(...midis)) / 2 : state.rows[Math.floor(state.rows.length / 2)];
+    const row = Math.max(0, state.rows.findIndex(midi => midi <= middle));
+    state.scrollY = Math.min(maxScrollY(), Math.max(0, row * ROW_HEIGHT - (gridBottom() - RULER) / 2));
+  }
+
+  return {
+    // notes replace the current ones; the selection keeps the ids that still exist
+    setNotes(notes, { duration = state.duration } = {}) {
+      state.notes = notes;
+      state.duration = duration;
+      const ids = new Set(notes.map(note => note.id));
+      state.selection = new Set([...state.selection].filter(id => ids.has(id)));
+      onSelectionChange?.(selectedNotes());
+      requestDraw();
+    },
+    // rows: MIDI numbers, highest first; layoutMidis: notes the keys on screen play
+    setRows(rows, layoutMidis = new Set(rows)) {
+      state.rows = rows;
+      state.layoutMidis = layoutMidis;
+      centerRows();
+      requestDraw();
+    },
+    // timing from takeTiming(); swing (0-1) and snap apply to dragging and drawing notes
+    setGrid({ timing, swing = state.swing, snap: snapToGrid = state.snap }) {
+      state.timing = timing;
+      state.swing = swing;
+      state.snap = snapToGrid;
+      requestDraw();
+    },
+    // Fit the whole take in the visible width
+    zoomToFit() {
+      const span = Math.max(1000, state.duration);
+      state.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, (width() - GUTTER - 10) / span));
+      state.scrollMs = 0;
+      requestDraw();
+    },
+    getSelection: () => new Set(state.selection),
+    setSelection,
+    resize,
+    draw: requestDraw
+  };
+}
@@ -0,0 +1,114 @@
+// Wait-for-me practice on a lesson song (lesson.js): the song moves on at its own tempo until
+// the next note or chord of the practised hand(s) is due, then waits there until every key of
+// it has been struck. Keys are struck when they go down; one already held when its step comes
+// up has to be played again. A step played before it is due is not waited for.
+//
+// Step: { time (song seconds), notes: [{ midi, hand }] }
+
+export const PRACTICE_HANDS = {
+  both: 'Both hands',
+  right: 'Right hand',
+  left: 'Left hand'
+};
+
+export const CHORD_WINDOW = 0.05; // seconds; notes starting this close together make one chord
+export const WRONG_FLASH_MS = 300;
+
+// hands: 'right'/'left' per song note (assignHands); playable(midi) leaves out notes the
+// learner has no key for
+export function practiceSteps(song, hands, { hand = 'both', playable = () => true } = {}) {
+  const steps = [];
+  song.notes.forEach((note, i) => {
+    if (hand !== 'both' && hands[i] !== hand) return;
+    if (!playable(note.midi)) return;
+    const last = steps.at(-1);
+    if (last && note.start - last.time <= CHORD_WINDOW) {
+      if (!last.notes.some(other => other.midi === note.midi)) last.notes.push({ midi: note.midi, hand: hands[i] });
+    } else {
+      steps.push({ time: note.start, notes: [{ midi: note.midi, hand: hands[i] }] });
+    }
+  });
+  return steps;
+}
+
+export function initPractice({ now = () => performance.now() } = {}) {
+  const state = {
+    active: false,
+    steps: [],
+    index: 0, // step being waited for
+    struck: new Set(), // its keys played so far
+    held: new Set(), // keys down at the last update
+    position: 0, // song seconds at anchorTime
+    anchorTime: 0,
+    tempoScale: 1,
+    endTime: 0 // where the song stops once every step is played
+  };
+
+  const currentStep = () => state.steps[state.index] ?? null;
+
+  // Song time, stopped at the step being waited for
+  function position() {
+    if (!state.active) return state.position;
+    const elapsed = ((now() - state.anchorTime) / 1000) * state.tempoScale;
+    return Math.min(currentStep()?.time ?? state.endTime, state.position + elapsed);
+  }
+
+  return {
+    position,
+    // from: song time the clock starts at (a lead-in before the first step); firstStep: song
+    // time of the first step to wait for (steps before it are skipped); held: keys already down
+    start(steps, { from = 0, firstStep = from, tempoScale = 1, endTime = 0, held = [] } = {}) {
+      state.steps = steps;
+      state.index = steps.findIndex(step => step.time >= firstStep);
+      if (state.index === -1) state.index = steps.length;
+      state.struck = new Set();
+      state.held = new Set(held);
+      state.position = from;
+      state.anchorTime = now();
+      state.tempoScale = tempoScale;
+      state.endTime = Math.max(from, endTime);
+      state.active = true;
+    },
+    stop() {
+      state.position = position();
+      state.active = false;
+    },
+    // held: MIDI numbers of the keys down now. Returns the keys just pressed that the step
+    // does not want, for a wrong-key flash.
+    update(held, tempoScale = state.tempoScale) {
+      if (!state.active) return [];
+      state.position = position();
+      state.anchorTime = now();
+      state.tempoScale = tempoScale;
+
+      const pressed = [...held].filter(midi => !state.held.has(midi));
+      state.held = new Set(held);
+      const step = currentStep();
+      if (!step) return [];
+      const wrong = [];
+      pressed.forEach(midi => {
+        if (step.notes.some(note => note.midi === midi)) state.struck.add(midi);
+        else wrong.push(midi);
+      });
+      if (step.notes.every(note => state.struck.has(note.midi))) {
+        state.index++;
+        state.struck = new Set();
+      }
+      return wrong;
+    },
+    getState() {
+      const step = currentStep();
+      const current = position();
+      return {
+        active: state.active,
+        index: state.index,
+        total: state.steps.length,
+        expected: step?.notes ?? [],
+        struck: [...state.struck],
+        waiting: state.active && !!step && current >= step.time,
+        done: state.index >= state.steps.length,
+        finished: state.index >= state.steps.length && current >= state.endTime
+      };
+    }
+  };
+}
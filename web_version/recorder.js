@@ -0,0 +1,169 @@
+// Performance recorder: captures what is played, from any input, as timestamped events,
+// and plays takes back.
+//
+// Take: { id, name, createdAt, duration, tempo: { bpm, beatsPerBar, beatUnit, barOffset }, events }
+//   barOffset: ms from the start of the take to the metronome's first downbeat in it (0 when
+//   it was recorded without the metronome); bars fall every bar length from there
+// Events are sorted by time (ms from the start of the take, performance.now() precision):
+//   { time, type: 'noteOn', note, midi, velocity, source, instrument }
+//   { time, type: 'noteOff', note, midi, source, instrument }
+//   { time, type: 'pedal', down }
+// source is the voice source id ('hand:0_1', 'key:a', 'midi:0', see voiceAllocator.js).
+
+import { noteNameToMidi } from './notes.js';
+
+const noteKey = (note, source) => `${source}|${note}`;
+
+// getInstrument() -> id of the instrument playing; getTempo() -> { bpm, beatsPerBar, beatUnit, barOffset }
+export function initRecorder({ getInstrument = () => null, getTempo = () => null, onChange } = {}) {
+  const state = {
+    takes: [],
+    recording: null, // take being recorded, plus its start time and open notes
+    nextTakeNumber: 1
+  };
+
+  const notify = () => onChange?.({ recording: !!state.recording, takes: state.takes });
+
+  function start(now = performance.now()) {
+    if (state.recording) return;
+    state.recording = {
+      startTime: now,
+      open: new Map(), // noteKey -> noteOn event, for notes still held
+      pedalDown: false,
+      take: {
+        id: `take-${Date.now()}`,
+        name: `Take ${state.nextTakeNumber}`,
+        createdAt: new Date().toISOString(),
+        duration: 0,
+        tempo: getTempo(),
+        events: []
+      }
+    };
+    notify();
+  }
+
+  function push(event, time) {
+    const recording = state.recording;
+    if (!recording) return null;
+    const recorded = { time: Math.max(0, (time ?? performance.now()) - recording.startTime), ...event };
+    recording.take.events.push(recorded);
+    return recorded;
+  }
+
+  function noteOn(note, velocity, source, time) {
+    // A repeated note on (some MIDI devices send them) ends the note it restrikes
+    if (state.recording?.open.has(noteKey(note, source))) noteOff(note, source, time);
+    const event = push({ type: 'noteOn', note, midi: noteNameToMidi(note), velocity, source, instrument: getInstrument() }, time);
+    if (event) state.recording.open.set(noteKey(note, source), event);
+  }
+
+  function noteOff(note, source, time) {
+    if (!state.recording?.open.delete(noteKey(note, source))) return; // started before recording
+    push({ type: 'noteOff', note, midi: noteNameToMidi(note), source, instrument: getInstrument() }, time);
+  }
+
+  function pedal(down, time) {
+    if (push({ type: 'pedal', down }, time)) state.recording.pedalDown = down;
+  }
+
+  // Ends the take (notes and pedal still held end here); returns it, or null when nothing was played
+  function stop(now = performance.now()) {
+    const recording = state.recording;
+    if (!recording) return null;
+    recording.open.forEach(event => noteOff(event.note, event.source, now));
+    if (recording.pedalDown) pedal(false, now);
+    const { take } = recording;
+    state.recording = null;
+    take.events.sort((a, b) => a.time - b.time);
+    take.duration = Math.max(now - recording.startTime, take.events.at(-1)?.time || 0);
+    if (!take.events.some(event => event.type === 'noteOn')) {
+      notify();
+      return null;
+    }
+    state.takes.push(take);
+    state.nextTakeNumber++;
+    notify();
+    return take;
+  }
+
+  return {
+    start,
+    stop,
+    isRecording: () => !!state.recording,
+    noteOn,
+    noteOff,
+    pedal,
+    getTakes: () => state.takes,
+    getTake: id => state.takes.find(take => take.id === id) || null,
+    // Replace a take's events and duration (piano-roll edits); the take keeps its id and name
+    updateTake(id, { events, duration }) {
+      const take = state.takes.find(candidate => candidate.id === id);
+      if (!take) return null;
+      take.events = events;
+      take.duration = duration;
+      notify();
+      return take;
+    },
+    removeTake(id) {
+      state.takes = state.takes.filter(take => take.id !== id);
+      notify();
+    }
+  };
+}
+
+// Play a take's events in real time: onEvent(event) is called as each one falls due.
+// stop() ends playback early, first sending a noteOff for every note still sounding
+// (and lifting the pedal). onEnd() runs either way.
+export function playTake(take, { onEvent, onEnd, now = () => performance.now() }) {
+  const events = take.events;
+  const open = new Map(); // noteKey -> noteOn event
+  const startTime = now();
+  let index = 0;
+  let timer = null;
+  let pedalDown = false;
+  let finished = false;
+
+  function dispatch(event) {
+    if (event.type === 'noteOn') open.set(noteKey(event.note, event.source), event);
+    if (event.type === 'noteOff') open.delete(noteKey(event.note, event.source));
+    if (event.type === 'pedal') pedalDown = event.down;
+    onEvent(event);
+  }
+
+  function finish() {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    const elapsed = now() - startTime;
+    open.forEach(event => onEvent({ time: elapsed, type: 'noteOff', note: event.note, midi: event.midi, source: event.source }));
+    open.clear();
+    if (pedalDown) onEvent({ time: elapsed, type: 'pedal', down: false });
+    onEnd?.();
+  }
+
+  // Wake up for each event rather than polling: timers are the precision limit either way
+  function tick() {
+    const elapsed = now() - startTime;
+    while (index < events.length && events[index].time <= elapsed) {
+      dispatch(events[index++]);
+    }
+    if (index < events.length) {
+      timer = setTimeout(tick, events[index].time - elapsed);
+    } else {
+      timer = setTimeout(finish, Math.max(0, take.duration - elapsed));
+    }
+  }
+
+  tick();
+  return {
+    stop: finish,
+    getPosition: () => Math.min(take.duration, now() - startTime)
+  };
+}
+
+// "1:05.3"
+export function formatDuration(ms) {
+  const seconds = ms / 1000;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+}
@@ -0,0 +1,57 @@
+// Single-producer / single-consumer ring of fixed-size numeric records in a
+// SharedArrayBuffer. The main thread pushes, the audio thread drains at the start of
+// every render quantum; neither side ever waits on the other (no locks, no messages).
+//
+// Layout: Int32 [writeIndex, readIndex] followed by capacity * RECORD_SIZE Float64 slots.
+// One slot is kept empty to tell a full ring from an empty one.
+
+export const RECORD_SIZE = 16;
+const HEADER_BYTES = 8;
+
+export const ringBufferSupported = () =>
+  typeof SharedArrayBuffer === 'function' && typeof Atomics === 'object' && globalThis.crossOriginIsolated === true;
+
+export function createRingBuffer(capacity = 256) {
+  return { buffer: new SharedArrayBuffer(HEADER_BYTES + capacity * RECORD_SIZE * 8), capacity };
+}
+
+function view({ buffer, capacity }) {
+  return {
+    indices: new Int32Array(buffer, 0, 2),
+    data: new Float64Array(buffer, HEADER_BYTES, capacity * RECORD_SIZE),
+    capacity
+  };
+}
+
+// push(values) copies up to RECORD_SIZE numbers into the next slot; false when full
+export function ringWriter(ring) {
+  const { indices, data, capacity } = view(ring);
+  return {
+    push(values) {
+      const write = Atomics.load(indices, 0);
+      const next = (write + 1) % capacity;
+      if (next === Atomics.load(indices, 1)) return false;
+      const offset = write * RECORD_SIZE;
+      data.fill(0, offset, offset + RECORD_SIZE);
+      data.set(values, offset);
+      Atomics.store(indices, 0, next); // publish only after the record is written
+      return true;
+    }
+  };
+}
+
+// drain(callback) hands every pending record (a view, valid during the call) to callback
+export function ringReader(ring) {
+  const { indices, data, capacity } = view(ring);
+  return {
+    drain(callback) {
+      let read = Atomics.load(indices, 1);
+      const write = Atomics.load(indices, 0);
+      while (read !== write) {
+        callback(data.subarray(read * RECORD_SIZE, (read + 1) * RECORD_SIZE));
+        read = (read + 1) % capacity;
+      }
+      Atomics.store(indices, 1, read);
+    }
+  };
+}
@@ -0,0 +1,71 @@
+// Progressive sample loading: fetch in priority order (notes on the visible keyboard first,
+// then neighbouring octaves), a few at a time, retrying failed files with a backoff.
+// Priority 0 tasks are the ones needed to play now; once they have all settled the
+// loader reports ready, even though the rest keeps loading in the background.
+
+export const DEFAULT_LOAD_CONCURRENCY = 6;
+export const DEFAULT_LOAD_RETRIES = 2;
+const RETRY_DELAY_MS = 400; // doubled after every failed attempt
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// tasks: [{ url, priority }]; load(url) returns a promise (cached loads resolve at once).
+// Returns { done: Promise<progress>, cancel() } where progress is
+// { total, loaded, failed, readyTotal, readySettled, ready, cancelled }
+export function loadProgressively(tasks, { load, concurrency = DEFAULT_LOAD_CONCURRENCY, retries = DEFAULT_LOAD_RETRIES, onProgress }) {
+  const queue = [...tasks].sort((a, b) => a.priority - b.priority);
+  const progress = {
+    total: queue.length,
+    loaded: 0,
+    failed: 0,
+    readyTotal: queue.filter(task => task.priority === 0).length,
+    readySettled: 0,
+    ready: false,
+    cancelled: false
+  };
+  progress.ready = progress.readyTotal === 0;
+
+  async function loadWithRetry(url) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await load(url);
+        return true;
+      } catch (error) {
+        if (attempt >= retries || progress.cancelled) {
+          console.warn(error?.message || error);
+          return false;
+        }
+        await delay(RETRY_DELAY_MS * Math.pow(2, attempt));
+      }
+    }
+  }
+
+  async function worker() {
+    while (queue.length > 0 && !progress.cancelled) {
+      const task = queue.shift();
+      const ok = await loadWithRetry(task.url);
+      if (progress.cancelled) return;
+      if (ok) {
+        progress.loaded++;
+      } else {
+        progress.failed++;
+      }
+      if (task.priority === 0) {
+        progress.readySettled++;
+        progress.ready = progress.readySettled === progress.readyTotal;
+      }
+      onProgress?.({ ...progress });
+    }
+  }
+
+  onProgress?.({ ...progress });
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, queue.length)) }, worker);
+  const done = Promise.all(workers).then(() => ({ ...progress }));
+
+  return {
+    done,
+    cancel: () => {
+      progress.cancelled = true;
+    }
+  };
+}
@@ -0,0 +1,142 @@
+// Accuracy scoring for lessons (lesson.js): notes played along with a song are matched to the
+// song's notes, each reference note a hit or a miss and each unmatched played note an extra.
+// Hits carry their timing offset (negative = early) and velocity deviation, and everything is
+// summed up into a 0-100 score for the session and for each measure.
+//
+// Reference and played notes: { midi, time (song seconds), velocity }
+// Result notes: { type: 'hit' | 'miss' | 'extra', midi, time, measure, offsetMs?, velocityDelta? }
+
+export const HIT_WINDOW_MS = 200; // a played note this close to a reference note of the same pitch hits it
+export const EXTRA_PENALTY = 0.5; // an extra note costs half a missed one
+export const HISTORY_LIMIT = 50; // sessions kept per song
+
+const round = (value, places = 0) => Math.round(value * 10 ** places) / 10 ** places;
+const mean = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Song seconds each measure starts at: the song's own bar lines (parseMidiFile follows every
+// tempo and time signature change), or bars at its tempo and meter if it has none
+export function songBars(song) {
+  if (song.barStarts?.length) return song.barStarts;
+  const { beatsPerBar = 4, beatUnit = 4 } = song.timeSignature || {};
+  const length = beatsPerBar * (60 / (song.tempo || 120)) * (4 / beatUnit);
+  const count = Math.max(1, Math.ceil((song.duration || 0) / length));
+  return Array.from({ length: count }, (_, i) => i * length);
+}
+
+// 1-based measure of a song time in bars (songBars); before the first bar is measure 1
+function measureAt(bars, time) {
+  let low = 0;
+  let high = bars.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (bars[mid] <= time + 1e-6) low = mid;
+    else high = mid - 1;
+  }
+  return low + 1;
+}
+
+// On time counts 1, the edge of the window 0.5; extras take EXTRA_PENALTY off
+function scoreOf(results, windowMs) {
+  const hits = results.filter(result => result.type === 'hit');
+  const expected = results.filter(result => result.type !== 'extra').length;
+  const extras = results.length - expected;
+  if (expected + extras === 0) return null;
+  const credit = hits.reduce((sum, hit) => sum + 1 - 0.5 * Math.min(1, Math.abs(hit.offsetMs) / windowMs), 0);
+  return Math.max(0, Math.round((100 * credit) / (expected + extras * EXTRA_PENALTY)));
+}
+
+function summarize(results, windowMs) {
+  const hits = results.filter(result => result.type === 'hit');
+  const offsets = hits.map(hit => hit.offsetMs);
+  const velocities = hits.map(hit => hit.velocityDelta);
+  const meanOffset = mean(offsets);
+  const meanAbsOffset = mean(offsets.map(Math.abs));
+  const meanVelocity = mean(velocities);
+  const meanAbsVelocity = mean(velocities.map(Math.abs));
+  return {
+    score: scoreOf(results, windowMs),
+    hits: hits.length,
+    misses: results.filter(result => result.type === 'miss').length,
+    extras: results.filter(result => result.type === 'extra').length,
+    meanOffsetMs: meanOffset === null ? null : round(meanOffset),
+    meanAbsOffsetMs: meanAbsOffset === null ? null : round(meanAbsOffset),
+    meanVelocityDelta: meanVelocity === null ? null : round(meanVelocity, 1),
+    meanAbsVelocityDelta: meanAbsVelocity === null ? null : round(meanAbsVelocity, 1)
+  };
+}
+
+// tempoScale: the speed it was played at, so offsets are in the learner's milliseconds;
+// bars: measure start times (songBars) for the per-measure breakdown
+export function evaluatePerformance(reference, played, { tempoScale = 1, windowMs = HIT_WINDOW_MS, bars = [0] } = {}) {
+  const offsetMs = (ref, note) => ((note.time - ref.time) * 1000) / tempoScale;
+
+  // Every pairing in the window, closest first, each note used once
+  const playedByMidi = new Map(); // midi -> indices into played
+  played.forEach((note, p) => {
+    if (!playedByMidi.has(note.midi)) playedByMidi.set(note.midi, []);
+    playedByMidi.get(note.midi).push(p);
+  });
+  const pairs = [];
+  reference.forEach((ref, r) => {
+    (playedByMidi.get(ref.midi) || []).forEach(p => {
+      const offset = offsetMs(ref, played[p]);
+      if (Math.abs(offset) <= windowMs) pairs.push({ r, p, offset });
+    });
+  });
+  pairs.sort((a, b) => Math.abs(a.offset) - Math.abs(b.offset));
+  const refMatch = new Map();
+  const usedPlayed = new Set();
+  pairs.forEach(pair => {
+    if (refMatch.has(pair.r) || usedPlayed.has(pair.p)) return;
+    refMatch.set(pair.r, pair);
+    usedPlayed.add(pair.p);
+  });
+
+  const measureOf = time => measureAt(bars, time);
+  const notes = [
+    ...reference.map((ref, r) => {
+      const pair = refMatch.get(r);
+      if (!pair) return { type: 'miss', midi: ref.midi, time: ref.time, measure: measureOf(ref.time) };
+      return {
+        type: 'hit',
+        midi: ref.midi,
+        time: ref.time,
+        measure: measureOf(ref.time),
+        offsetMs: round(pair.offset),
+        velocityDelta: (played[pair.p].velocity ?? 0) - (ref.velocity ?? 0)
+      };
+    }),
+    ...played
+      .filter((_, p) => !usedPlayed.has(p))
+      .map(note => ({ type: 'extra', midi: note.midi, time: note.time, measure: measureOf(note.time) }))
+  ].sort((a, b) => a.time - b.time);
+
+  const byMeasure = new Map();
+  notes.forEach(note => {
+    if (!byMeasure.has(note.measure)) byMeasure.set(note.measure, []);
+    byMeasure.get(note.measure).push(note);
+  });
+  const measures = [...byMeasure.keys()]
+    .sort((a, b) => a - b)
+    .map(measure => ({ measure, ...summarize(byMeasure.get(measure), windowMs) }));
+
+  return { ...summarize(notes, windowMs), notes, measures };
+}
+
+// Short, stable id for a song's notes, to file its results under
+export function songFingerprint(song) {
+  let hash = 0x811c9dc5; // FNV-1a
+  song.notes.forEach(note => {
+    [note.midi, Math.round(note.start * 1000)].forEach(value => {
+      hash ^= value & 0xffff;
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    });
+  });
+  return `${song.notes.length}-${hash.toString(16)}`;
+}
+
+// Adds a session's summary to a song's saved history ({ name, sessions }), newest last
+export function addToHistory(history, name, entry) {
+  const sessions = [...(history?.sessions || []), entry].slice(-HISTORY_LIMIT);
+  return { name: name || history?.name || '', sessions };
+}
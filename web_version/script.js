@@ -30,6 +30,33 @@
 })();
 
 import { initMobileCameraManager } from './mobileCamera.js';
+import { initSustainPedal, isFistGesture } from './sustainPedal.js';
+import { initVoiceAllocator, DEFAULT_MAX_VOICES } from './voiceAllocator.js';
+import { initMidiInput, CC_SUSTAIN } from './midiInput.js';
+import { midiToNoteName, noteNameToMidi, NOTE_NAMES } from './notes.js';
+import { initInstrumentManager, createSampleVoice } from './instruments.js';
+import { createSynthVoice } from './synth.js';
+import { DEFAULT_STEREO, positionToPan, layoutPosition } from './stereo.js';
+import { createMixer, channelForSource, DEFAULT_MIXER, MIXER_CHANNELS } from './mixer.js';
+import { createMasterBus, DEFAULT_EFFECTS } from './effects.js';
+import { loadSettings, saveSettings } from './settings.js';
+import { initMetronome, DEFAULT_METRONOME, defaultAccents } from './metronome.js';
+import { initLatencyMonitor } from './latency.js';
+import { initRecorder, playTake, formatDuration } from './recorder.js';
+import { writeMidiFile, parseMidiFile } from './midiFile.js';
+import { initMidiPlayer } from './midiPlayer.js';
+import { renderTake, DEFAULT_BOUNCE } from './bounce.js';
+import { initLooper, LOOP_BAR_OPTIONS } from './looper.js';
+import { takeToNotes, applyNotes, quantizeNotes, takeTiming, createEditHistory, GRID_OPTIONS, DEFAULT_QUANTIZE } from './takeEditor.js';
+import { initPianoRoll } from './pianoRoll.js';
+import { loadRecord, saveRecord } from './database.js';
+import { DEFAULT_LESSON, HAND_MODES, HAND_COLORS, FALL_HEIGHT_RATIO, assignHands, keyLanes, fallingNoteBoxes } from './lesson.js';
+import { initPractice, practiceSteps, PRACTICE_HANDS, WRONG_FLASH_MS } from './practice.js';
+import { evaluatePerformance, songBars, songFingerprint, addToHistory, HIT_WINDOW_MS } from './scoring.js';
+import { createSessionRecorder, serializeSession, parseSession, sessionDuration, replayFrames, compareNotes } from './landmarkSession.js';
+import { encodeAudio, webmSupported, AUDIO_FORMATS, OPUS_SAMPLE_RATE } from './audioEncoding.js';
+import { createVoiceEngine, voiceEngineSupported } from './voiceEngine.js';
+import { buildTuningTable, describeTuning, parseScl, parseKbm, DEFAULT_TUNING, TEMPERAMENTS, REFERENCE_PRESETS } from './tuning.js';
 
 // variables
 const VIDEO_WIDTH = 1280;
@@ -42,7 +69,7 @@ const CLASS_COLORS = {
 };
 
 let frameCount = 0;
-let currentlyHoveredNotes = new Set();
+let currentlyHoveredNotes = new Map(); // '<fingerId>|<note>' -> { note, source: 'hand:<fingerId>' }, a voice per finger
 let hoveredKeyIndices = new Set();
 
 // Smoothing/debouncing for key detection (fast + stable)
@@ -67,10 +94,27 @@ let fingerTriggeredKeys = {}; // finger index -> key index that was last trigger
 let fingerTriggerFrames = {}; // finger index -> frame when key was last triggered
 let TRIGGER_COOLDOWN_FRAMES = 8; // Frames to wait before allowing same key to trigger again
 
+// Velocity (MIDI-style 1-127) derived from how fast a finger strikes downward
+let VELOCITY_MAX_SPEED = 1.2; // px/ms of downward speed that maps to full velocity (lower = more sensitive)
+const VELOCITY_MIN_SPEED = 0.05; // px/ms below which a strike counts as the softest touch
+const MIN_HAND_VELOCITY = 24; // Softest hand-triggered note (keeps gentle taps audible)
+const DEFAULT_HAND_VELOCITY = 80; // Used when a key is reached by sliding rather than striking
+let DEFAULT_KEYBOARD_VELOCITY = 100; // Computer keyboard has no strike speed, so use a fixed velocity
+let keyStrikeVelocities = {}; // key index -> velocity of the strike that last triggered it
+let keyStrikeFingers = {}; // key index -> finger that last triggered it (owns the voice)
+const playbackNotes = new Map(); // note -> take/MIDI file voices holding it, for key highlights
+
+// Sample loading (see startSampleLoading); declared early because layout code triggers it
+let audioUnlocked = false; // samples are only fetched after the first user interaction
+let loadedRangeKey = null; // instrument + key range of the running/finished load
+
 // Landmark stabilization (reduces MediaPipe dot shaking)
 let LANDMARK_SMOOTHING_ALPHA = 0.45; // Balance between smoothness and responsiveness
 let stabilizedLandmarksCache = [];
 
+// Set while a recorded landmark session is replayed in place of the camera (see replayLandmarkSession)
+let landmarkReplay = null; // { audible, time, notes }
+
 // Camera transform variables
 let flipHorizontal = true;
 let flipVertical = false;
@@ -121,6 +165,12 @@ let pianoTransform = {
   flipV: false
 };
 
+// Transpose (semitones) and octave shift applied on top of whatever layout is loaded:
+// keys keep their layout note as baseNote and sound/label as note = baseNote + offset
+const MAX_TRANSPOSE = 11;
+const MAX_OCTAVE_SHIFT = 3;
+let pitchSettings = loadSettings('pitch', { transpose: 0, octave: 0 });
+
 // Red separator line position (as percentage of key height, 0.6 = 60% from top)
 // Above line = black keys only, Below line = white keys only
 let redLinePosition = 0.68; // Slightly lower for better separation
@@ -800,6 +850,26 @@ function setupPlayingSensitivityControls() {
     });
   }
 
+  // Velocity Sensitivity (downward speed for full velocity)
+  const velocitySensitivitySlider = document.getElementById('velocitySensitivitySlider');
+  const velocitySensitivityDisplay = document.getElementById('velocity-sensitivity');
+  if (velocitySensitivitySlider && velocitySensitivityDisplay) {
+    velocitySensitivitySlider.addEventListener('input', (e) => {
+      VELOCITY_MAX_SPEED = parseFloat(e.target.value);
+      velocitySensitivityDisplay.textContent = VELOCITY_MAX_SPEED.toFixed(1);
+    });
+  }
+
+  // Keyboard Velocity
+  const keyboardVelocitySlider = document.getElementById('keyboardVelocitySlider');
+  const keyboardVelocityDisplay = document.getElementById('keyboard-velocity');
+  if (keyboardVelocitySlider && keyboardVelocityDisplay) {
+    keyboardVelocitySlider.addEventListener('input', (e) => {
+      DEFAULT_KEYBOARD_VELOCITY = parseInt(e.target.value);
+      keyboardVelocityDisplay.textContent = DEFAULT_KEYBOARD_VELOCITY;
+    });
+  }
+
   // Deactivation Threshold
   const deactivationThresholdSlider = document.getElementById('deactivationThresholdSlider');
   const deactivationThresholdDisplay = document.getElementById('deactivation-threshold');
@@ -910,7 +980,9 @@ async function createLandmarker() {
 
 }
 
-function processLandmarkerResults(results) {
+// detectedAt: when the landmarks came back from the model (for the latency panel);
+// frameTime: the frame's time for strike speeds (a replay passes the recorded one)
+function processLandmarkerResults(results, detectedAt = performance.now(), frameTime = performance.now()) {
   // Only set canvas dimensions once, not every frame (prevents clearing/flickering)
   if (!canvasInitialized || layoutCanvas.width !== VIDEO_WIDTH || layoutCanvas.height !== VIDEO_HEIGHT) {
   layoutCanvas.width = VIDEO_WIDTH;
@@ -920,11 +992,15 @@ function processLandmarkerResults(results) {
   
   const mobileCameraActive = isMobileCameraActive();
   const mobileCameraImage = getMobileCameraImage();
+  // A silent replay only works out the notes; an audible one draws the replayed hands alone
+  const drawing = !landmarkReplay || landmarkReplay.audible;
 
   // IMPORTANT: Draw video feed FIRST (before keys and hand tracking)
   // This ensures mobile camera feed is visible
   try {
-    if (mobileCameraActive && mobileCameraImage && mobileCameraImage.complete && mobileCameraImage.naturalWidth > 0) {
+    if (landmarkReplay) {
+      if (drawing) ctxLC.clearRect(0, 0, VIDEO_WIDTH, VIDEO_HEIGHT);
+    } else if (mobileCameraActive && mobileCameraImage && mobileCameraImage.complete && mobileCameraImage.naturalWidth > 0) {
       // Draw mobile camera image
       ctxLC.drawImage(mobileCameraImage, 0, 0, VIDEO_WIDTH, VIDEO_HEIGHT);
     } else if (video.readyState >= 2 && video.videoWidth > 0) {
@@ -942,6 +1018,15 @@ function processLandmarkerResults(results) {
 
   const stabilizedLandmarks = stabilizeLandmarks(results?.landmarks);
 
+  // A fist on either hand holds the sustain pedal
+  if (fistPedalEnabled && drawing) {
+    if (stabilizedLandmarks.some(isFistGesture)) {
+      sustainPedal.press('gesture');
+    } else {
+      sustainPedal.release('gesture');
+    }
+  }
+
   // Raw detection (without smoothing)
   const rawDetectedKeys = new Set();
 
@@ -981,6 +1066,7 @@ function processLandmarkerResults(results) {
         // Check for movement
         let hasMovement = false;
         let hasDownwardMovement = false;
+        let strikeVelocity = DEFAULT_HAND_VELOCITY;
         
         if (previousFingerPositions[fingerId]) {
           const prev = previousFingerPositions[fingerId];
@@ -988,6 +1074,12 @@ function processLandmarkerResults(results) {
           const dy = ty - prev.y;
           const distance = Math.sqrt(dx * dx + dy * dy);
           
+          // Downward speed normalised by elapsed time so frame skips don't change loudness
+          const elapsedMs = Math.max(1, frameTime - prev.time);
+          if (dy > 0) {
+            strikeVelocity = strikeSpeedToVelocity(dy / elapsedMs);
+          }
+          
           // Check for significant movement
           hasMovement = distance > MOVEMENT_THRESHOLD;
           
@@ -1009,7 +1101,7 @@ function processLandmarkerResults(results) {
         }
         
         // Update previous position
-        previousFingerPositions[fingerId] = { x: tx, y: ty, frame: frameCount };
+        previousFingerPositions[fingerId] = { x: tx, y: ty, frame: frameCount, time: frameTime };
         
         // Check if finger is at rest
         const isAtRest = (fingerRestFrames[fingerId] || 0) >= REST_THRESHOLD_FRAMES;
@@ -1114,6 +1206,8 @@ function processLandmarkerResults(results) {
             fingerTriggeredKeys[fingerId] = selectedKeyIndex;
             fingerTriggerFrames[fingerId] = frameCount;
             fingerRestFrames[fingerId] = 0; // Reset rest counter when key is triggered
+            keyStrikeVelocities[selectedKeyIndex] = strikeVelocity;
+            keyStrikeFingers[selectedKeyIndex] = fingerId;
           } else if (fingerKeyMapping[fingerId] === selectedKeyIndex && hasDownwardMovement && !isAtRest) {
             // Keep same key only if actively pressing down AND not at rest (for sustained notes while actively pressing)
             rawDetectedKeys.add(selectedKeyIndex);
@@ -1143,6 +1237,8 @@ function processLandmarkerResults(results) {
             fingerTriggeredKeys[fingerId] = selectedKeyIndex;
             fingerTriggerFrames[fingerId] = frameCount;
             fingerRestFrames[fingerId] = 0; // Reset rest counter when key is triggered
+            keyStrikeVelocities[selectedKeyIndex] = strikeVelocity;
+            keyStrikeFingers[selectedKeyIndex] = fingerId;
           } else if (fingerKeyMapping[fingerId] === selectedKeyIndex && hasDownwardMovement && !isAtRest) {
             // Keep same key only if actively pressing down AND not at rest (for sustained notes while actively pressing)
             rawDetectedKeys.add(selectedKeyIndex);
@@ -1281,15 +1377,19 @@ function processLandmarkerResults(results) {
   hoveredKeyIndices.clear();
   smoothedActiveKeys.forEach(i => hoveredKeyIndices.add(i));
 
+  if (drawing) {
     // Combine hand-detected keys and keyboard-pressed keys for display
     const allHoveredIndices = new Set([...hoveredKeyIndices, ...keyboardPressedIndices]);
     drawAllKeys(allHoveredIndices);
+  }
 
   if (stabilizedLandmarks && stabilizedLandmarks.length > 0) {
-    stabilizedLandmarks.forEach(landmarks => {
-      drawingUtils.drawConnectors(landmarks, HandLandmarker.HAND_CONNECTIONS, { color: '#00ffff', lineWidth: 1 });
-      drawingUtils.drawLandmarks(landmarks, { color: '#ff0000', lineWidth: 1 });
-    });
+    if (drawing) {
+      stabilizedLandmarks.forEach(landmarks => {
+        drawingUtils.drawConnectors(landmarks, HandLandmarker.HAND_CONNECTIONS, { color: '#00ffff', lineWidth: 1 });
+        drawingUtils.drawLandmarks(landmarks, { color: '#ff0000', lineWidth: 1 });
+      });
+    }
 
     // Get all detected notes (up to 10 for both hands with 5 fingers each)
     // Sort by X position to maintain sequential order (left to right)
@@ -1299,23 +1399,35 @@ function processLandmarkerResults(results) {
       return aCenterX - bCenterX; // Left to right order for proper sequencing
     });
     
-    const newHoveredNotes = new Set(sortedIndices.map(i => exportKeys[i].note));
-
-    // Start new notes
-    newHoveredNotes.forEach(note => {
-      if (!currentlyHoveredNotes.has(note)) {
-        tryPlayNote(note);
-      }
+    const newHoveredNotes = new Map();
+
+    // Every finger on a key plays it with its own voice, started at the velocity of the strike
+    // that triggered the key. A key held only by smoothing stays with the finger that struck it.
+    sortedIndices.forEach(i => {
+      const note = exportKeys[i].note;
+      const fingers = Object.keys(fingerKeyMapping).filter(fingerId => fingerKeyMapping[fingerId] === i);
+      if (fingers.length === 0 && keyStrikeFingers[i] !== undefined) fingers.push(keyStrikeFingers[i]);
+      fingers.forEach(fingerId => {
+        const id = `${fingerId}|${note}`;
+        if (currentlyHoveredNotes.has(id)) {
+          newHoveredNotes.set(id, currentlyHoveredNotes.get(id));
+          return;
+        }
+        const source = `hand:${fingerId}`;
+        newHoveredNotes.set(id, { note, source });
+        handNoteOn(note, keyStrikeVelocities[i] ?? DEFAULT_HAND_VELOCITY, source, detectedAt);
+      });
     });
     // Stop notes no longer hovered
-    currentlyHoveredNotes.forEach(note => {
-      if (!newHoveredNotes.has(note)) {
-        stopNote(note);
+    currentlyHoveredNotes.forEach(({ note, source }, id) => {
+      if (!newHoveredNotes.has(id)) {
+        handNoteOff(note, source, detectedAt);
       }
     });
     currentlyHoveredNotes = newHoveredNotes;
+    const hoveredNoteNames = [...new Set([...newHoveredNotes.values()].map(({ note }) => note))];
 
-    if (newHoveredNotes.size > 0) {
+    if (drawing && newHoveredNotes.size > 0) {
       const anyIndex = [...hoveredKeyIndices][0];
       const keysBounds = getKeysBoundingBox(exportKeys);
       if (keysBounds) {
@@ -1328,12 +1440,12 @@ function processLandmarkerResults(results) {
         const [keyX, keyY] = getPolygonCenter(exportKeys[anyIndex].polygon);
         const displayX = keyX + offsetX;
         const displayY = keyY + offsetY;
-        showHoverNote([...newHoveredNotes], displayX, displayY);
+        showHoverNote(hoveredNoteNames, displayX, displayY);
       } else {
       const [x, y] = exportKeys[anyIndex].polygon[0];
-      showHoverNote([...newHoveredNotes], x, y);
+      showHoverNote(hoveredNoteNames, x, y);
       }
-    } else {
+    } else if (drawing) {
       hideHoverNote();
     }
   } else {
@@ -1344,6 +1456,8 @@ function processLandmarkerResults(results) {
     fingerPreviousKeys = {};
     fingerTriggeredKeys = {};
     fingerTriggerFrames = {};
+    keyStrikeVelocities = {};
+    keyStrikeFingers = {};
     
     // Clear raw detections but keep smoothed keys for a bit
     // This prevents keys from disappearing immediately when hand briefly leaves frame
@@ -1370,16 +1484,18 @@ function processLandmarkerResults(results) {
     
     hoveredKeyIndices.clear();
     smoothedActiveKeys.forEach(i => hoveredKeyIndices.add(i));
-    // Combine hand-detected keys and keyboard-pressed keys for display
-    const allHoveredIndices = new Set([...hoveredKeyIndices, ...keyboardPressedIndices]);
-    drawAllKeys(allHoveredIndices);
+    if (drawing) {
+      // Combine hand-detected keys and keyboard-pressed keys for display
+      const allHoveredIndices = new Set([...hoveredKeyIndices, ...keyboardPressedIndices]);
+      drawAllKeys(allHoveredIndices);
+      hideHoverNote();
+    }
     
     // Stop all notes if no keys are hovered
     if (hoveredKeyIndices.size === 0) {
-      currentlyHoveredNotes.forEach(note => stopNote(note));
+      currentlyHoveredNotes.forEach(({ note, source }) => handNoteOff(note, source, detectedAt));
     currentlyHoveredNotes.clear();
     }
-    hideHoverNote();
   }
   
   // Clean up old finger positions (remove fingers not seen in last 10 frames)
@@ -1397,6 +1513,11 @@ function processLandmarkerResults(results) {
 }
 
 async function processLoop() {
+  if (landmarkReplay) {
+    // A session replay owns the canvas and the hand state until it finishes
+    requestAnimationFrame(processLoop);
+    return;
+  }
   const mobileCameraActive = isMobileCameraActive();
   const mobileCameraImage = getMobileCameraImage();
   const streamCanvasRef = getStreamCanvas();
@@ -1462,8 +1583,14 @@ async function processLoop() {
         try {
           // Use video element for MediaPipe (it has the canvas stream for mobile camera)
           // For mobile camera, ensure we're using the stream canvas feed
-      const results = await handLandmarker.detectForVideo(video, performance.now());
-      processLandmarkerResults(results);
+      const detectionStart = performance.now();
+      const results = await handLandmarker.detectForVideo(video, detectionStart);
+      const detectedAt = performance.now();
+      latencyMonitor.recordTracking(detectedAt - detectionStart);
+      if (sessionRecorder.isRecording() && !sessionRecorder.addFrame(results.landmarks, frameCount, detectedAt)) {
+        stopSessionRecording(); // reached MAX_SESSION_FRAMES
+      }
+      processLandmarkerResults(results, detectedAt, detectedAt);
         } catch (e) {
           console.warn('Hand detection error:', e);
           // Still draw keys even if detection fails
@@ -1511,6 +1638,8 @@ async function processLoop() {
   } else {
     // Video not ready yet, but still try to draw keys if loaded
     if (exportKeys && exportKeys.length > 0 && canvasInitialized) {
+      // Nothing else repaints the canvas here, so moving notes would leave trails
+      if (lessonSettings.showNotes && midiFilePlayer.getSong()) ctxLC.clearRect(0, 0, VIDEO_WIDTH, VIDEO_HEIGHT);
       // Combine hand-detected keys and keyboard-pressed keys for display
     const allHoveredIndices = new Set([...hoveredKeyIndices, ...keyboardPressedIndices]);
     drawAllKeys(allHoveredIndices);
@@ -1520,6 +1649,316 @@ async function processLoop() {
 }
 
 
+// --- Landmark sessions (landmarkSession.js) ---
+
+// Detection settings saved with a session; a replay can run under them or the current ones
+const DETECTION_SETTINGS = {
+  MOVEMENT_THRESHOLD: 'Movement threshold',
+  DOWNWARD_MOVEMENT_THRESHOLD: 'Downward press',
+  REST_THRESHOLD_FRAMES: 'Rest frames',
+  TRIGGER_COOLDOWN_FRAMES: 'Trigger cooldown',
+  LANDMARK_SMOOTHING_ALPHA: 'Landmark smoothing',
+  SMOOTHING_FRAMES: 'Key detection smoothing',
+  ACTIVATION_THRESHOLD: 'Activation threshold',
+  DEACTIVATION_THRESHOLD: 'Deactivation threshold',
+  VELOCITY_MAX_SPEED: 'Velocity sensitivity'
+};
+
+function detectionSettings() {
+  return {
+    MOVEMENT_THRESHOLD,
+    DOWNWARD_MOVEMENT_THRESHOLD,
+    REST_THRESHOLD_FRAMES,
+    TRIGGER_COOLDOWN_FRAMES,
+    LANDMARK_SMOOTHING_ALPHA,
+    SMOOTHING_FRAMES,
+    ACTIVATION_THRESHOLD,
+    DEACTIVATION_THRESHOLD,
+    VELOCITY_MAX_SPEED
+  };
+}
+
+// Settings missing from an older session keep their current values
+function applyDetectionSettings(settings) {
+  MOVEMENT_THRESHOLD = settings.MOVEMENT_THRESHOLD ?? MOVEMENT_THRESHOLD;
+  DOWNWARD_MOVEMENT_THRESHOLD = settings.DOWNWARD_MOVEMENT_THRESHOLD ?? DOWNWARD_MOVEMENT_THRESHOLD;
+  REST_THRESHOLD_FRAMES = settings.REST_THRESHOLD_FRAMES ?? REST_THRESHOLD_FRAMES;
+  TRIGGER_COOLDOWN_FRAMES = settings.TRIGGER_COOLDOWN_FRAMES ?? TRIGGER_COOLDOWN_FRAMES;
+  LANDMARK_SMOOTHING_ALPHA = settings.LANDMARK_SMOOTHING_ALPHA ?? LANDMARK_SMOOTHING_ALPHA;
+  SMOOTHING_FRAMES = settings.SMOOTHING_FRAMES ?? SMOOTHING_FRAMES;
+  ACTIVATION_THRESHOLD = settings.ACTIVATION_THRESHOLD ?? ACTIVATION_THRESHOLD;
+  DEACTIVATION_THRESHOLD = settings.DEACTIVATION_THRESHOLD ?? DEACTIVATION_THRESHOLD;
+  VELOCITY_MAX_SPEED = settings.VELOCITY_MAX_SPEED ?? VELOCITY_MAX_SPEED;
+}
+
+const sessionRecorder = createSessionRecorder({
+  video: { width: VIDEO_WIDTH, height: VIDEO_HEIGHT },
+  getSettings: detectionSettings,
+  getLayout: () => ({
+    camera: { flipHorizontal, flipVertical, rotate180 },
+    pianoTransform,
+    redLinePosition,
+    pitch: pitchSettings,
+    keys: exportKeys
+  })
+});
+let stopSessionRecording = () => sessionRecorder.stop(); // replaced by setupSessionReplayControls
+
+// Hand notes sound, or are only collected while a silent replay works them out
+function handNoteOn(note, velocity, source, detectedAt) {
+  if (landmarkReplay) landmarkReplay.notes.push({ t: landmarkReplay.time, note, velocity, source });
+  if (!landmarkReplay || landmarkReplay.audible) tryPlayNote(note, velocity, source, detectedAt);
+}
+
+function handNoteOff(note, source, releasedAt) {
+  if (!landmarkReplay || landmarkReplay.audible) stopNote(note, source, releasedAt);
+}
+
+// Forget every finger and key the detector tracks, releasing the notes hands hold
+function resetHandTracking() {
+  currentlyHoveredNotes.forEach(({ note, source }) => handNoteOff(note, source));
+  currentlyHoveredNotes = new Map();
+  previousFingerPositions = {};
+  fingerKeyMapping = {};
+  fingerRestFrames = {};
+  fingerPreviousKeys = {};
+  fingerTriggeredKeys = {};
+  fingerTriggerFrames = {};
+  keyStrikeVelocities = {};
+  keyStrikeFingers = {};
+  keyDetectionHistory = {};
+  smoothedActiveKeys = new Set();
+  hoveredKeyIndices.clear();
+  stabilizedLandmarksCache = [];
+}
+
+// Feed a recorded session through processLandmarkerResults in place of the camera. The
+// session's layout (and its settings, unless others are given) stand in for the live ones
+// during the run and are put back after it, with the hand tracking reset on both sides.
+// audible: play and draw it in real time; otherwise it runs silently and at once.
+// Resolves with the notes it triggered; cancel() stops a real-time replay early.
+function replayLandmarkSession(session, { settings = session.settings, audible = false, onProgress } = {}) {
+  const frames = replayFrames(session);
+  const live = {
+    keys: exportKeys,
+    pianoTransform,
+    redLinePosition,
+    pitchSettings,
+    camera: { flipHorizontal, flipVertical, rotate180 },
+    settings: detectionSettings(),
+    frameCount
+  };
+  let appliedLayout = null;
+
+  const applyLayout = layout => {
+    if (layout === appliedLayout) return;
+    appliedLayout = layout;
+    exportKeys = layout.keys.map(key => ({ ...key, polygon: key.polygon.map(([x, y]) => [x, y]) }));
+    pianoTransform = { ...live.pianoTransform, ...layout.pianoTransform };
+    redLinePosition = layout.redLinePosition ?? live.redLinePosition;
+    if (layout.pitch) pitchSettings = layout.pitch;
+    ({ flipHorizontal, flipVertical, rotate180 } = { ...live.camera, ...layout.camera });
+    applyPitchOffset();
+  };
+
+  const replayFrame = frame => {
+    applyLayout(frame.layout);
+    frameCount = frame.frame;
+    landmarkReplay.time = frame.t;
+    processLandmarkerResults({ landmarks: frame.landmarks }, performance.now(), frame.t);
+  };
+
+  const finish = () => {
+    resetHandTracking();
+    if (audible) sustainPedal.release('gesture');
+    const notes = landmarkReplay.notes;
+    landmarkReplay = null;
+    exportKeys = live.keys;
+    pianoTransform = live.pianoTransform;
+    redLinePosition = live.redLinePosition;
+    pitchSettings = live.pitchSettings;
+    ({ flipHorizontal, flipVertical, rotate180 } = live.camera);
+    applyDetectionSettings(live.settings);
+    frameCount = live.frameCount;
+    drawAllKeys(new Set(keyboardPressedIndices));
+    return notes;
+  };
+
+  resetHandTracking();
+  landmarkReplay = { audible, time: 0, notes: [] };
+  applyDetectionSettings(settings);
+
+  if (!audible) {
+    frames.forEach(replayFrame);
+    return { done: Promise.resolve(finish()), cancel: () => {} };
+  }
+
+  let index = 0;
+  let cancelled = false;
+  const startedAt = performance.now();
+  const done = new Promise(resolve => {
+    const step = () => {
+      const elapsed = performance.now() - startedAt;
+      while (!cancelled && index < frames.length && frames[index].t <= elapsed) replayFrame(frames[index++]);
+      onProgress?.(Math.min(elapsed, sessionDuration(session)));
+      if (cancelled || index >= frames.length) resolve(finish());
+      else requestAnimationFrame(step);
+    };
+    step();
+  });
+  return { done, cancel: () => { cancelled = true; } };
+}
+
+function setupSessionReplayControls() {
+  const recordButton = document.getElementById('sessionRecord');
+  const saveButton = document.getElementById('sessionSave');
+  const fileInput = document.getElementById('sessionFileInput');
+  const replayButton = document.getElementById('sessionReplay');
+  const compareButton = document.getElementById('sessionCompare');
+  const recordedSettingsToggle = document.getElementById('sessionUseRecorded');
+  const status = document.getElementById('sessionStatus');
+  const results = document.getElementById('sessionResults');
+  if (!recordButton) return;
+
+  let session = null; // the last one recorded or loaded
+  let sessionName = '';
+  let running = null; // real-time replay in progress
+  let statusTimer = null;
+
+  const describe = () => `${sessionName}: ${session.frames.length} frames, ${formatDuration(sessionDuration(session))}`;
+  const replaySettings = () => (recordedSettingsToggle?.checked ? session.settings : detectionSettings());
+
+  const render = () => {
+    const recording = sessionRecorder.isRecording();
+    recordButton.textContent = recording ? '⏹ Stop' : '⏺ Record Landmarks';
+    recordButton.disabled = !!running;
+    saveButton.disabled = !session || recording;
+    replayButton.textContent = running ? '⏹ Stop Replay' : '▶ Replay';
+    replayButton.disabled = !session || recording;
+    compareButton.disabled = !session || recording || !!running;
+    fileInput.disabled = recording || !!running;
+  };
+
+  stopSessionRecording = () => {
+    clearInterval(statusTimer);
+    const finished = sessionRecorder.stop();
+    if (finished) {
+      session = finished;
+      sessionName = `Session ${new Date().toLocaleTimeString()}`;
+    }
+    status.textContent = finished ? describe() : 'No camera frames were tracked; nothing recorded';
+    render();
+  };
+
+  recordButton.addEventListener('click', () => {
+    if (sessionRecorder.isRecording()) {
+      stopSessionRecording();
+      return;
+    }
+    if (exportKeys.length === 0) {
+      status.textContent = 'Load a keyboard layout first';
+      return;
+    }
+    sessionRecorder.start();
+    results.replaceChildren();
+    status.textContent = 'Recording landmarks…';
+    statusTimer = setInterval(() => {
+      status.textContent = `Recording landmarks… ${sessionRecorder.frameCount()} frames`;
+    }, 250);
+    render();
+  });
+
+  saveButton.addEventListener('click', () => {
+    if (!session) return;
+    const url = URL.createObjectURL(new Blob([serializeSession(session)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${sessionName.replace(/[^\w-]+/g, '_')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+
+  fileInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      session = parseSession(await file.text());
+      sessionName = file.name.replace(/\.json$/i, '');
+      status.textContent = describe();
+    } catch (error) {
+      status.textContent = `Could not load ${file.name}: ${error.message}`;
+    }
+    results.replaceChildren();
+    render();
+  });
+
+  replayButton.addEventListener('click', async () => {
+    if (running) {
+      running.cancel();
+      return;
+    }
+    if (!session) return;
+    const duration = formatDuration(sessionDuration(session));
+    running = replayLandmarkSession(session, {
+      settings: replaySettings(),
+      audible: true,
+      onProgress: (t) => { status.textContent = `Replaying ${formatDuration(t)} / ${duration}`; }
+    });
+    render();
+    const notes = await running.done;
+    running = null;
+    status.textContent = `${describe()} · replay triggered ${notes.length} notes`;
+    render();
+  });
+
+  // Replay silently under the recorded settings and the current ones, and list the differences
+  compareButton.addEventListener('click', async () => {
+    if (!session) return;
+    const recordedNotes = await replayLandmarkSession(session, { settings: session.settings }).done;
+    const current = detectionSettings();
+    const currentNotes = await replayLandmarkSession(session, { settings: current }).done;
+    const { matched, onlyA, onlyB } = compareNotes(recordedNotes, currentNotes);
+
+    const changed = Object.entries(DETECTION_SETTINGS)
+      .filter(([name]) => session.settings[name] !== undefined && session.settings[name] !== current[name])
+      .map(([name, label]) => `${label} ${session.settings[name]} → ${current[name]}`);
+    const settingsLine = document.createElement('p');
+    settingsLine.textContent = changed.length > 0
+      ? `Changed: ${changed.join(', ')}`
+      : 'The current settings are the ones it was recorded with';
+    const countsLine = document.createElement('p');
+    countsLine.textContent = `Recorded settings: ${recordedNotes.length} notes · Current: ${currentNotes.length} notes · ${matched.length} in both`;
+
+    const differences = [
+      ...onlyA.map(note => ({ ...note, only: 'recorded' })),
+      ...onlyB.map(note => ({ ...note, only: 'current' }))
+    ].sort((a, b) => a.t - b.t);
+    const list = document.createElement('ul');
+    list.className = 'session-diff';
+    differences.slice(0, 50).forEach(note => {
+      const item = document.createElement('li');
+      item.className = `only-${note.only}`;
+      item.textContent = `${formatDuration(note.t)} ${note.note} (velocity ${note.velocity}) only with the ${note.only} settings`;
+      list.append(item);
+    });
+    if (differences.length > 50) {
+      const more = document.createElement('li');
+      more.textContent = `…and ${differences.length - 50} more`;
+      list.append(more);
+    }
+    results.replaceChildren(settingsLine, countsLine, list);
+  });
+
+  render();
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupSessionReplayControls);
+} else {
+  setupSessionReplayControls();
+}
+
+
 async function startAll() {
   try {
     await setupWebcam()
@@ -1545,86 +1984,2229 @@ startAll();
 
 // Lazy AudioContext creation to avoid autoplay warnings
 let audioContext = null;
-const activeNotes = {}; // note -> { source, gainNode }
-const audioBuffers = {}; // Preloaded audio buffers: note -> AudioBuffer
-let audioPreloadComplete = false;
+let masterBus = null; // EQ -> reverb -> compressor -> limiter, shared by every voice
+let mixer = null; // per-source channels -> masterBus -> master volume
+let mixerSettings = loadSettings('mixer', DEFAULT_MIXER);
+let effectSettings = loadSettings('effects', DEFAULT_EFFECTS);
+
+// Sample voices rendered on an AudioWorklet (voiceEngine.js); per-note nodes are the fallback
+let engineSettings = loadSettings('engine', { worklet: true });
+let voiceEngine = null; // set once the worklet module has loaded
+let voiceEngineStatus = 'off'; // 'loading', 'shared-memory', 'message-port', 'unsupported' or 'failed'
+const WORKLET_CHANNELS = Object.keys(MIXER_CHANNELS).filter(id => MIXER_CHANNELS[id].effects);
+const pendingVoiceStarts = new Map(); // worklet voice id -> when it was triggered
+const latencyMonitor = initLatencyMonitor({ getAudioContext: () => audioContext });
+
+function startVoiceEngine(ctx) {
+  if (!engineSettings.worklet || voiceEngine || voiceEngineStatus === 'loading') return;
+  if (!voiceEngineSupported(ctx)) {
+    voiceEngineStatus = 'unsupported';
+    return;
+  }
+  voiceEngineStatus = 'loading';
+  createVoiceEngine(ctx, {
+    outputs: WORKLET_CHANNELS,
+    getChannel: id => mixer.input(id),
+    onStarted: (ids, time) => ids.forEach(id => {
+      latencyMonitor.recordStart(pendingVoiceStarts.get(id), time);
+      pendingVoiceStarts.delete(id);
+    })
+  })
+    .then(engine => {
+      voiceEngine = engine;
+      voiceEngineStatus = engine.transport;
+    })
+    .catch(error => {
+      console.warn('AudioWorklet voice engine unavailable, using node voices:', error);
+      voiceEngineStatus = 'failed';
+    });
+}
 
-// Get or create AudioContext (lazy initialization)
-function getAudioContext() {
-  if (!audioContext) {
-    try {
-      audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      // Suppress the autoplay warning by catching the promise rejection silently
-if (audioContext.state === 'suspended') {
-        audioContext.resume().catch(() => {
-          // Silently handle - will be resumed on user interaction
-        });
+// Sustain pedal: Space, fist gesture or MIDI CC64 latch released notes until it lifts
+let fistPedalEnabled = false;
+let livePedalDown = false; // held by a player rather than take playback (what the recorder logs)
+const sustainPedal = initSustainPedal({
+  onPedalUp: () => voiceAllocator.pedalUp(),
+  onHolderChange: () => {
+    const down = sustainPedal.getHolders().some(holder => holder !== 'playback');
+    if (down === livePedalDown) return;
+    livePedalDown = down;
+    recorder.pedal(down);
+    looper.pedal(down);
+  },
+  onChange: isDown => {
+    const pedalStatus = document.getElementById('pedalStatus');
+    if (pedalStatus) {
+      pedalStatus.textContent = isDown ? 'Pedal Down' : 'Pedal Up';
+      pedalStatus.classList.toggle('active', isDown);
+    }
+  }
+});
+
+// External MIDI keyboards: notes play like keyboard presses, CC64 drives the pedal
+const midiInput = initMidiInput({
+  onNoteOn: (midiNote, velocity, channel, timeStamp) => tryPlayNote(midiToNoteName(midiNote), velocity, `midi:${channel}`, timeStamp),
+  onNoteOff: (midiNote, channel, timeStamp) => stopNote(midiToNoteName(midiNote), `midi:${channel}`, timeStamp),
+  onControlChange: (controller, value) => {
+    if (controller !== CC_SUSTAIN) return;
+    if (value >= 64) {
+      sustainPedal.press('midi');
+    } else {
+      sustainPedal.release('midi');
+    }
+  },
+  onStatusChange: names => {
+    const midiStatus = document.getElementById('midiStatus');
+    if (midiStatus) {
+      midiStatus.textContent = names.length > 0 ? `Connected: ${names.join(', ')}` : 'No MIDI devices found';
+    }
+  }
+});
+
+function setupSustainControls() {
+  const fistPedalToggle = document.getElementById('fistPedalToggle');
+  if (fistPedalToggle) {
+    fistPedalToggle.checked = fistPedalEnabled;
+    fistPedalToggle.addEventListener('change', (e) => {
+      fistPedalEnabled = e.target.checked;
+      if (!fistPedalEnabled) {
+        sustainPedal.release('gesture');
       }
-    } catch (e) {
-      console.error('Failed to create AudioContext:', e);
+    });
+  }
+
+  const connectMidiBtn = document.getElementById('connectMidiBtn');
+  const midiStatus = document.getElementById('midiStatus');
+  if (connectMidiBtn) {
+    connectMidiBtn.addEventListener('click', async () => {
+      try {
+        await midiInput.connect();
+      } catch (e) {
+        console.warn('MIDI connection failed:', e);
+        if (midiStatus) {
+          midiStatus.textContent = `MIDI unavailable: ${e.message}`;
+        }
+      }
+    });
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupSustainControls);
+} else {
+  setupSustainControls();
+}
+
+// Metronome on the AudioContext clock; its beat clock is what recordings align bars to
+let metronomeSettings = loadSettings('metronome', DEFAULT_METRONOME);
+const metronome = initMetronome({
+  getAudioContext,
+  getDestination: () => mixer?.input('metronome'),
+  settings: metronomeSettings
+});
+let renderMetronomeToggle = null; // set by setupMetronomeControls
+
+function setupMetronomeControls() {
+  const toggle = document.getElementById('metronomeToggle');
+  const bpmSlider = document.getElementById('metronomeBpmSlider');
+  const bpmDisplay = document.getElementById('metronome-bpm');
+  const meterSelect = document.getElementById('metronomeMeterSelect');
+  const subdivisionSelect = document.getElementById('metronomeSubdivisionSelect');
+  const accentRow = document.getElementById('metronomeAccents');
+  const volumeSlider = document.getElementById('metronomeVolumeSlider');
+  const volumeDisplay = document.getElementById('metronome-volume');
+
+  const apply = (changes) => {
+    metronomeSettings = { ...metronomeSettings, ...changes };
+    metronome.update(metronomeSettings);
+    saveSettings('metronome', metronomeSettings);
+  };
+
+  // One button per beat, cycling accent (2) -> normal (1) -> silent (0)
+  const ACCENT_LABELS = { 2: '>', 1: '•', 0: '×' };
+  const renderAccents = () => {
+    if (!accentRow) return;
+    const accents = metronome.getSettings().accents;
+    accentRow.innerHTML = '';
+    accents.forEach((level, beat) => {
+      const button = document.createElement('button');
+      button.className = 'accent-beat' + (level === 2 ? ' accent' : level === 0 ? ' silent' : '');
+      button.textContent = ACCENT_LABELS[level];
+      button.title = `Beat ${beat + 1}`;
+      button.addEventListener('click', () => {
+        const next = [...accents];
+        next[beat] = (level + 2) % 3; // 2 -> 1 -> 0 -> 2
+        apply({ accents: next });
+        renderAccents();
+      });
+      accentRow.appendChild(button);
+    });
+  };
+
+  if (toggle) {
+    const showRunning = () => {
+      toggle.textContent = metronome.isRunning() ? '■ Stop Metronome' : '▶ Start Metronome';
+    };
+    renderMetronomeToggle = showRunning;
+    showRunning();
+    toggle.addEventListener('click', async () => {
+      const ctx = getAudioContext();
+      if (ctx?.state === 'suspended') await ctx.resume().catch(() => {});
+      metronome.toggle();
+      showRunning();
+    });
+  }
+
+  if (bpmSlider) {
+    bpmSlider.value = metronomeSettings.bpm;
+    if (bpmDisplay) bpmDisplay.textContent = `${metronomeSettings.bpm} BPM`;
+    bpmSlider.addEventListener('input', (e) => {
+      const bpm = parseInt(e.target.value, 10);
+      apply({ bpm });
+      if (bpmDisplay) bpmDisplay.textContent = `${bpm} BPM`;
+    });
+  }
+
+  if (meterSelect) {
+    meterSelect.value = `${metronomeSettings.beatsPerBar}/${metronomeSettings.beatUnit}`;
+    meterSelect.addEventListener('change', (e) => {
+      const [beatsPerBar, beatUnit] = e.target.value.split('/').map(Number);
+      apply({ beatsPerBar, beatUnit, accents: defaultAccents(beatsPerBar, beatUnit) });
+      renderAccents();
+    });
+  }
+
+  if (subdivisionSelect) {
+    subdivisionSelect.value = String(metronomeSettings.subdivision);
+    subdivisionSelect.addEventListener('change', (e) => apply({ subdivision: parseInt(e.target.value, 10) }));
+  }
+
+  if (volumeSlider) {
+    volumeSlider.value = metronomeSettings.volume;
+    if (volumeDisplay) volumeDisplay.textContent = `${Math.round(metronomeSettings.volume * 100)}%`;
+    volumeSlider.addEventListener('input', (e) => {
+      const volume = parseFloat(e.target.value);
+      apply({ volume });
+      if (volumeDisplay) volumeDisplay.textContent = `${Math.round(volume * 100)}%`;
+    });
+  }
+
+  renderAccents();
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupMetronomeControls);
+} else {
+  setupMetronomeControls();
+}
+
+// Performance recorder: live notes from every input (and the pedal) become takes
+let renderRecorder = null; // set by setupRecorderControls
+const recorder = initRecorder({
+  getInstrument: () => instrumentManager.getCurrent()?.id ?? null,
+  // Called as the take starts: with the metronome running, where its next downbeat falls
+  getTempo: () => {
+    const { bpm, beatsPerBar, beatUnit, running } = metronome.getClock();
+    const now = audioContext?.currentTime;
+    const barOffset = running && now !== undefined ? Math.round((metronome.nextBarTime(now) - now) * 10000) / 10 : 0;
+    return { bpm, beatsPerBar, beatUnit, barOffset };
+  },
+  onChange: () => renderRecorder?.()
+});
+let takePlayback = null; // { take, player } while a take plays
+let midiExportSettings = loadSettings('midiExport', { format: 1, splitHands: false });
+let bounceSettings = loadSettings('bounce', DEFAULT_BOUNCE);
+
+// Looper: layers locked to the metronome's bars, each on its own instrument, played back
+// like takes; saved in IndexedDB so they survive a reload
+let renderLooper = null; // set by setupLooperControls
+const looper = initLooper({
+  metronome,
+  now: () => audioContext?.currentTime ?? 0,
+  startClock: () => {
+    metronome.start();
+    renderMetronomeToggle?.();
+  },
+  getInstrument: () => instrumentManager.getCurrent()?.id ?? null,
+  onEvent: event => handlePlaybackEvent({ ...event, source: `loop:${event.layer}` }),
+  onChange: () => renderLooper?.(),
+  onSave: data => saveRecord('looper', data)
+});
+// Restored once the instrument index is in, so each layer's instrument can be listed
+loadRecord('looper').then(data => instrumentReady.then(() => looper.restore(data)));
+
+// Takes play through the 'playback' mixer channel under their original source ids
+function handlePlaybackEvent(event) {
+  if (event.type === 'pedal') {
+    if (event.down) {
+      sustainPedal.press('playback');
+    } else {
+      sustainPedal.release('playback');
     }
+    return;
   }
-  return audioContext;
+  const source = `playback:${event.source}`;
+  const count = playbackNotes.get(event.note) || 0;
+  if (event.type === 'noteOn') {
+    playbackNotes.set(event.note, count + 1);
+    tryPlayNote(event.note, event.velocity, source, null, event.instrument);
+  } else {
+    if (count <= 1) playbackNotes.delete(event.note);
+    else playbackNotes.set(event.note, count - 1);
+    stopNote(event.note, source);
+  }
+  drawAllKeys(new Set([...hoveredKeyIndices, ...keyboardPressedIndices]));
 }
 
-// Resume AudioContext on user interaction (required by browser autoplay policy)
-function resumeAudioContext() {
+function playRecordedTake(take) {
+  stopTakePlayback();
+  midiFilePlayer.pause(); // one playback at a time: both hold the pedal as 'playback'
   const ctx = getAudioContext();
-  if (ctx && ctx.state === 'suspended') {
-    ctx.resume().then(() => {
-      // AudioContext resumed successfully
-    }).catch(err => {
-      // Silently handle - will retry on next interaction
-    });
+  if (ctx?.state === 'suspended') ctx.resume().catch(() => {});
+  const player = playTake(take, {
+    onEvent: handlePlaybackEvent,
+    onEnd: () => {
+      if (takePlayback?.player !== player) return;
+      takePlayback = null;
+      renderRecorder?.();
+    }
+  });
+  takePlayback = { take, player };
+  renderRecorder?.();
+}
+
+function stopTakePlayback() {
+  takePlayback?.player.stop();
+}
+
+// MIDI file player: notes sound through the same playback path as takes
+let renderMidiFilePlayer = null; // set by setupMidiFilePlayerControls
+const midiFilePlayer = initMidiPlayer({
+  onEvent: event => handlePlaybackEvent({
+    ...event,
+    note: event.midi === undefined ? undefined : midiToNoteName(event.midi),
+    source: `file:${event.track}_${event.channel}`
+  }),
+  onStateChange: () => {
+    if (midiFilePlayer.getState().playing && practice.getState().active) stopPractice({ seek: false }); // the song took over
+    checkLessonTake();
+    showSongScores(midiFilePlayer.getSong());
+    renderMidiFilePlayer?.();
+    renderLesson?.();
   }
+});
+
+// Notes of a song the current layout has no key for: { count, below, above } (MIDI numbers)
+function songRangeReport(song) {
+  const layoutMidis = new Set(exportKeys.map(key => noteNameToMidi(key.note)).filter(midi => midi !== null));
+  const low = Math.min(...layoutMidis);
+  const high = Math.max(...layoutMidis);
+  const outside = song.notes.filter(note => !layoutMidis.has(note.midi));
+  return {
+    count: outside.length,
+    below: outside.filter(note => note.midi < low).map(note => note.midi),
+    above: outside.filter(note => note.midi > high).map(note => note.midi)
+  };
 }
 
-// Resume on any user interaction
-document.addEventListener('click', resumeAudioContext, { once: false });
-document.addEventListener('touchstart', resumeAudioContext, { once: false });
-document.addEventListener('keydown', resumeAudioContext, { once: false });
+// Lesson mode (lesson.js): the loaded song's notes fall onto the keys that play them
+let lessonSettings = loadSettings('lesson', DEFAULT_LESSON);
+let lessonCountIn = null; // { song, from, seconds, startedAt, timer } before the song starts
+let renderLesson = null; // set by setupLessonControls
+let lessonHandCache = { song: null, mode: null, hands: [] };
 
-// Dynamic keyboard mapping to detected piano keys
-let keyToIndex = {};
-let indexToKey = {};
+function lessonHands(song) {
+  if (lessonHandCache.song !== song || lessonHandCache.mode !== lessonSettings.handMode) {
+    lessonHandCache = { song, mode: lessonSettings.handMode, hands: assignHands(song, lessonSettings.handMode) };
+  }
+  return lessonHandCache.hands;
+}
 
-// Keyboard layout for mapping - White keys (Tab, Q-P, [, ], \, numpad 7, 8, 9, numpad +)
-const whiteKeyLayout = [
-    'Tab', 'q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', '[', ']', '\\', 'Numpad7', 'Numpad8', 'Numpad9', 'NumpadAdd'
-];
+// Song time the lesson shows; during the lead-in the notes run up to where the song starts
+function lessonPosition() {
+  if (practice.getState().active) return practice.position();
+  const { position, tempoScale } = midiFilePlayer.getState();
+  if (!lessonCountIn) return position;
+  const elapsed = (performance.now() - lessonCountIn.startedAt) / 1000;
+  return lessonCountIn.from - Math.max(0, lessonCountIn.seconds - elapsed) * tempoScale;
+}
 
-// Keyboard layout for mapping - Black keys (`, 1-9, 0, -, =, Backspace, NumLock, /, *, numpad -)
-const blackKeyLayout = [
-    '`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '=', 'Backspace', 'NumLock', '/', '*', 'NumpadSubtract'
-];
+// Lead-in, then play from the loop start (or wherever the song is)
+function startLesson() {
+  const song = midiFilePlayer.getSong();
+  if (!song) return;
+  stopPractice();
+  stopLesson();
+  stopTakePlayback(); // one playback at a time
+  practiceMessage = '';
+  const { position, loop } = midiFilePlayer.getState();
+  const from = loop ? loop.start : position;
+  midiFilePlayer.seek(from);
+  startLessonTake(song, from);
+  const seconds = lessonSettings.leadIn;
+  lessonCountIn = {
+    song,
+    from,
+    seconds,
+    startedAt: performance.now(),
+    timer: setTimeout(() => {
+      lessonCountIn = null;
+      if (lessonTake) lessonTake.checkedAt = performance.now(); // the take runs on from the count-in
+      if (midiFilePlayer.getSong() === song) midiFilePlayer.play();
+      renderLesson?.();
+    }, seconds * 1000)
+  };
+  renderLesson?.();
+}
 
-// Combined layout: white keys first, then black keys
-const keyboardLayout = [...whiteKeyLayout, ...blackKeyLayout];
+function stopLesson() {
+  if (lessonCountIn) {
+    clearTimeout(lessonCountIn.timer);
+    lessonCountIn = null;
+  }
+  midiFilePlayer.pause();
+  finishLessonTake();
+  renderLesson?.();
+}
 
-// Function to update keyboard mapping based on detected keys
-function updateKeyboardMapping() {
-    if (!exportKeys || exportKeys.length === 0) {
-        keyToIndex = {};
-        indexToKey = {};
-        console.log('Keyboard mapping: No keys available yet');
-        return;
+// Lesson scoring (scoring.js): what is played during a lesson, from the count-in on, is scored
+// against the practised hand's notes when the song stops, and again at each pass of a loop.
+// Each song's results are kept in IndexedDB under its fingerprint.
+const LESSON_TAKE_POLL_MS = 100;
+let lessonTake = null; // { song, from, tempoScale, hand, played: [{ midi, time, velocity }], lastPosition, checkedAt, timer }
+let lessonScores = { song: null, history: null, result: null }; // what the Lesson section shows
+let renderLessonScore = null; // set by setupLessonControls
+let scoreSaving = Promise.resolve(); // saves in order, so quick loop passes do not overwrite each other
+
+const scoreKey = song => `scores:${songFingerprint(song)}`;
+
+function startLessonTake(song, from) {
+  finishLessonTake();
+  lessonTake = {
+    song,
+    from,
+    tempoScale: midiFilePlayer.getState().tempoScale,
+    hand: lessonSettings.practiceHand,
+    played: [],
+    lastPosition: from,
+    checkedAt: performance.now(),
+    timer: setInterval(checkLessonTake, LESSON_TAKE_POLL_MS)
+  };
+}
+
+// The take ends when the song stops; a jump (a loop pass, a seek) starts the next one
+function checkLessonTake() {
+  if (!lessonTake || lessonCountIn) return;
+  const { playing, position, tempoScale, loop } = midiFilePlayer.getState();
+  if (!playing || midiFilePlayer.getSong() !== lessonTake.song) {
+    if (midiFilePlayer.getSong() === lessonTake.song) lessonTake.lastPosition = Math.max(lessonTake.lastPosition, position);
+    finishLessonTake();
+    return;
+  }
+  const expected = lessonTake.lastPosition + ((performance.now() - lessonTake.checkedAt) / 1000) * tempoScale;
+  if (Math.abs(position - expected) > 0.25) {
+    const { song } = lessonTake;
+    if (loop && position < lessonTake.lastPosition) lessonTake.lastPosition = loop.end; // the pass ran to the loop end
+    finishLessonTake();
+    startLessonTake(song, position);
+  } else {
+    lessonTake.lastPosition = position;
+    lessonTake.checkedAt = performance.now();
+    lessonTake.tempoScale = tempoScale;
+  }
+}
+
+// A live note, at the song time it was played (detectedAt: when the hand or key went down)
+function lessonNoteOn(note, velocity, detectedAt) {
+  if (!lessonTake || practice.getState().active) return;
+  checkLessonTake();
+  const midi = noteNameToMidi(note);
+  if (!lessonTake || midi === null) return;
+  const lag = ((performance.now() - detectedAt) / 1000) * midiFilePlayer.getState().tempoScale;
+  lessonTake.played.push({ midi, time: lessonPosition() - lag, velocity });
+}
+
+function finishLessonTake() {
+  if (!lessonTake) return;
+  const take = lessonTake;
+  clearInterval(take.timer);
+  lessonTake = null;
+
+  const { song, from, hand, tempoScale } = take;
+  const end = Math.max(take.lastPosition, ...take.played.map(note => note.time));
+  const hands = lessonHands(song);
+  const lanes = keyLanes(exportKeys);
+  const reference = song.notes
+    .filter((note, i) => note.start >= from - 1e-3 && note.start <= end && (hand === 'both' || hands[i] === hand) && lanes.has(note.midi))
+    .map(note => ({ midi: note.midi, time: note.start, velocity: note.velocity }));
+  // Notes played well before the song starts are warming up, not part of the take
+  const early = (HIT_WINDOW_MS / 1000) * tempoScale;
+  const played = take.played.filter(note => note.time >= from - early);
+  if (played.length === 0) return; // listening along is not a session
+
+  const result = evaluatePerformance(reference, played, { tempoScale, bars: songBars(song) });
+  const { notes, ...summary } = result; // the note list is shown, not saved
+  const entry = { date: new Date().toISOString(), hand, tempoScale, from, end, ...summary };
+  showSongScores(song);
+  lessonScores.result = result;
+  renderLessonScore?.();
+  scoreSaving = scoreSaving.then(async () => {
+    const history = addToHistory(await loadRecord(scoreKey(song)), song.name, entry);
+    await saveRecord(scoreKey(song), history);
+    if (lessonScores.song === song) {
+      lessonScores.history = history;
+      renderLessonScore?.();
     }
+  }).catch(error => console.warn('Could not save lesson score:', error));
+}
 
-    // Sort keys left to right
-    const sortedKeys = [...exportKeys].sort((a, b) => {
-        if (!a.polygon || !b.polygon || a.polygon.length === 0 || b.polygon.length === 0) {
-            return 0;
-        }
-        const aCenterX = a.polygon.reduce((sum, p) => sum + p[0], 0) / a.polygon.length;
-        const bCenterX = b.polygon.reduce((sum, p) => sum + p[0], 0) / b.polygon.length;
-        return aCenterX - bCenterX;
-    });
+// Show a song's saved progress (loaded once per song)
+function showSongScores(song) {
+  if (lessonScores.song === song) return;
+  lessonScores = { song, history: null, result: null };
+  renderLessonScore?.();
+  if (!song) return;
+  scoreSaving.then(() => loadRecord(scoreKey(song))).then(history => {
+    if (lessonScores.song !== song || lessonScores.history) return;
+    lessonScores.history = history;
+    renderLessonScore?.();
+  });
+}
 
-    // Interleave keys like real piano: C, C#, D, D#, E, F, F#, G, G#, A, A#, B
-    // This means we need to map keys in chromatic order, not separate white/black
-    const interleavedKeys = [];
-    const whiteKeys = sortedKeys.filter(k => k.type === 'white');
-    const blackKeys = sortedKeys.filter(k => k.type === 'black');
+// Wait-for-me practice (practice.js): the lesson stops at each note or chord of the chosen
+// hand(s) until it is played, by hand (smoothedActiveKeys) or on the computer keyboard
+const PRACTICE_TICK_MS = 20;
+const practice = initPractice();
+let practiceSong = null;
+let practiceTimer = null;
+let practiceFlashes = new Map(); // key index -> time its wrong-key flash ends
+let practiceMessage = '';
+
+// MIDI numbers of the keys held down right now
+function heldKeyMidis() {
+  const held = new Set();
+  [...smoothedActiveKeys, ...keyboardPressedIndices].forEach(i => {
+    const midi = noteNameToMidi(exportKeys[i]?.note);
+    if (midi !== null) held.add(midi);
+  });
+  return held;
+}
+
+// Starts where the song is (or at its loop start), lead-in seconds before the first step
+function startPractice() {
+  const song = midiFilePlayer.getSong();
+  if (!song) return;
+  stopLesson();
+  stopTakePlayback();
+  const lanes = keyLanes(exportKeys);
+  const { position, loop, tempoScale } = midiFilePlayer.getState();
+  // Only the loop's steps, or those from here on; the lead-in before them is not practised
+  const steps = practiceSteps(song, lessonHands(song), {
+    hand: lessonSettings.practiceHand,
+    playable: midi => lanes.has(midi)
+  }).filter(step => (loop ? step.time >= loop.start && step.time < loop.end : step.time >= position));
+  const first = steps[0];
+  if (!first) {
+    practiceMessage = 'No notes to practise from here for this hand on the keys on screen';
+    renderLesson?.();
+    return;
+  }
+  const endTime = song.notes.reduce((latest, note) => Math.max(latest, note.end), 0);
+  practice.start(steps, {
+    from: Math.max(0, first.time - lessonSettings.leadIn * tempoScale),
+    firstStep: first.time,
+    tempoScale,
+    endTime: loop ? loop.end : endTime,
+    held: heldKeyMidis()
+  });
+  practiceSong = song;
+  practiceMessage = '';
+  clearInterval(practiceTimer);
+  practiceTimer = setInterval(updatePractice, PRACTICE_TICK_MS);
+  renderLesson?.();
+}
+
+// seek: leave the player where the practice got to
+function stopPractice({ seek = true } = {}) {
+  if (!practice.getState().active) return;
+  clearInterval(practiceTimer);
+  practiceTimer = null;
+  practice.stop();
+  practiceFlashes.clear();
+  if (seek) midiFilePlayer.seek(practice.position());
+  renderLesson?.();
+}
+
+function updatePractice() {
+  if (midiFilePlayer.getSong() !== practiceSong) {
+    stopPractice(); // another song was loaded
+    return;
+  }
+  const before = practice.getState().index;
+  const wrong = practice.update(heldKeyMidis(), midiFilePlayer.getState().tempoScale);
+  const until = performance.now() + WRONG_FLASH_MS;
+  exportKeys.forEach((key, i) => {
+    if (wrong.includes(noteNameToMidi(key.note))) practiceFlashes.set(i, until);
+  });
+  const state = practice.getState();
+  if (state.finished) {
+    stopPractice();
+    practiceMessage = `Well done! All ${state.total} steps played`;
+    renderLesson?.();
+  } else if (state.index !== before) {
+    renderLesson?.();
+  }
+}
+
+// Keys the practice waits for, in their hand's colour (solid once struck), and wrong keys in red
+// black: mark the black keys (after they are drawn) or the rest (before them, so black keys
+// stay on top of a marked white key)
+function drawPracticeMarks(black) {
+  const state = practice.getState();
+  if (!state.active) return;
+  const now = performance.now();
+  const markKey = (key, fill, stroke) => {
+    if ((key.type === 'black') !== black) return;
+    ctxLC.beginPath();
+    key.polygon.forEach((p, i) => (i === 0 ? ctxLC.moveTo(...p) : ctxLC.lineTo(...p)));
+    ctxLC.closePath();
+    ctxLC.fillStyle = fill;
+    ctxLC.fill();
+    ctxLC.strokeStyle = stroke;
+    ctxLC.stroke();
+  };
+
+  ctxLC.save();
+  ctxLC.lineWidth = 4;
+  state.expected.forEach(({ midi, hand }) => {
+    const color = HAND_COLORS[hand].white;
+    const struck = state.struck.includes(midi);
+    exportKeys.forEach(key => {
+      if (noteNameToMidi(key.note) !== midi) return;
+      ctxLC.globalAlpha = struck ? 0.85 : state.waiting ? 0.6 : 0.35;
+      markKey(key, color, color);
+    });
+  });
+  practiceFlashes.forEach((until, i) => {
+    if (until <= now || !exportKeys[i]) {
+      practiceFlashes.delete(i);
+      return;
+    }
+    ctxLC.globalAlpha = 0.4 + 0.4 * ((until - now) / WRONG_FLASH_MS);
+    markKey(exportKeys[i], "#ef4444", "#b91c1c");
+  });
+  ctxLC.restore();
+}
+
+// Falling notes above the keys, drawn in key space so they follow the piano transform
+function drawFallingNotes(keysBounds) {
+  const song = midiFilePlayer.getSong();
+  if (!lessonSettings.showNotes || !song) return;
+  const position = lessonPosition();
+  const practicing = practice.getState().active;
+  const fallHeight = keysBounds.height * FALL_HEIGHT_RATIO;
+  const boxes = fallingNoteBoxes(song, lessonHands(song), keyLanes(exportKeys), position, {
+    lookAhead: lessonSettings.lookAhead,
+    fallHeight
+  });
+
+  ctxLC.save();
+  ctxLC.lineWidth = 1.5;
+  ctxLC.strokeStyle = "rgba(0, 0, 0, 0.6)";
+  // White-key notes first so black-key notes sit on top, as the keys do
+  [...boxes.filter(box => !box.black), ...boxes.filter(box => box.black)].forEach(box => {
+    const inset = (box.right - box.left) * 0.1;
+    const width = box.right - box.left - inset * 2;
+    const height = Math.max(2, box.bottom - box.top);
+    ctxLC.fillStyle = HAND_COLORS[box.hand][box.black ? 'black' : 'white'];
+    ctxLC.globalAlpha = box.sounding ? 1 : 0.85;
+    if (practicing && lessonSettings.practiceHand !== 'both' && box.hand !== lessonSettings.practiceHand) {
+      ctxLC.globalAlpha = 0.3; // the other hand's part is only shown while practising one hand
+    }
+    ctxLC.fillRect(box.left + inset, box.top, width, height);
+    ctxLC.strokeRect(box.left + inset, box.top, width, height);
+  });
+
+  if (lessonCountIn) {
+    const remaining = lessonCountIn.seconds - (performance.now() - lessonCountIn.startedAt) / 1000;
+    if (remaining > 0) {
+      ctxLC.globalAlpha = 0.9;
+      ctxLC.fillStyle = "rgba(255, 255, 255, 0.95)";
+      ctxLC.font = "bold 48px 'Poppins', sans-serif";
+      ctxLC.textAlign = "center";
+      ctxLC.textBaseline = "middle";
+      ctxLC.fillText(String(Math.ceil(remaining)), keysBounds.centerX, keysBounds.minY - fallHeight / 2);
+    }
+  }
+  ctxLC.restore();
+}
+
+// Save a take as a Standard MIDI File
+function downloadTakeAsMidi(take) {
+  const bytes = writeMidiFile(take, midiExportSettings);
+  const url = URL.createObjectURL(new Blob([bytes], { type: 'audio/midi' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${take.name.replace(/[^\w-]+/g, '_')}.mid`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Render a take offline through the current instrument, mixer and effects, and save it
+async function downloadTakeAsAudio(take) {
+  const format = AUDIO_FORMATS[bounceSettings.format] ? bounceSettings.format : DEFAULT_BOUNCE.format;
+  const buffer = await renderTake(take, {
+    getSound: (note, velocity) => instrumentManager.getSound(note, velocity),
+    velocityToGain,
+    panForNote: notePan,
+    mixer: mixerSettings,
+    effects: effectSettings,
+    sampleRate: format === 'webm' ? OPUS_SAMPLE_RATE : (audioContext?.sampleRate || 44100),
+    tailSeconds: bounceSettings.tailSeconds,
+    normalize: bounceSettings.normalize
+  });
+  const bytes = await encodeAudio(buffer, format);
+  const { extension, mimeType } = AUDIO_FORMATS[format];
+  const url = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${take.name.replace(/[^\w-]+/g, '_')}.${extension}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// exportKeys indices of the notes a take is playing right now
+function playbackKeyIndices() {
+  const indices = new Set();
+  if (playbackNotes.size === 0) return indices;
+  exportKeys.forEach((key, i) => {
+    if (playbackNotes.has(key.note)) indices.add(i);
+  });
+  return indices;
+}
+
+function setupRecorderControls() {
+  const recordToggle = document.getElementById('recordToggle');
+  const playButton = document.getElementById('recorderPlay');
+  const stopButton = document.getElementById('recorderStop');
+  const status = document.getElementById('recorderStatus');
+  const takeList = document.getElementById('takeList');
+  const formatSelect = document.getElementById('midiExportFormat');
+  const splitHandsToggle = document.getElementById('midiSplitHandsToggle');
+  const bounceFormat = document.getElementById('bounceFormat');
+  const bounceTailSlider = document.getElementById('bounceTailSlider');
+  const bounceTailLabel = document.getElementById('bounce-tail');
+  const bounceNormalizeToggle = document.getElementById('bounceNormalizeToggle');
+  const bounceStatus = document.getElementById('bounceStatus');
+  if (!recordToggle || !takeList) return;
+
+  const saveExport = () => saveSettings('midiExport', midiExportSettings);
+  if (formatSelect) {
+    formatSelect.value = String(midiExportSettings.format);
+    formatSelect.addEventListener('change', (e) => {
+      midiExportSettings.format = parseInt(e.target.value, 10);
+      if (splitHandsToggle) splitHandsToggle.disabled = midiExportSettings.format === 0;
+      saveExport();
+    });
+  }
+  if (splitHandsToggle) {
+    splitHandsToggle.checked = midiExportSettings.splitHands;
+    splitHandsToggle.disabled = midiExportSettings.format === 0;
+    splitHandsToggle.addEventListener('change', (e) => {
+      midiExportSettings.splitHands = e.target.checked;
+      saveExport();
+    });
+  }
+
+  const saveBounce = () => saveSettings('bounce', bounceSettings);
+  if (bounceFormat) {
+    bounceFormat.value = bounceSettings.format;
+    bounceFormat.addEventListener('change', (e) => {
+      bounceSettings.format = e.target.value;
+      saveBounce();
+    });
+    // WebM needs a WebCodecs Opus encoder
+    webmSupported().then(supported => {
+      const option = bounceFormat.querySelector('option[value="webm"]');
+      if (supported || !option) return;
+      option.disabled = true;
+      option.textContent += ' (not supported)';
+      if (bounceSettings.format === 'webm') {
+        bounceSettings.format = DEFAULT_BOUNCE.format;
+        bounceFormat.value = bounceSettings.format;
+      }
+    });
+  }
+  if (bounceTailSlider) {
+    const showTail = () => {
+      if (bounceTailLabel) bounceTailLabel.textContent = `${bounceSettings.tailSeconds.toFixed(1)} s`;
+    };
+    bounceTailSlider.value = bounceSettings.tailSeconds;
+    showTail();
+    bounceTailSlider.addEventListener('input', (e) => {
+      bounceSettings.tailSeconds = parseFloat(e.target.value);
+      showTail();
+      saveBounce();
+    });
+  }
+  if (bounceNormalizeToggle) {
+    bounceNormalizeToggle.checked = bounceSettings.normalize;
+    bounceNormalizeToggle.addEventListener('change', (e) => {
+      bounceSettings.normalize = e.target.checked;
+      saveBounce();
+    });
+  }
+
+  let selectedTakeId = null;
+  let statusTimer = null;
+  let recordingStartedAt = 0;
+  let bouncingTakeId = null;
+
+  const bounceTake = async (take) => {
+    if (bouncingTakeId) return;
+    bouncingTakeId = take.id;
+    if (bounceStatus) bounceStatus.textContent = `Rendering ${take.name}…`;
+    render();
+    try {
+      await downloadTakeAsAudio(take);
+      if (bounceStatus) bounceStatus.textContent = `Saved ${take.name} as ${AUDIO_FORMATS[bounceSettings.format].label}`;
+    } catch (error) {
+      console.error('Audio export failed:', error);
+      if (bounceStatus) bounceStatus.textContent = `Export failed: ${error.message}`;
+    } finally {
+      bouncingTakeId = null;
+      render();
+    }
+  };
+
+  const noteCount = take => take.events.filter(event => event.type === 'noteOn').length;
+
+  const renderStatus = () => {
+    if (!status) return;
+    if (recorder.isRecording()) {
+      status.textContent = `Recording… ${formatDuration(performance.now() - recordingStartedAt)}`;
+    } else if (takePlayback) {
+      const { take, player } = takePlayback;
+      status.textContent = `Playing ${take.name} ${formatDuration(player.getPosition())} / ${formatDuration(take.duration)}`;
+    } else {
+      const count = recorder.getTakes().length;
+      status.textContent = count > 0 ? `${count} take${count === 1 ? '' : 's'}` : 'Records hands, keyboard, MIDI and the pedal';
+    }
+  };
+
+  const render = () => {
+    const recording = recorder.isRecording();
+    const takes = recorder.getTakes();
+    if (!takes.some(take => take.id === selectedTakeId)) selectedTakeId = takes.at(-1)?.id ?? null;
+
+    recordToggle.textContent = recording ? '⏹ Stop Recording' : '⏺ Record';
+    recordToggle.classList.toggle('muted', recording);
+    if (playButton) playButton.disabled = !selectedTakeId;
+    if (stopButton) stopButton.disabled = !recording && !takePlayback;
+
+    takeList.replaceChildren(...takes.map(take => {
+      const item = document.createElement('li');
+      item.classList.toggle('selected', take.id === selectedTakeId);
+      item.classList.toggle('playing', takePlayback?.take === take);
+      const name = document.createElement('span');
+      name.textContent = take.name;
+      const meta = document.createElement('span');
+      meta.className = 'take-meta';
+      meta.textContent = `${formatDuration(take.duration)} · ${noteCount(take)} notes`;
+      const play = document.createElement('button');
+      play.className = 'pill success';
+      play.textContent = '▶';
+      play.title = `Play ${take.name}`;
+      play.addEventListener('click', (e) => {
+        e.stopPropagation();
+        selectedTakeId = take.id;
+        playRecordedTake(take);
+      });
+      const download = document.createElement('button');
+      download.className = 'pill secondary';
+      download.textContent = '⬇';
+      download.title = `Download ${take.name} as MIDI`;
+      download.addEventListener('click', (e) => {
+        e.stopPropagation();
+        downloadTakeAsMidi(take);
+      });
+      const bounce = document.createElement('button');
+      bounce.className = 'pill secondary';
+      bounce.textContent = bouncingTakeId === take.id ? '…' : '🔊';
+      bounce.title = `Download ${take.name} as audio`;
+      bounce.disabled = !!bouncingTakeId;
+      bounce.addEventListener('click', (e) => {
+        e.stopPropagation();
+        bounceTake(take);
+      });
+      const edit = document.createElement('button');
+      edit.className = 'pill secondary';
+      edit.textContent = '✎';
+      edit.title = `Edit ${take.name} in the piano roll`;
+      edit.addEventListener('click', (e) => {
+        e.stopPropagation();
+        selectedTakeId = take.id;
+        openPianoRoll?.(take);
+      });
+      const remove = document.createElement('button');
+      remove.className = 'pill muted';
+      remove.textContent = '✕';
+      remove.title = `Delete ${take.name}`;
+      remove.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (takePlayback?.take === take) stopTakePlayback();
+        closePianoRoll?.(take);
+        recorder.removeTake(take.id);
+      });
+      item.append(name, meta, play, edit, download, bounce, remove);
+      item.addEventListener('click', () => {
+        selectedTakeId = take.id;
+        render();
+      });
+      return item;
+    }));
+
+    // Tick the status line only while something is running
+    renderStatus();
+    if ((recording || takePlayback) && !statusTimer) {
+      statusTimer = setInterval(renderStatus, 100);
+    } else if (!recording && !takePlayback && statusTimer) {
+      clearInterval(statusTimer);
+      statusTimer = null;
+    }
+  };
+  renderRecorder = render;
+
+  recordToggle.addEventListener('click', () => {
+    if (recorder.isRecording()) {
+      const take = recorder.stop();
+      if (take) selectedTakeId = take.id;
+      render();
+      return;
+    }
+    recordingStartedAt = performance.now();
+    recorder.start(recordingStartedAt);
+    if (livePedalDown) recorder.pedal(true, recordingStartedAt); // pedal already held
+  });
+  playButton?.addEventListener('click', () => {
+    const take = recorder.getTake(selectedTakeId);
+    if (take) playRecordedTake(take);
+  });
+  stopButton?.addEventListener('click', () => {
+    if (recorder.isRecording()) {
+      const take = recorder.stop();
+      if (take) selectedTakeId = take.id;
+    }
+    stopTakePlayback();
+    render();
+  });
+  render();
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupRecorderControls);
+} else {
+  setupRecorderControls();
+}
+
+// Piano roll: every edit is written back to the take, so playback, MIDI export and audio
+// bounces all use the edited notes
+let quantizeSettings = loadSettings('quantize', DEFAULT_QUANTIZE);
+let openPianoRoll = null; // (take) -> show it in the editor; set by setupPianoRollControls
+let closePianoRoll = null; // (take?) -> hide the editor (only if it shows that take)
+
+// Rows for the editor: the current keys' range, widened to any notes outside it
+function pianoRollRows(notes) {
+  const layoutMidis = new Set(exportKeys.map(key => noteNameToMidi(key.note)).filter(midi => midi !== null));
+  const midis = [...layoutMidis, ...notes.map(note => note.midi)];
+  const high = midis.length > 0 ? midis.reduce((a, b) => Math.max(a, b)) : 72;
+  const low = midis.length > 0 ? midis.reduce((a, b) => Math.min(a, b)) : 48;
+  const rows = [];
+  for (let midi = high; midi >= low; midi--) rows.push(midi);
+  return { rows, layoutMidis };
+}
+
+function setupPianoRollControls() {
+  const panel = document.getElementById('pianoRollPanel');
+  const canvas = document.getElementById('pianoRollCanvas');
+  const title = document.getElementById('pianoRollTitle');
+  const playButton = document.getElementById('pianoRollPlay');
+  const undoButton = document.getElementById('pianoRollUndo');
+  const redoButton = document.getElementById('pianoRollRedo');
+  const gridSelect = document.getElementById('pianoRollGrid');
+  const snapToggle = document.getElementById('pianoRollSnap');
+  const strengthSlider = document.getElementById('quantizeStrengthSlider');
+  const strengthDisplay = document.getElementById('quantize-strength');
+  const swingSlider = document.getElementById('quantizeSwingSlider');
+  const swingDisplay = document.getElementById('quantize-swing');
+  const quantizeButton = document.getElementById('quantizeButton');
+  const velocityInput = document.getElementById('pianoRollVelocity');
+  const closeButton = document.getElementById('pianoRollClose');
+  if (!panel || !canvas) return;
+
+  let editing = null; // { take, history }
+  let playheadFrame = null;
+
+  const timing = () => takeTiming(editing?.take.tempo, quantizeSettings.grid);
+  const saveQuantize = () => saveSettings('quantize', quantizeSettings);
+
+  const roll = initPianoRoll(canvas, {
+    onEdit: notes => {
+      editing.history.push(notes);
+      write();
+    },
+    onUndo: () => step('undo'),
+    onRedo: () => step('redo'),
+    onSelectionChange: selected => {
+      if (!velocityInput) return;
+      velocityInput.disabled = selected.length === 0;
+      // One value when the selection agrees, blank otherwise
+      const velocities = new Set(selected.map(note => note.velocity));
+      velocityInput.value = velocities.size === 1 ? [...velocities][0] : '';
+    },
+    getPlayhead: () => (editing && takePlayback?.take === editing.take ? takePlayback.player.getPosition() : null)
+  });
+
+  const applyGrid = () => roll.setGrid({ timing: timing(), swing: quantizeSettings.swing, snap: quantizeSettings.snap });
+
+  // Write the current notes into the take (unless only showing it) and the view
+  function write({ toTake = true } = {}) {
+    const { take, history } = editing;
+    const notes = history.current();
+    if (toTake) recorder.updateTake(take.id, applyNotes(take, notes));
+    roll.setNotes(notes, { duration: take.duration });
+    if (undoButton) undoButton.disabled = !history.canUndo();
+    if (redoButton) redoButton.disabled = !history.canRedo();
+  }
+
+  function step(direction) {
+    if (!editing || !editing.history[direction]()) return;
+    write();
+  }
+
+  // Redraw every frame while the edited take plays, for the playhead
+  function followPlayhead() {
+    roll.draw();
+    if (playButton) playButton.textContent = takePlayback?.take === editing?.take ? '■ Stop' : '▶ Play';
+    playheadFrame = editing && takePlayback?.take === editing.take ? requestAnimationFrame(followPlayhead) : null;
+  }
+
+  openPianoRoll = (take) => {
+    const notes = takeToNotes(take);
+    editing = { take, history: createEditHistory(notes) };
+    panel.hidden = false;
+    if (title) title.textContent = `✎ ${take.name}`;
+    roll.resize();
+    const { rows, layoutMidis } = pianoRollRows(notes);
+    roll.setRows(rows, layoutMidis);
+    applyGrid();
+    roll.setSelection([]);
+    write({ toTake: false });
+    roll.zoomToFit();
+    panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    canvas.focus({ preventScroll: true });
+  };
+
+  closePianoRoll = (take = null) => {
+    if (!editing || (take && editing.take !== take)) return;
+    if (takePlayback?.take === editing.take) stopTakePlayback();
+    editing = null;
+    panel.hidden = true;
+  };
+
+  if (gridSelect) {
+    GRID_OPTIONS.forEach(({ id }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = id;
+      gridSelect.appendChild(option);
+    });
+    gridSelect.value = quantizeSettings.grid;
+    gridSelect.addEventListener('change', (e) => {
+      quantizeSettings.grid = e.target.value;
+      saveQuantize();
+      applyGrid();
+    });
+  }
+  if (snapToggle) {
+    snapToggle.checked = quantizeSettings.snap;
+    snapToggle.addEventListener('change', (e) => {
+      quantizeSettings.snap = e.target.checked;
+      saveQuantize();
+      applyGrid();
+    });
+  }
+  const percentSlider = (slider, display, key) => {
+    if (!slider) return;
+    const show = () => {
+      if (display) display.textContent = `${Math.round(quantizeSettings[key] * 100)}%`;
+    };
+    slider.value = quantizeSettings[key];
+    show();
+    slider.addEventListener('input', (e) => {
+      quantizeSettings[key] = parseFloat(e.target.value);
+      show();
+      saveQuantize();
+      applyGrid();
+    });
+  };
+  percentSlider(strengthSlider, strengthDisplay, 'strength');
+  percentSlider(swingSlider, swingDisplay, 'swing');
+
+  quantizeButton?.addEventListener('click', () => {
+    if (!editing) return;
+    const selection = roll.getSelection();
+    const { gridMs, offsetMs } = timing();
+    editing.history.push(quantizeNotes(editing.history.current(), {
+      gridMs,
+      offsetMs,
+      strength: quantizeSettings.strength,
+      swing: quantizeSettings.swing,
+      ids: selection.size > 0 ? selection : null
+    }));
+    write();
+  });
+
+  velocityInput?.addEventListener('change', (e) => {
+    const velocity = Math.min(127, Math.max(1, parseInt(e.target.value, 10)));
+    const selection = roll.getSelection();
+    if (!editing || !Number.isFinite(velocity) || selection.size === 0) return;
+    editing.history.push(editing.history.current().map(note => (selection.has(note.id) ? { ...note, velocity } : note)));
+    write();
+  });
+
+  undoButton?.addEventListener('click', () => step('undo'));
+  redoButton?.addEventListener('click', () => step('redo'));
+  playButton?.addEventListener('click', () => {
+    if (!editing) return;
+    if (takePlayback?.take === editing.take) {
+      stopTakePlayback();
+    } else {
+      playRecordedTake(editing.take);
+      if (!playheadFrame) followPlayhead();
+    }
+  });
+  closeButton?.addEventListener('click', () => closePianoRoll());
+  window.addEventListener('resize', () => {
+    if (editing) roll.resize();
+  });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupPianoRollControls);
+} else {
+  setupPianoRollControls();
+}
+
+function setupLooperControls() {
+  const recordButton = document.getElementById('loopRecord');
+  const playButton = document.getElementById('loopPlay');
+  const undoButton = document.getElementById('loopUndo');
+  const clearButton = document.getElementById('loopClear');
+  const barsSelect = document.getElementById('loopBarsSelect');
+  const progress = document.getElementById('loopProgress');
+  const status = document.getElementById('looperStatus');
+  const layerList = document.getElementById('loopLayers');
+  if (!recordButton || !layerList) return;
+
+  LOOP_BAR_OPTIONS.forEach(bars => {
+    const option = document.createElement('option');
+    option.value = bars;
+    option.textContent = `${bars} bar${bars === 1 ? '' : 's'}`;
+    barsSelect?.appendChild(option);
+  });
+
+  const resumeAudio = async () => {
+    const ctx = getAudioContext();
+    if (ctx?.state === 'suspended') await ctx.resume().catch(() => {});
+  };
+
+  let progressTimer = null;
+
+  const renderProgress = () => {
+    const { position, recording, beatsPerBar, bars } = looper.getState();
+    if (progress) progress.style.width = `${Math.round((recording && !recording.armed ? recording.progress : position ?? 0) * 100)}%`;
+    if (!status) return;
+    if (recording?.armed) {
+      status.textContent = 'Recording starts on the next bar…';
+    } else if (recording) {
+      status.textContent = `${recording.overdub ? 'Overdubbing' : 'Recording'}… ${Math.round(recording.progress * 100)}%`;
+    } else {
+      status.textContent = `${bars} bar${bars === 1 ? '' : 's'} of ${beatsPerBar}, on the metronome's tempo`;
+    }
+  };
+
+  const instrumentOptions = (selected) => {
+    const options = instrumentManager.getIndex().map(({ id, name }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = name;
+      return option;
+    });
+    if (selected && !options.some(option => option.value === selected)) {
+      const option = document.createElement('option');
+      option.value = selected;
+      option.textContent = selected; // not in this index: played on the selected instrument
+      options.push(option);
+    }
+    return options;
+  };
+
+  const render = () => {
+    const state = looper.getState();
+    recordButton.textContent = state.recording ? '⏺ Recording…' : state.layers.length > 0 ? '⏺ Overdub' : '⏺ Record Loop';
+    recordButton.disabled = !!state.recording;
+    if (playButton) {
+      playButton.textContent = state.playing ? '■ Stop' : '▶ Play';
+      playButton.disabled = state.layers.length === 0 && !state.recording;
+    }
+    if (undoButton) undoButton.disabled = state.layers.length === 0 && !state.recording;
+    if (clearButton) clearButton.disabled = state.layers.length === 0 && !state.recording;
+    if (barsSelect) {
+      barsSelect.value = String(state.bars);
+      barsSelect.disabled = state.layers.length > 0 || !!state.recording;
+    }
+
+    layerList.replaceChildren(...state.layers.map(layer => {
+      const item = document.createElement('li');
+      item.classList.toggle('muted-layer', !layer.audible);
+      const name = document.createElement('span');
+      name.textContent = layer.name;
+      const meta = document.createElement('span');
+      meta.className = 'take-meta';
+      meta.textContent = `${layer.noteCount} notes`;
+      const instrument = document.createElement('select');
+      instrument.className = 'layer-instrument';
+      instrument.title = `${layer.name} instrument`;
+      instrument.append(...instrumentOptions(layer.instrument));
+      instrument.value = layer.instrument ?? '';
+      instrument.addEventListener('change', (e) => looper.setInstrument(layer.id, e.target.value));
+      const mute = document.createElement('button');
+      mute.className = `pill ${layer.muted ? 'danger' : 'secondary'}`;
+      mute.textContent = 'M';
+      mute.title = layer.muted ? `Unmute ${layer.name}` : `Mute ${layer.name}`;
+      mute.addEventListener('click', () => looper.setMuted(layer.id, !layer.muted));
+      const solo = document.createElement('button');
+      solo.className = `pill ${layer.solo ? 'success' : 'secondary'}`;
+      solo.textContent = 'S';
+      solo.title = layer.solo ? `Unsolo ${layer.name}` : `Solo ${layer.name}`;
+      solo.addEventListener('click', () => looper.setSolo(layer.id, !layer.solo));
+      const remove = document.createElement('button');
+      remove.className = 'pill muted';
+      remove.textContent = '✕';
+      remove.title = `Clear ${layer.name}`;
+      remove.addEventListener('click', () => looper.clearLayer(layer.id));
+      item.append(name, meta, instrument, mute, solo, remove);
+      return item;
+    }));
+
+    // Animate the loop position only while it plays
+    renderProgress();
+    if (state.playing && !progressTimer) {
+      progressTimer = setInterval(renderProgress, 50);
+    } else if (!state.playing && progressTimer) {
+      clearInterval(progressTimer);
+      progressTimer = null;
+    }
+  };
+  renderLooper = render;
+
+  recordButton.addEventListener('click', async () => {
+    await resumeAudio();
+    looper.record();
+  });
+  playButton?.addEventListener('click', async () => {
+    await resumeAudio();
+    looper.toggle();
+  });
+  undoButton?.addEventListener('click', () => looper.undo());
+  clearButton?.addEventListener('click', () => looper.clear());
+  barsSelect?.addEventListener('change', (e) => looper.setBars(parseInt(e.target.value, 10)));
+
+  render();
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupLooperControls);
+} else {
+  setupLooperControls();
+}
+
+function setupMidiFilePlayerControls() {
+  const fileInput = document.getElementById('midiFileInput');
+  const status = document.getElementById('midiFileStatus');
+  const playButton = document.getElementById('midiFilePlay');
+  const loopStartButton = document.getElementById('midiLoopStart');
+  const loopEndButton = document.getElementById('midiLoopEnd');
+  const loopClearButton = document.getElementById('midiLoopClear');
+  const seekSlider = document.getElementById('midiFileSeek');
+  const positionDisplay = document.getElementById('midi-file-position');
+  const tempoSlider = document.getElementById('midiFileTempoSlider');
+  const tempoDisplay = document.getElementById('midi-file-tempo');
+  const trackList = document.getElementById('midiFileTracks');
+  const rangeWarning = document.getElementById('midiFileRange');
+  if (!fileInput) return;
+
+  let seeking = false; // don't move the slider under the user's finger
+  let positionTimer = null;
+  const seconds = value => formatDuration(value * 1000);
+
+  const renderRange = () => {
+    const song = midiFilePlayer.getSong();
+    if (!rangeWarning) return;
+    if (!song || exportKeys.length === 0) {
+      rangeWarning.textContent = '';
+      return;
+    }
+    const { count, below, above } = songRangeReport(song);
+    const parts = [];
+    if (below.length > 0) parts.push(`${below.length} below, lowest ${midiToNoteName(Math.min(...below))}`);
+    if (above.length > 0) parts.push(`${above.length} above, highest ${midiToNoteName(Math.max(...above))}`);
+    const between = count - below.length - above.length; // gaps in a paper layout
+    if (between > 0) parts.push(`${between} with no key in between`);
+    rangeWarning.textContent = count > 0
+      ? `⚠️ ${count} of ${song.notes.length} notes are outside the keys on screen (${parts.join('; ')}). They still sound and show as arrows by the keyboard.`
+      : '';
+  };
+
+  const renderTracks = () => {
+    if (!trackList) return;
+    const song = midiFilePlayer.getSong();
+    const { muted } = midiFilePlayer.getState();
+    trackList.replaceChildren(...(song?.tracks || []).map((track, i) => {
+      if (track.noteCount === 0) return null; // tempo/conductor tracks
+      const label = document.createElement('label');
+      label.className = 'inline';
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = !muted.includes(i);
+      toggle.addEventListener('change', (e) => midiFilePlayer.setTrackMuted(i, !e.target.checked));
+      label.append(toggle, ` ${track.name} (${track.noteCount} notes)`);
+      return label;
+    }).filter(Boolean));
+  };
+
+  const renderPosition = () => {
+    const { position, duration } = midiFilePlayer.getState();
+    if (positionDisplay) positionDisplay.textContent = `${seconds(position)} / ${seconds(duration)}`;
+    if (seekSlider && !seeking) seekSlider.value = position;
+  };
+
+  const render = () => {
+    const { loaded, playing, duration, loop, tempoScale } = midiFilePlayer.getState();
+    if (playButton) {
+      playButton.disabled = !loaded;
+      playButton.textContent = playing ? '⏸ Pause' : '▶ Play';
+    }
+    [loopStartButton, loopEndButton].forEach(button => {
+      if (button) button.disabled = !loaded;
+    });
+    if (loopClearButton) {
+      loopClearButton.disabled = !loop;
+      loopClearButton.textContent = loop ? `Loop ${seconds(loop.start)}–${seconds(loop.end)} ✕` : 'Loop Off';
+    }
+    if (seekSlider) {
+      seekSlider.disabled = !loaded;
+      seekSlider.max = duration;
+    }
+    if (tempoSlider) tempoSlider.value = tempoScale;
+    if (tempoDisplay) tempoDisplay.textContent = `${Math.round(tempoScale * 100)}%`;
+    renderPosition();
+    // Follow the playhead only while playing
+    if (playing && !positionTimer) {
+      positionTimer = setInterval(renderPosition, 100);
+    } else if (!playing && positionTimer) {
+      clearInterval(positionTimer);
+      positionTimer = null;
+    }
+  };
+  renderMidiFilePlayer = render;
+
+  fileInput.addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const song = parseMidiFile(await file.arrayBuffer());
+      song.name = file.name.replace(/\.midi?$/i, '');
+      midiFilePlayer.load(song);
+      if (status) status.textContent = `${file.name}: ${song.notes.length} notes, ${seconds(song.duration)}`;
+    } catch (error) {
+      console.warn('Could not read MIDI file:', error);
+      if (status) status.textContent = `Could not read ${file.name}: ${error.message}`;
+    }
+    renderTracks();
+    renderRange();
+    render();
+  });
+  playButton?.addEventListener('click', () => {
+    const ctx = getAudioContext();
+    if (ctx?.state === 'suspended') ctx.resume().catch(() => {});
+    if (!midiFilePlayer.getState().playing) {
+      stopTakePlayback(); // one playback at a time
+      renderRange(); // the layout may have changed since the file was loaded
+    }
+    midiFilePlayer.toggle();
+  });
+  // A and B mark the loop at the current position; the other end defaults to the song's edge
+  loopStartButton?.addEventListener('click', () => {
+    const { position, duration, loop } = midiFilePlayer.getState();
+    midiFilePlayer.setLoop({ start: position, end: loop && loop.end > position ? loop.end : duration });
+  });
+  loopEndButton?.addEventListener('click', () => {
+    const { position, loop } = midiFilePlayer.getState();
+    midiFilePlayer.setLoop({ start: loop && loop.start < position ? loop.start : 0, end: position });
+  });
+  loopClearButton?.addEventListener('click', () => midiFilePlayer.setLoop(null));
+  seekSlider?.addEventListener('input', () => {
+    seeking = true;
+  });
+  seekSlider?.addEventListener('change', (e) => {
+    seeking = false;
+    midiFilePlayer.seek(parseFloat(e.target.value));
+  });
+  tempoSlider?.addEventListener('input', (e) => midiFilePlayer.setTempoScale(parseFloat(e.target.value)));
+  render();
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupMidiFilePlayerControls);
+} else {
+  setupMidiFilePlayerControls();
+}
+
+function setupLessonControls() {
+  const notesToggle = document.getElementById('lessonNotesToggle');
+  const startButton = document.getElementById('lessonStart');
+  const leadInSlider = document.getElementById('lessonLeadInSlider');
+  const leadInDisplay = document.getElementById('lesson-lead-in');
+  const lookAheadSlider = document.getElementById('lessonLookAheadSlider');
+  const lookAheadDisplay = document.getElementById('lesson-look-ahead');
+  const speedSlider = document.getElementById('lessonSpeedSlider');
+  const speedDisplay = document.getElementById('lesson-speed');
+  const handsSelect = document.getElementById('lessonHandsSelect');
+  const practiceButton = document.getElementById('practiceStart');
+  const practiceHandSelect = document.getElementById('practiceHandSelect');
+  const legend = document.getElementById('lessonHandLegend');
+  const status = document.getElementById('lessonStatus');
+  const scoreBox = document.getElementById('lessonScore');
+  if (!startButton) return;
+
+  const save = () => saveSettings('lesson', lessonSettings);
+
+  Object.entries(HAND_MODES).forEach(([id, label]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = label;
+    handsSelect?.appendChild(option);
+  });
+  Object.entries(PRACTICE_HANDS).forEach(([id, label]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = label;
+    practiceHandSelect?.appendChild(option);
+  });
+  legend?.replaceChildren(...['right', 'left'].map(hand => {
+    const swatch = document.createElement('span');
+    swatch.className = 'hand-swatch';
+    swatch.style.background = HAND_COLORS[hand].white;
+    swatch.textContent = hand === 'right' ? 'Right hand' : 'Left hand';
+    return swatch;
+  }));
+
+  const render = () => {
+    const song = midiFilePlayer.getSong();
+    const { playing, tempoScale } = midiFilePlayer.getState();
+    const running = playing || !!lessonCountIn;
+    const practising = practice.getState();
+    startButton.disabled = !song;
+    startButton.textContent = running ? '⏹ Stop Lesson' : '▶ Start Lesson';
+    if (practiceButton) {
+      practiceButton.disabled = !song;
+      practiceButton.textContent = practising.active ? '⏹ Stop Practice' : '⏸ Wait for Me';
+    }
+    if (speedSlider) speedSlider.value = tempoScale;
+    if (speedDisplay) speedDisplay.textContent = `${Math.round(tempoScale * 100)}%`;
+    if (!status) return;
+    if (practising.active) {
+      const keys = practising.expected.map(({ midi }) => midiToNoteName(midi)).join(' ');
+      status.textContent = practising.done
+        ? 'All steps played'
+        : `Step ${practising.index + 1} of ${practising.total}: play ${keys}`;
+    } else if (practiceMessage) {
+      status.textContent = practiceMessage;
+    } else if (!song) {
+      status.textContent = 'Load a song in the MIDI File Player; its notes fall onto the keys that play them';
+    } else {
+      const lanes = keyLanes(exportKeys);
+      const missing = song.notes.filter(note => !lanes.has(note.midi)).length;
+      status.textContent = missing > 0
+        ? `${missing} of ${song.notes.length} notes have no key on this layout and are not shown`
+        : `All ${song.notes.length} notes are on the keys on screen`;
+    }
+  };
+  renderLesson = render;
+
+  const timing = offsetMs => (offsetMs === 0 ? 'on time' : `${Math.abs(offsetMs)} ms ${offsetMs < 0 ? 'early' : 'late'}`);
+  const describeMeasure = measure => [
+    measure.misses > 0 && `${measure.misses} missed`,
+    measure.extras > 0 && `${measure.extras} extra`,
+    measure.meanOffsetMs !== null && timing(measure.meanOffsetMs)
+  ].filter(Boolean).join(', ');
+
+  // The last session's score and bars, then the song's progress over its saved sessions
+  const renderScore = () => {
+    if (!scoreBox) return;
+    const { result, history } = lessonScores;
+    const lines = [];
+    if (result) {
+      const scoreLine = document.createElement('p');
+      scoreLine.className = 'score-line';
+      const expected = result.hits + result.misses;
+      scoreLine.textContent = `Score ${result.score ?? '–'} · ${result.hits} of ${expected} notes · ${result.extras} extra`;
+      lines.push(scoreLine);
+      if (result.hits > 0) {
+        const detail = document.createElement('p');
+        const velocity = result.meanVelocityDelta === 0 ? 'even' : `${Math.abs(result.meanVelocityDelta)} ${result.meanVelocityDelta < 0 ? 'softer' : 'harder'}`;
+        detail.textContent = `Timing ${timing(result.meanOffsetMs)} on average (±${result.meanAbsOffsetMs} ms) · Velocity ${velocity} (±${result.meanAbsVelocityDelta})`;
+        lines.push(detail);
+      }
+      const list = document.createElement('ol');
+      list.className = 'measure-scores';
+      result.measures.forEach(measure => {
+        const item = document.createElement('li');
+        if (measure.score !== null && measure.score < 70) item.className = 'weak';
+        const notes = describeMeasure(measure);
+        item.textContent = `Bar ${measure.measure}: ${measure.score ?? '–'}${notes ? ` (${notes})` : ''}`;
+        list.append(item);
+      });
+      lines.push(list);
+    }
+    const sessions = history?.sessions ?? [];
+    if (sessions.length > 0) {
+      const progress = document.createElement('p');
+      const scores = sessions.map(session => session.score ?? 0);
+      progress.textContent = `${history.name || 'This song'}: ${scores.slice(-8).join(' → ')} · best ${Math.max(...scores)} over ${sessions.length} session${sessions.length === 1 ? '' : 's'}`;
+      lines.push(progress);
+    }
+    scoreBox.replaceChildren(...lines);
+    scoreBox.hidden = lines.length === 0;
+  };
+  renderLessonScore = renderScore;
+
+  if (notesToggle) {
+    notesToggle.checked = lessonSettings.showNotes;
+    notesToggle.addEventListener('change', (e) => {
+      lessonSettings.showNotes = e.target.checked;
+      save();
+    });
+  }
+  if (leadInSlider) {
+    leadInSlider.value = lessonSettings.leadIn;
+    if (leadInDisplay) leadInDisplay.textContent = lessonSettings.leadIn;
+    leadInSlider.addEventListener('input', (e) => {
+      lessonSettings.leadIn = parseInt(e.target.value);
+      if (leadInDisplay) leadInDisplay.textContent = lessonSettings.leadIn;
+      save();
+    });
+  }
+  if (lookAheadSlider) {
+    lookAheadSlider.value = lessonSettings.lookAhead;
+    if (lookAheadDisplay) lookAheadDisplay.textContent = lessonSettings.lookAhead.toFixed(1);
+    lookAheadSlider.addEventListener('input', (e) => {
+      lessonSettings.lookAhead = parseFloat(e.target.value);
+      if (lookAheadDisplay) lookAheadDisplay.textContent = lessonSettings.lookAhead.toFixed(1);
+      save();
+    });
+  }
+  speedSlider?.addEventListener('input', (e) => midiFilePlayer.setTempoScale(parseFloat(e.target.value)));
+  // Changing who plays what restarts a practice in progress from where it is
+  const restartPractice = () => {
+    if (!practice.getState().active) return;
+    stopPractice();
+    startPractice();
+  };
+  if (handsSelect) {
+    handsSelect.value = lessonSettings.handMode;
+    handsSelect.addEventListener('change', (e) => {
+      lessonSettings.handMode = e.target.value;
+      save();
+      restartPractice();
+    });
+  }
+  if (practiceHandSelect) {
+    practiceHandSelect.value = lessonSettings.practiceHand;
+    practiceHandSelect.addEventListener('change', (e) => {
+      lessonSettings.practiceHand = e.target.value;
+      save();
+      restartPractice();
+    });
+  }
+  practiceButton?.addEventListener('click', () => {
+    if (practice.getState().active) stopPractice();
+    else startPractice();
+  });
+  startButton.addEventListener('click', () => {
+    const ctx = getAudioContext();
+    if (ctx?.state === 'suspended') ctx.resume().catch(() => {});
+    if (midiFilePlayer.getState().playing || lessonCountIn) stopLesson();
+    else startLesson();
+  });
+  render();
+  renderScore();
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupLessonControls);
+} else {
+  setupLessonControls();
+}
+
+// Stereo width and panning mode for new voices
+let stereoSettings = loadSettings('stereo', DEFAULT_STEREO);
+
+// Tuning: reference pitch + temperament or Scala scale, as per-note detune in cents
+let tuningSettings = loadSettings('tuning', DEFAULT_TUNING);
+let tuningTable = new Float32Array(128);
+try {
+  tuningTable = buildTuningTable(tuningSettings);
+} catch (error) {
+  console.warn('Saved tuning is invalid, using equal temperament:', error);
+  tuningSettings = structuredClone(DEFAULT_TUNING);
+}
+
+// Instrument packs (instruments/index.json + one manifest per pack)
+const instrumentManager = initInstrumentManager({ getAudioContext, getDetune: midi => tuningTable[midi] ?? 0 });
+// Envelope tweaks from the sidebar, per instrument id (on top of the manifest's envelope)
+let envelopeSettings = loadSettings('envelopes', { overrides: {} });
+Object.entries(envelopeSettings.overrides).forEach(([id, overrides]) => {
+  instrumentManager.setEnvelopeOverrides(id, overrides);
+});
+let instrumentSettings = loadSettings('instrument', { id: null, maxVoices: DEFAULT_MAX_VOICES });
+
+// Every sounding voice, keyed by the input source that holds it (see voiceAllocator.js)
+const voiceAllocator = initVoiceAllocator({
+  maxVoices: instrumentSettings.maxVoices,
+  isPedalDown: () => sustainPedal.isDown()
+});
+const instrumentReady = instrumentManager.loadIndex()
+  .then(() => instrumentManager.select(instrumentSettings.id || instrumentManager.getDefaultId()))
+  .catch(error => {
+    if (!instrumentSettings.id) throw error;
+    console.warn(`Saved instrument "${instrumentSettings.id}" unavailable, using default:`, error);
+    return instrumentManager.select(instrumentManager.getDefaultId());
+  })
+  .catch(error => {
+    console.error('Failed to load instrument packs:', error);
+    return null;
+  });
+
+function setupInstrumentControls() {
+  const instrumentSelect = document.getElementById('instrumentSelect');
+  const instrumentStatus = document.getElementById('instrumentStatus');
+  if (!instrumentSelect) return;
+
+  instrumentReady.then(instrument => {
+    instrumentSelect.innerHTML = '';
+    instrumentManager.getIndex().forEach(({ id, name }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = name;
+      instrumentSelect.appendChild(option);
+    });
+    if (instrument) {
+      instrumentSelect.value = instrument.id;
+    }
+  });
+
+  // Polyphony cap: beyond it the quietest (usually oldest) voice is stolen
+  const maxVoicesSlider = document.getElementById('maxVoicesSlider');
+  const maxVoicesDisplay = document.getElementById('max-voices');
+  if (maxVoicesSlider) {
+    maxVoicesSlider.value = instrumentSettings.maxVoices;
+    if (maxVoicesDisplay) maxVoicesDisplay.textContent = instrumentSettings.maxVoices;
+    maxVoicesSlider.addEventListener('input', (e) => {
+      const maxVoices = parseInt(e.target.value, 10);
+      voiceAllocator.setMaxVoices(maxVoices);
+      instrumentSettings = { ...instrumentSettings, maxVoices };
+      saveSettings('instrument', instrumentSettings);
+      if (maxVoicesDisplay) maxVoicesDisplay.textContent = maxVoices;
+    });
+  }
+
+  instrumentSelect.addEventListener('change', async (e) => {
+    instrumentSelect.disabled = true;
+    if (instrumentStatus) instrumentStatus.textContent = 'Loading...';
+    try {
+      const instrument = await instrumentManager.select(e.target.value);
+      instrumentSettings = { ...instrumentSettings, id: instrument.id };
+      saveSettings('instrument', instrumentSettings);
+      refreshEnvelopeControls?.();
+      // Samples are only fetched once audio is unlocked; otherwise preloadAllAudio does it
+      if (audioUnlocked) {
+        startSampleLoading({ force: true });
+      } else if (instrumentStatus) {
+        instrumentStatus.textContent = `${instrument.name} selected`;
+      }
+    } catch (error) {
+      console.error('Failed to switch instrument:', error);
+      if (instrumentStatus) instrumentStatus.textContent = `Failed to load: ${error.message}`;
+      instrumentSelect.value = instrumentManager.getCurrent()?.id || '';
+    } finally {
+      instrumentSelect.disabled = false;
+    }
+  });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupInstrumentControls);
+} else {
+  setupInstrumentControls();
+}
+
+// Tuning sidebar: changes apply to the next notes played
+function setupTuningControls() {
+  const referenceInput = document.getElementById('tuningReferenceInput');
+  const presetRow = document.getElementById('tuningReferencePresets');
+  const temperamentSelect = document.getElementById('tuningTemperamentSelect');
+  const rootSelect = document.getElementById('tuningRootSelect');
+  const scalaInput = document.getElementById('tuningScalaInput');
+  const scalaClear = document.getElementById('tuningScalaClear');
+  const status = document.getElementById('tuningStatus');
+
+  const refresh = () => {
+    if (referenceInput) referenceInput.value = tuningSettings.referencePitch;
+    if (temperamentSelect) {
+      temperamentSelect.querySelector('option[value="scala"]').disabled = !tuningSettings.scl;
+      temperamentSelect.value = tuningSettings.temperament;
+    }
+    if (rootSelect) {
+      rootSelect.value = String(tuningSettings.root);
+      rootSelect.disabled = tuningSettings.temperament === 'scala' || tuningSettings.temperament === 'equal';
+    }
+    if (scalaClear) scalaClear.disabled = !tuningSettings.scl;
+    if (status) status.textContent = describeTuning(tuningSettings);
+  };
+
+  // Build the table first so an invalid scale never replaces a working tuning
+  const apply = (changes) => {
+    const next = { ...tuningSettings, ...changes };
+    try {
+      tuningTable = buildTuningTable(next);
+    } catch (error) {
+      console.warn('Invalid tuning:', error);
+      if (status) status.textContent = `Invalid tuning: ${error.message}`;
+      return false;
+    }
+    tuningSettings = next;
+    saveSettings('tuning', tuningSettings);
+    refresh();
+    return true;
+  };
+
+  if (temperamentSelect) {
+    temperamentSelect.innerHTML = '';
+    Object.entries(TEMPERAMENTS).forEach(([id, { name }]) => {
+      temperamentSelect.appendChild(new Option(name, id));
+    });
+    temperamentSelect.appendChild(new Option('Imported Scala scale', 'scala'));
+    temperamentSelect.addEventListener('change', (e) => apply({ temperament: e.target.value }));
+  }
+
+  if (rootSelect) {
+    rootSelect.innerHTML = '';
+    NOTE_NAMES.forEach((name, pitchClass) => rootSelect.appendChild(new Option(name, String(pitchClass))));
+    rootSelect.addEventListener('change', (e) => apply({ root: parseInt(e.target.value, 10) }));
+  }
+
+  if (referenceInput) {
+    referenceInput.addEventListener('change', (e) => {
+      const referencePitch = parseFloat(e.target.value);
+      if (referencePitch >= 380 && referencePitch <= 480) {
+        apply({ referencePitch });
+      } else {
+        refresh();
+      }
+    });
+  }
+
+  if (presetRow) {
+    REFERENCE_PRESETS.forEach(hz => {
+      const button = document.createElement('button');
+      button.className = 'pill muted';
+      button.textContent = `${hz}`;
+      button.addEventListener('click', () => apply({ referencePitch: hz }));
+      presetRow.appendChild(button);
+    });
+  }
+
+  // .scl (and optionally .kbm) files, picked together or one at a time
+  if (scalaInput) {
+    scalaInput.addEventListener('change', async (e) => {
+      const changes = {};
+      for (const file of e.target.files) {
+        const text = await file.text();
+        try {
+          if (/\.kbm$/i.test(file.name)) {
+            parseKbm(text);
+            changes.kbm = { name: file.name, text };
+          } else {
+            parseScl(text);
+            changes.scl = { name: file.name, text };
+          }
+        } catch (error) {
+          if (status) status.textContent = `${file.name}: ${error.message}`;
+          scalaInput.value = '';
+          return;
+        }
+      }
+      if (changes.scl || tuningSettings.scl) changes.temperament = 'scala';
+      apply(changes);
+      scalaInput.value = '';
+    });
+  }
+
+  if (scalaClear) {
+    scalaClear.addEventListener('click', () => {
+      apply({
+        scl: null,
+        kbm: null,
+        temperament: tuningSettings.temperament === 'scala' ? 'equal' : tuningSettings.temperament
+      });
+    });
+  }
+
+  refresh();
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupTuningControls);
+} else {
+  setupTuningControls();
+}
+
+function setupStereoControls() {
+  const widthSlider = document.getElementById('stereoWidthSlider');
+  const widthDisplay = document.getElementById('stereo-width');
+  const followScreenToggle = document.getElementById('stereoFollowScreenToggle');
+  const save = () => saveSettings('stereo', stereoSettings);
+
+  if (widthSlider) {
+    widthSlider.value = stereoSettings.width;
+    if (widthDisplay) widthDisplay.textContent = `${Math.round(stereoSettings.width * 100)}%`;
+    widthSlider.addEventListener('input', (e) => {
+      stereoSettings.width = parseFloat(e.target.value);
+      if (widthDisplay) widthDisplay.textContent = `${Math.round(stereoSettings.width * 100)}%`;
+      save();
+    });
+  }
+  if (followScreenToggle) {
+    followScreenToggle.checked = stereoSettings.followScreen;
+    followScreenToggle.addEventListener('change', (e) => {
+      stereoSettings.followScreen = e.target.checked;
+      save();
+    });
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupStereoControls);
+} else {
+  setupStereoControls();
+}
+
+let refreshEnvelopeControls = null; // set once the envelope sidebar exists
+
+// Envelope sidebar: edits apply to the current instrument and are saved per instrument
+function setupEnvelopeControls() {
+  const formatTime = value => (value < 1 ? `${Math.round(value * 1000)} ms` : `${value.toFixed(2)} s`);
+  const formatPercent = value => `${Math.round(value * 100)}%`;
+  const sliders = [
+    ['envAttackSlider', 'env-attack', 'attack', formatTime],
+    ['envDecaySlider', 'env-decay', 'decay', formatTime],
+    ['envSustainSlider', 'env-sustain', 'sustain', formatPercent],
+    ['envReleaseSlider', 'env-release', 'release', formatTime],
+    ['envReleaseTrackingSlider', 'env-release-tracking', 'releaseTracking', formatPercent]
+  ];
+  const curveSelect = document.getElementById('envCurveSelect');
+
+  const saveOverride = (key, value) => {
+    const id = instrumentManager.getCurrent()?.id;
+    if (!id) return;
+    const overrides = { ...envelopeSettings.overrides[id], [key]: value };
+    envelopeSettings.overrides[id] = overrides;
+    instrumentManager.setEnvelopeOverrides(id, overrides);
+    saveSettings('envelopes', envelopeSettings);
+  };
+
+  // Show the current instrument's envelope (after switching instruments or resetting)
+  const refresh = () => {
+    const envelope = instrumentManager.getEnvelope();
+    sliders.forEach(([sliderId, displayId, key, format]) => {
+      const slider = document.getElementById(sliderId);
+      const display = document.getElementById(displayId);
+      if (slider) slider.value = envelope[key];
+      if (display) display.textContent = format(envelope[key]);
+    });
+    if (curveSelect) curveSelect.value = envelope.curve;
+  };
+
+  sliders.forEach(([sliderId, displayId, key, format]) => {
+    const slider = document.getElementById(sliderId);
+    const display = document.getElementById(displayId);
+    if (!slider) return;
+    slider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      saveOverride(key, value);
+      if (display) display.textContent = format(value);
+    });
+  });
+
+  if (curveSelect) {
+    curveSelect.addEventListener('change', (e) => saveOverride('curve', e.target.value));
+  }
+
+  const envelopeReset = document.getElementById('envelopeReset');
+  if (envelopeReset) {
+    envelopeReset.addEventListener('click', () => {
+      const id = instrumentManager.getCurrent()?.id;
+      if (!id) return;
+      delete envelopeSettings.overrides[id];
+      instrumentManager.setEnvelopeOverrides(id, null);
+      saveSettings('envelopes', envelopeSettings);
+      refresh();
+    });
+  }
+
+  refreshEnvelopeControls = refresh;
+  instrumentReady.then(refresh);
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupEnvelopeControls);
+} else {
+  setupEnvelopeControls();
+}
+
+// Mixer sidebar: master volume/mute and one level + meter per source, saved on change
+function setupMixerControls() {
+  const container = document.getElementById('mixerChannels');
+  const muteToggle = document.getElementById('mixerMuteToggle');
+  if (!container) return;
+
+  const save = () => {
+    mixer?.update(mixerSettings);
+    saveSettings('mixer', mixerSettings);
+  };
+  const formatLevel = value => `${Math.round(value * 100)}%`;
+  const meters = {}; // channel id (or 'master') -> meter fill element
+
+  // One row per strip: label, level slider and a meter underneath
+  const addStrip = (id, name, value, onInput) => {
+    const row = document.createElement('div');
+    row.className = 'slider-group mixer-strip';
+    const label = document.createElement('label');
+    const display = document.createElement('span');
+    display.textContent = formatLevel(value);
+    label.append(`${name}: `, display);
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '0';
+    slider.max = id === 'master' ? '1' : '1.5';
+    slider.step = '0.01';
+    slider.value = value;
+    slider.setAttribute('aria-label', `${name} level`);
+    slider.addEventListener('input', (e) => {
+      const level = parseFloat(e.target.value);
+      display.textContent = formatLevel(level);
+      onInput(level);
+      save();
+    });
+    const meter = document.createElement('div');
+    meter.className = 'level-meter';
+    const fill = document.createElement('div');
+    meter.appendChild(fill);
+    row.append(label, slider, meter);
+    container.appendChild(row);
+    meters[id] = fill;
+  };
+
+  addStrip('master', 'Master', mixerSettings.masterVolume, level => {
+    mixerSettings.masterVolume = level;
+  });
+  Object.entries(MIXER_CHANNELS).forEach(([id, { name }]) => {
+    addStrip(id, name, mixerSettings.levels[id] ?? 1, level => {
+      mixerSettings.levels[id] = level;
+    });
+  });
+
+  if (muteToggle) {
+    const showMute = () => {
+      muteToggle.textContent = mixerSettings.muted ? '🔇 Unmute' : '🔊 Mute';
+      muteToggle.classList.toggle('danger', mixerSettings.muted);
+    };
+    showMute();
+    muteToggle.addEventListener('click', () => {
+      mixerSettings.muted = !mixerSettings.muted;
+      showMute();
+      save();
+    });
+  }
+
+  // Meters only run while the sidebar is open
+  const sidebar = document.getElementById('controlSidebar');
+  const drawMeters = () => {
+    if (mixer && sidebar?.classList.contains('open')) {
+      const levels = mixer.getLevels();
+      Object.entries(meters).forEach(([id, fill]) => {
+        const peak = levels[id] || 0;
+        // dB scale from -60 dBFS (empty) to 0 dBFS (full)
+        const db = peak > 0 ? 20 * Math.log10(peak) : -Infinity;
+        const fraction = Math.max(0, Math.min(1, (db + 60) / 60));
+        fill.style.width = `${Math.round(fraction * 100)}%`;
+        fill.classList.toggle('clip', peak >= 0.99);
+      });
+    }
+    requestAnimationFrame(drawMeters);
+  };
+  requestAnimationFrame(drawMeters);
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupMixerControls);
+} else {
+  setupMixerControls();
+}
+
+const VOICE_ENGINE_LABELS = {
+  off: 'Node voices (starts with the audio)',
+  loading: 'Loading AudioWorklet…',
+  'shared-memory': 'AudioWorklet · shared-memory ring (lock-free)',
+  'message-port': 'AudioWorklet · message port (page is not cross-origin isolated)',
+  unsupported: 'AudioWorklet unsupported, using node voices',
+  failed: 'AudioWorklet failed to load, using node voices'
+};
+
+function setupLatencyControls() {
+  const engineToggle = document.getElementById('workletEngineToggle');
+  const engineStatus = document.getElementById('voiceEngineStatus');
+  const readout = document.getElementById('latencyReadout');
+  if (!readout) return;
+
+  if (engineToggle) {
+    engineToggle.checked = engineSettings.worklet;
+    engineToggle.addEventListener('change', (e) => {
+      engineSettings.worklet = e.target.checked;
+      saveSettings('engine', engineSettings);
+      if (audioContext) startVoiceEngine(audioContext);
+    });
+  }
+
+  const ms = value => `${value.toFixed(1)} ms`;
+  const seconds = value => (value === null || value === undefined ? 'n/a' : ms(value * 1000));
+  const stat = summary => (summary ? `${ms(summary.average)} avg · ${ms(summary.p95)} p95` : '–');
+  const sourceNames = { hand: 'Hands', keyboard: 'Keyboard', midi: 'MIDI' };
+
+  const render = () => {
+    const report = latencyMonitor.getReport();
+    const rows = [
+      ['Output buffer (baseLatency)', seconds(report.baseLatency)],
+      ['Output device (outputLatency)', seconds(report.outputLatency)],
+      ['Hand tracking', stat(report.tracking)]
+    ];
+    Object.entries(sourceNames).forEach(([id, name]) => {
+      rows.push([`${name}: detection → trigger`, stat(report.channels[id]?.detection)]);
+    });
+    rows.push(['Trigger → sound', stat(report.output)]);
+    Object.entries(sourceNames).forEach(([id, name]) => {
+      const channel = report.channels[id];
+      if (channel) rows.push([`${name}: end to end`, `≈ ${ms(channel.endToEnd)}`]);
+    });
+    readout.replaceChildren(...rows.flatMap(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      return [term, detail];
+    }));
+    if (engineStatus) {
+      engineStatus.textContent = engineSettings.worklet ? VOICE_ENGINE_LABELS[voiceEngineStatus] : 'Node voices (engine disabled)';
+    }
+  };
+
+  // Refresh only while the sidebar is open
+  const sidebar = document.getElementById('controlSidebar');
+  render();
+  setInterval(() => {
+    if (sidebar?.classList.contains('open')) render();
+  }, 500);
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupLatencyControls);
+} else {
+  setupLatencyControls();
+}
+
+// Effects sidebar: every change is applied to the master bus and saved
+function setupEffectsControls() {
+  const applyEffects = () => {
+    masterBus?.update(effectSettings);
+    saveSettings('effects', effectSettings);
+  };
+
+  // Slider bound to effectSettings[group][key], with its value shown in displayId
+  const bindSlider = (sliderId, displayId, group, key, format) => {
+    const slider = document.getElementById(sliderId);
+    const display = document.getElementById(displayId);
+    if (!slider || !display) return;
+    const show = () => {
+      slider.value = effectSettings[group][key];
+      display.textContent = format(effectSettings[group][key]);
+    };
+    show();
+    slider.addEventListener('input', (e) => {
+      effectSettings[group][key] = parseFloat(e.target.value);
+      display.textContent = format(effectSettings[group][key]);
+      applyEffects();
+    });
+    return show;
+  };
+
+  const bindToggle = (checkboxId, group) => {
+    const checkbox = document.getElementById(checkboxId);
+    if (!checkbox) return;
+    const show = () => (checkbox.checked = effectSettings[group].enabled);
+    show();
+    checkbox.addEventListener('change', (e) => {
+      effectSettings[group].enabled = e.target.checked;
+      applyEffects();
+    });
+    return show;
+  };
+
+  const reverbImpulseSelect = document.getElementById('reverbImpulseSelect');
+  const showImpulse = () => {
+    if (reverbImpulseSelect) reverbImpulseSelect.value = effectSettings.reverb.impulse;
+  };
+  showImpulse();
+  reverbImpulseSelect?.addEventListener('change', (e) => {
+    effectSettings.reverb.impulse = e.target.value;
+    applyEffects();
+  });
+
+  const formatDb = value => `${value > 0 ? '+' : ''}${value} dB`;
+  const refreshers = [
+    showImpulse,
+    bindSlider('reverbMixSlider', 'reverb-mix', 'reverb', 'mix', value => `${Math.round(value * 100)}%`),
+    bindSlider('eqLowSlider', 'eq-low', 'eq', 'low', formatDb),
+    bindSlider('eqMidSlider', 'eq-mid', 'eq', 'mid', formatDb),
+    bindSlider('eqHighSlider', 'eq-high', 'eq', 'high', formatDb),
+    bindToggle('compressorToggle', 'compressor'),
+    bindSlider('compThresholdSlider', 'comp-threshold', 'compressor', 'threshold', value => `${value} dB`),
+    bindSlider('compRatioSlider', 'comp-ratio', 'compressor', 'ratio', value => `${value}:1`),
+    bindToggle('limiterToggle', 'limiter'),
+    bindSlider('limiterCeilingSlider', 'limiter-ceiling', 'limiter', 'ceiling', value => `${value} dB`)
+  ].filter(Boolean);
+
+  document.getElementById('effectsReset')?.addEventListener('click', () => {
+    effectSettings = structuredClone(DEFAULT_EFFECTS);
+    refreshers.forEach(refresh => refresh());
+    applyEffects();
+  });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupEffectsControls);
+} else {
+  setupEffectsControls();
+}
+
+// Get or create AudioContext (lazy initialization)
+function getAudioContext() {
+  if (!audioContext) {
+    try {
+      audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      mixer = createMixer(audioContext, mixerSettings);
+      masterBus = createMasterBus(audioContext, effectSettings, mixer.master);
+      mixer.connectEffects(masterBus.input);
+      startVoiceEngine(audioContext);
+      // Suppress the autoplay warning by catching the promise rejection silently
+if (audioContext.state === 'suspended') {
+        audioContext.resume().catch(() => {
+          // Silently handle - will be resumed on user interaction
+        });
+      }
+    } catch (e) {
+      console.error('Failed to create AudioContext:', e);
+    }
+  }
+  return audioContext;
+}
+
+// Resume AudioContext on user interaction (required by browser autoplay policy)
+function resumeAudioContext() {
+  const ctx = getAudioContext();
+  if (ctx && ctx.state === 'suspended') {
+    ctx.resume().then(() => {
+      // AudioContext resumed successfully
+    }).catch(err => {
+      // Silently handle - will retry on next interaction
+    });
+  }
+}
+
+// Resume on any user interaction
+document.addEventListener('click', resumeAudioContext, { once: false });
+document.addEventListener('touchstart', resumeAudioContext, { once: false });
+document.addEventListener('keydown', resumeAudioContext, { once: false });
+
+// Dynamic keyboard mapping to detected piano keys
+let keyToIndex = {};
+let indexToKey = {};
+
+// Keyboard layout for mapping - White keys (Tab, Q-P, [, ], \, numpad 7, 8, 9, numpad +)
+const whiteKeyLayout = [
+    'Tab', 'q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', '[', ']', '\\', 'Numpad7', 'Numpad8', 'Numpad9', 'NumpadAdd'
+];
+
+// Keyboard layout for mapping - Black keys (`, 1-9, 0, -, =, Backspace, NumLock, /, *, numpad -)
+const blackKeyLayout = [
+    '`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '=', 'Backspace', 'NumLock', '/', '*', 'NumpadSubtract'
+];
+
+// Combined layout: white keys first, then black keys
+const keyboardLayout = [...whiteKeyLayout, ...blackKeyLayout];
+
+// Function to update keyboard mapping based on detected keys
+function updateKeyboardMapping() {
+    if (!exportKeys || exportKeys.length === 0) {
+        keyToIndex = {};
+        indexToKey = {};
+        console.log('Keyboard mapping: No keys available yet');
+        return;
+    }
+
+    // Keys from a new layout pick up the current transpose/octave shift
+    applyPitchOffset();
+
+    // New layout range: load its samples first
+    startSampleLoading();
+
+    // Sort keys left to right
+    const sortedKeys = [...exportKeys].sort((a, b) => {
+        if (!a.polygon || !b.polygon || a.polygon.length === 0 || b.polygon.length === 0) {
+            return 0;
+        }
+        const aCenterX = a.polygon.reduce((sum, p) => sum + p[0], 0) / a.polygon.length;
+        const bCenterX = b.polygon.reduce((sum, p) => sum + p[0], 0) / b.polygon.length;
+        return aCenterX - bCenterX;
+    });
+
+    // Interleave keys like real piano: C, C#, D, D#, E, F, F#, G, G#, A, A#, B
+    // This means we need to map keys in chromatic order, not separate white/black
+    const interleavedKeys = [];
+    const whiteKeys = sortedKeys.filter(k => k.type === 'white');
+    const blackKeys = sortedKeys.filter(k => k.type === 'black');
     
     // Create interleaved mapping: for each white key, add it and its following black key(s)
     let whiteIdx = 0;
@@ -1734,11 +4316,34 @@ function updateKeyboardMapping() {
 // Track currently pressed keys to prevent key repeat issues
 const pressedKeys = new Set();
 
+// Keyboard key that holds the sustain pedal (released on blur so it can't get stuck)
+const SUSTAIN_KEY_CODE = 'Space';
+window.addEventListener('blur', () => sustainPedal.release('keyboard'));
+
 // Track keyboard-pressed keys separately from hand-detected keys
 const keyboardPressedIndices = new Set();
 
+// Focused controls keep Space for themselves (typing, opening a select, pressing a button)
+const spaceTarget = event => !!event.target.closest?.('input, select, textarea, button');
+
 // Add keyboard event listeners
 document.addEventListener('keydown', (event) => {
+    // Space holds the sustain pedal
+    if (event.code === SUSTAIN_KEY_CODE) {
+        if (spaceTarget(event)) return;
+        event.preventDefault();
+        sustainPedal.press('keyboard');
+        return;
+    }
+
+    // Pitch hotkeys (left alone while a slider or field has focus, where arrows adjust it)
+    if (PITCH_HOTKEYS[event.code] && !event.target.closest?.('input, select, textarea')) {
+        event.preventDefault();
+        if (event.repeat) return; // one step per press, not one per auto-repeat
+        PITCH_HOTKEYS[event.code]();
+        return;
+    }
+
     // Handle special keys that need event.code instead of event.key
     let normalizedKey = event.key;
     
@@ -1810,7 +4415,7 @@ document.addEventListener('keydown', (event) => {
             console.log(`Playing note: ${note} (key: ${normalizedKey})`);
 
             // Play the note
-            tryPlayNote(note);
+            tryPlayNote(note, DEFAULT_KEYBOARD_VELOCITY, `key:${normalizedKey}`, event.timeStamp);
 
             // Add to keyboard-pressed indices for visual feedback
             keyboardPressedIndices.add(keyIndex);
@@ -1832,6 +4437,12 @@ document.addEventListener('keydown', (event) => {
 });
 
 document.addEventListener('keyup', (event) => {
+    if (event.code === SUSTAIN_KEY_CODE) {
+        if (!spaceTarget(event)) event.preventDefault();
+        sustainPedal.release('keyboard'); // also when focus moved onto a control while held
+        return;
+    }
+
     // Handle special keys that need event.code instead of event.key
     let normalizedKey = event.key;
     
@@ -1882,7 +4493,7 @@ document.addEventListener('keyup', (event) => {
         if (key) {
             const note = key.note;
             pressedKeys.delete(normalizedKey);
-            stopNote(note);
+            stopNote(note, `key:${normalizedKey}`, event.timeStamp);
 
             // Remove from keyboard-pressed indices
             keyboardPressedIndices.delete(keyIndex);
@@ -1894,14 +4505,83 @@ document.addEventListener('keyup', (event) => {
     }
 });
 
-// Function to shift octaves (for future enhancement)
+// Total pitch offset in semitones
+function getPitchOffset() {
+  return pitchSettings.transpose + pitchSettings.octave * 12;
+}
+
+// Relabel every key from its layout note; works for generated, SVG and paper layouts alike
+function applyPitchOffset() {
+  const offset = getPitchOffset();
+  exportKeys.forEach(key => {
+    if (key.baseNote === undefined) key.baseNote = key.note;
+    const midi = noteNameToMidi(key.baseNote);
+    // Unshifted keys keep the layout's own spelling (paper layouts use flats)
+    key.note = offset === 0 || midi === null ? key.baseNote : midiToNoteName(midi + offset);
+  });
+}
+
+function setPitchOffset({ transpose = pitchSettings.transpose, octave = pitchSettings.octave }) {
+  transpose = Math.max(-MAX_TRANSPOSE, Math.min(MAX_TRANSPOSE, transpose));
+  octave = Math.max(-MAX_OCTAVE_SHIFT, Math.min(MAX_OCTAVE_SHIFT, octave));
+  if (transpose === pitchSettings.transpose && octave === pitchSettings.octave) return;
+
+  // Notes held right now were started under the old labels: release them before relabelling
+  pressedKeys.forEach(normalizedKey => {
+    const key = exportKeys.find(k => k.index === keyToIndex[normalizedKey]);
+    if (key) stopNote(key.note, `key:${normalizedKey}`);
+  });
+  currentlyHoveredNotes.forEach(({ note, source }) => stopNote(note, source));
+  currentlyHoveredNotes.clear();
+
+  pitchSettings = { transpose, octave };
+  saveSettings('pitch', pitchSettings);
+  updateKeyboardMapping();
+  drawAllKeys(new Set([...hoveredKeyIndices, ...keyboardPressedIndices]));
+  updatePitchDisplay();
+}
+
+function transposeBy(semitones) {
+  setPitchOffset({ transpose: pitchSettings.transpose + semitones });
+}
+
 function shiftOctave(direction) {
-    // This is a placeholder for octave shifting functionality
-    // Currently, the piano keys are fixed based on the loaded layout
-    console.log(`Octave shift requested: ${direction > 0 ? 'up' : 'down'}`);
-    // Future: Could regenerate keys with different starting note
+  setPitchOffset({ octave: pitchSettings.octave + direction });
+}
+
+const formatOffset = value => (value > 0 ? `+${value}` : String(value));
+
+function updatePitchDisplay() {
+  const transposeValue = document.getElementById('transposeValue');
+  const octaveValue = document.getElementById('octaveValue');
+  if (transposeValue) transposeValue.textContent = `Transpose ${formatOffset(pitchSettings.transpose)}`;
+  if (octaveValue) octaveValue.textContent = `Octave ${formatOffset(pitchSettings.octave)}`;
+}
+
+function setupPitchControls() {
+  const bind = (id, action) => document.getElementById(id)?.addEventListener('click', action);
+  bind('transposeDown', () => transposeBy(-1));
+  bind('transposeUp', () => transposeBy(1));
+  bind('octaveDown', () => shiftOctave(-1));
+  bind('octaveUp', () => shiftOctave(1));
+  bind('pitchReset', () => setPitchOffset({ transpose: 0, octave: 0 }));
+  updatePitchDisplay();
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupPitchControls);
+} else {
+  setupPitchControls();
 }
 
+// Arrow keys: left/right transpose a semitone, up/down shift an octave
+const PITCH_HOTKEYS = {
+  ArrowLeft: () => transposeBy(-1),
+  ArrowRight: () => transposeBy(1),
+  ArrowDown: () => shiftOctave(-1),
+  ArrowUp: () => shiftOctave(1)
+};
+
 // Add CSS for visual feedback
 const style = document.createElement('style');
 style.textContent = `
@@ -1960,40 +4640,6 @@ window.drawPoly = function(ctxLC, pts, fillStyle, strokeStyle, text, highlight =
     return result;
 };
 
-// Convert note name to acoustic_grand_piano format (e.g., C3 -> c3, C#3 -> cs3)
-function noteToAcousticPianoFormat(note) {
-  // Note format: C3, C#3, Db3, etc. -> c3, cs3, db3, etc.
-  const noteName = note.replace(/\d+$/, ''); // Remove octave
-  const octave = note.match(/\d+$/)?.[0] || '3';
-  
-  // Convert to lowercase and handle sharps/flats
-  let converted = noteName.toLowerCase();
-  
-  // Handle sharps: C# -> cs, D# -> ds, etc.
-  if (converted.includes('#')) {
-    converted = converted.replace('#', 's');
-  }
-  // Handle flats: Db -> db, Eb -> eb, etc. (already lowercase)
-  
-  return converted + octave;
-}
-
-// Generate list of all available notes in acoustic_grand_piano format
-function generateAllNotes(startOctave = 0, endOctave = 7) {
-  const notes = [];
-  const noteNames = ['c', 'cs', 'd', 'ds', 'e', 'f', 'fs', 'g', 'gs', 'a', 'as', 'b'];
-  
-  for (let octave = startOctave; octave <= endOctave; octave++) {
-    for (const noteName of noteNames) {
-      notes.push(noteName + octave);
-    }
-  }
-  
-  return notes;
-}
-
-const ALL_NOTES = generateAllNotes(0, 7); // All notes from octave 0 to 7
-
 // Preload all audio files (will wait for user interaction)
 async function preloadAllAudio() {
   // Wait for user interaction before creating AudioContext
@@ -2019,56 +4665,105 @@ async function preloadAllAudio() {
     });
   };
   
-  const ctx = await waitForInteraction();
-  console.log('Preloading audio files from acoustic_grand_piano...');
-  const loadPromises = ALL_NOTES.map(async (note) => {
-    try {
-      // Use acoustic_grand_piano folder with lowercase note names
-      const url = `acoustic_grand_piano/${note}.mp3`;
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Accept': 'audio/mpeg, audio/*, */*'
-        }
-      });
-      
-      if (!response.ok) {
-        // Fallback to sounds folder with old format
-        const oldFormatNote = note.replace(/s(\d)/, '#$1').replace(/([a-g])(\d)/, (m, n, o) => n.toUpperCase() + o);
-        const fallbackUrl = `sounds/${oldFormatNote}.mp3`;
-        const fallbackResponse = await fetch(fallbackUrl);
-        if (fallbackResponse.ok) {
-          const arrayBuffer = await fallbackResponse.arrayBuffer();
-          const audioBuffer = await ctx.decodeAudioData(arrayBuffer);
-          audioBuffers[note] = audioBuffer;
-          audioBuffers[oldFormatNote] = audioBuffer; // Also cache with old format
-          console.log(`✓ Loaded (fallback): ${oldFormatNote}`);
-          return;
-        }
-        console.warn(`Failed to preload: ${note}.mp3`);
-        return;
-      }
-      
-      const arrayBuffer = await response.arrayBuffer();
-      const audioBuffer = await ctx.decodeAudioData(arrayBuffer);
-      audioBuffers[note] = audioBuffer;
-      console.log(`✓ Loaded: ${note}`);
-    } catch (error) {
-      console.error(`Error loading ${note}:`, error);
-    }
+  updateLoadStatus(null);
+  await waitForInteraction();
+  audioUnlocked = true;
+  const instrument = await instrumentReady;
+  if (!instrument) {
+    updateLoadStatus({ total: 0, loaded: 0, failed: 0, ready: true });
+    return;
+  }
+  startSampleLoading();
+}
+
+// MIDI range of the keys currently on screen, [low, high]
+function getActiveKeyRange() {
+  const midis = exportKeys.map(key => noteNameToMidi(key.note)).filter(midi => midi !== null);
+  return midis.length > 0 ? [Math.min(...midis), Math.max(...midis)] : [48, 79]; // C3 + 2.5 octaves
+}
+
+// Load the current instrument's samples, keys on screen first; restarts when the layout
+// range or instrument changes (cached samples are not fetched again)
+function startSampleLoading({ force = false } = {}) {
+  if (!audioUnlocked) return;
+  const instrument = instrumentManager.getCurrent();
+  if (!instrument) return;
+  const range = getActiveKeyRange();
+  const rangeKey = `${instrument.id}:${range.join('-')}`;
+  if (!force && rangeKey === loadedRangeKey) return;
+  loadedRangeKey = rangeKey;
+
+  console.log(`Loading samples for ${instrument.name}, ${midiToNoteName(range[0])}-${midiToNoteName(range[1])} first...`);
+  instrumentManager.preload({ range, onProgress: updateLoadStatus }).then(progress => {
+    if (progress.cancelled) return;
+    console.log(`Loaded ${progress.loaded} samples for ${instrument.name}` + (progress.failed ? ` (${progress.failed} failed)` : ''));
   });
-  
-  await Promise.all(loadPromises);
-  audioPreloadComplete = true;
-  console.log('All audio files preloaded!');
+}
+
+// Progress overlay on the video and the sidebar status; null = waiting for the first click
+function updateLoadStatus(progress) {
+  const overlay = document.getElementById('sampleLoadStatus');
+  const text = document.getElementById('sampleLoadText');
+  const bar = document.getElementById('sampleLoadBar');
+  const instrumentStatus = document.getElementById('instrumentStatus');
+  const name = instrumentManager.getCurrent()?.name || 'Instrument';
+
+  let message;
+  let fraction = 0;
+  if (!progress) {
+    message = '🔇 Click or press a key to enable sound';
+  } else if (!progress.ready) {
+    fraction = progress.readyTotal ? progress.readySettled / progress.readyTotal : 0;
+    message = `⏳ Loading notes ${progress.readySettled}/${progress.readyTotal}...`;
+  } else {
+    const settled = progress.loaded + progress.failed;
+    fraction = progress.total ? settled / progress.total : 1;
+    message = settled < progress.total
+      ? `✅ Ready to play (loading more ${settled}/${progress.total})`
+      : '✅ Ready to play';
+  }
+  if (progress?.failed) {
+    message += ` · ${progress.failed} failed, using nearest sample or synth`;
+  }
+
+  const complete = progress && progress.ready && progress.loaded + progress.failed >= progress.total;
+  if (overlay) {
+    overlay.hidden = false;
+    overlay.classList.toggle('ready', Boolean(progress?.ready));
+    overlay.classList.toggle('complete', Boolean(complete));
+  }
+  if (text) text.textContent = message;
+  if (bar) bar.style.width = `${Math.round(fraction * 100)}%`;
+  if (instrumentStatus && progress) {
+    instrumentStatus.textContent = `${name}: ${message.replace(/^\S+ /, '')}`;
+  }
 }
 
 // Start preloading when page loads (will wait for user interaction)
 preloadAllAudio();
 
-async function tryPlayNote(note) {
-  if (activeNotes[note]) return;
+// Map downward strike speed (px/ms) to a MIDI-style velocity (MIN_HAND_VELOCITY-127)
+function strikeSpeedToVelocity(speed) {
+  const range = Math.max(0.01, VELOCITY_MAX_SPEED - VELOCITY_MIN_SPEED);
+  const t = Math.min(1, Math.max(0, (speed - VELOCITY_MIN_SPEED) / range));
+  // Square root curve so medium strikes already sound reasonably full
+  return Math.round(MIN_HAND_VELOCITY + Math.sqrt(t) * (127 - MIN_HAND_VELOCITY));
+}
+
+// Velocity to linear gain (slightly curved so soft notes are noticeably quieter)
+function velocityToGain(velocity) {
+  const v = Math.min(127, Math.max(1, velocity)) / 127;
+  return Math.pow(v, 1.5);
+}
+
+const synthFallbackNotes = new Set(); // notes already reported as playing on the fallback synth
 
+// source identifies who holds the note ('key:q', 'hand:0_1', 'midi:0'), so each input
+// releases only its own voices
+// detectedAt: when the finger, key or MIDI event that triggered the note was seen
+// instrumentId: play on that instrument instead of the selected one (looper layers)
+async function tryPlayNote(note, velocity = DEFAULT_KEYBOARD_VELOCITY, source = 'keyboard', detectedAt = null, instrumentId = null) {
+  const triggeredAt = performance.now();
   // Ensure AudioContext is available
   const ctx = getAudioContext();
   if (!ctx) {
@@ -2076,80 +4771,73 @@ async function tryPlayNote(note) {
     return;
   }
 
-  // Resume AudioContext if suspended
-  if (ctx.state === 'suspended') {
-    await ctx.resume().catch(() => {});
+  // Reserve the voice now (re-striking and stealing happen here), so a key released
+  // while the sample is still resolving is not left ringing
+  const entry = voiceAllocator.noteOn(note, source, velocity);
+  const channelId = channelForSource(source); // per-source level in the mixer
+  latencyMonitor.recordTrigger(channelId, detectedAt, triggeredAt);
+  if (!source.startsWith('playback:')) {
+    recorder.noteOn(note, velocity, source, detectedAt ?? triggeredAt);
+    looper.noteOn(note, velocity, source);
+    lessonNoteOn(note, velocity, detectedAt ?? triggeredAt);
   }
 
-  // Convert note to acoustic_grand_piano format
-  const acousticNote = noteToAcousticPianoFormat(note);
-  
-  // Use preloaded buffer if available (try both formats)
-  let audioBuffer = audioBuffers[acousticNote] || audioBuffers[note];
-  
-  // If not preloaded yet, try to load it (fallback)
-  if (!audioBuffer) {
-    console.warn(`Audio not preloaded for ${note}, loading on demand...`);
-    try {
-      // Try acoustic_grand_piano first
-      let url = `acoustic_grand_piano/${acousticNote}.mp3`;
-      let response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Accept': 'audio/mpeg, audio/*, */*'
-        }
-      });
-      
-      // Fallback to sounds folder with old format
-      if (!response.ok) {
-        url = `sounds/${note}.mp3`;
-        response = await fetch(url, {
-          method: 'GET',
-          headers: {
-            'Accept': 'audio/mpeg, audio/*, */*'
-          }
-        });
-      }
-      
-      if (!response.ok) {
-        console.error(`Failed to load audio: ${note}.mp3 or ${acousticNote}.mp3`);
-        return;
-      }
-      
-      const arrayBuffer = await response.arrayBuffer();
-      audioBuffer = await ctx.decodeAudioData(arrayBuffer);
-      audioBuffers[acousticNote] = audioBuffer; // Cache with new format
-      audioBuffers[note] = audioBuffer; // Also cache with old format
-    } catch (error) {
-      console.error(`Error loading audio for ${note}:`, error);
-      return;
+  // Decoded samples and synths start without awaiting anything; only a sample that is
+  // still loading (or a suspended context) waits
+  let sound = ctx.state === 'running' ? instrumentManager.getLoadedSound(note, velocity, instrumentId) : null;
+  if (!sound) {
+    if (ctx.state === 'suspended') {
+      await ctx.resume().catch(() => {});
     }
+    // Resolve the sample (and velocity layer) or synth preset from the current instrument
+    sound = await instrumentManager.getSound(note, velocity, instrumentId);
+  }
+  if (!sound) {
+    console.warn(`Cannot play ${note}: not a valid note name`);
+    voiceAllocator.discard(entry);
+    return;
+  }
+  if (sound.isFallback && !synthFallbackNotes.has(note)) {
+    synthFallbackNotes.add(note); // warn once per note
+    console.warn(`Samples unavailable for ${note}, using the built-in synth`);
   }
 
-  const gainNode = ctx.createGain();
-  gainNode.gain.setValueAtTime(1, ctx.currentTime); // start at full volume
-
-  const source = ctx.createBufferSource();
-  source.buffer = audioBuffer;
-  source.connect(gainNode).connect(ctx.destination);
-  source.start();
-
-  activeNotes[note] = { source, gainNode };
+  // Both voice types share the same contract: { release(fadeSeconds?), releaseTime }
+  const gain = velocityToGain(velocity); // start at strike volume
+  const pan = notePan(note);
+  // Samples already copied to the audio thread play on the worklet
+  if (sound.type === 'sample' && engineSettings.worklet && voiceEngine?.prepare(sound.buffer)) {
+    const { id, voice } = voiceEngine.createVoice(channelId, { sample: sound, gain, pan });
+    pendingVoiceStarts.set(id, triggeredAt);
+    voiceAllocator.attach(entry, voice);
+    return;
+  }
+  const channel = mixer.input(channelId);
+  const voice = sound.type === 'synth'
+    ? createSynthVoice(ctx, channel, { frequency: sound.frequency, velocity, gain, preset: sound.preset, envelope: sound.envelope, detune: sound.detune, pan })
+    : createSampleVoice(ctx, channel, { sample: sound, gain, pan });
+  voiceAllocator.attach(entry, voice);
+  latencyMonitor.recordStart(triggeredAt, ctx.currentTime);
 }
-function stopNote(note) {
-  const active = activeNotes[note];
-  if (active) {
-    const ctx = getAudioContext();
-    if (!ctx) return;
-    const { source, gainNode } = active;
-    const now = ctx.currentTime;
 
-    gainNode.gain.cancelScheduledValues(now);
-    gainNode.gain.setValueAtTime(gainNode.gain.value, now);
-    gainNode.gain.linearRampToValueAtTime(0, now + 2); // fade out over 2 seconds
+// Stereo position of a note: its place among the layout's keys, or where its key is on screen
+function notePan(note) {
+  const midi = noteNameToMidi(note);
+  if (midi === null || stereoSettings.width === 0) return 0;
+  if (stereoSettings.followScreen) {
+    const key = exportKeys.find(k => k.note === note);
+    if (key) return positionToPan(keyScreenPosition(key), stereoSettings.width);
+  }
+  const layoutMidis = [...new Set(exportKeys.map(k => noteNameToMidi(k.note)).filter(m => m !== null))].sort((a, b) => a - b);
+  return positionToPan(layoutPosition(midi, layoutMidis), stereoSettings.width);
+}
 
-    source.stop(now + 2);
-    delete activeNotes[note];
+// Key released: with the pedal down the note keeps ringing until the pedal lifts
+function stopNote(note, source = 'keyboard', releasedAt = performance.now()) {
+  voiceAllocator.noteOff(note, source);
+  if (!source.startsWith('playback:')) {
+    recorder.noteOff(note, source, releasedAt);
+    looper.noteOff(note, source);
   }
 }
 
@@ -2193,6 +4881,7 @@ function drawAllKeys(hoveredIndices = new Set()) {
   if (!exportKeys || exportKeys.length === 0) {
     return; // Keys not loaded yet
   }
+  applyPitchOffset(); // labels follow transpose/octave even before the next remap
   
   // Use composite operation to draw keys over video without clearing
   ctxLC.save();
@@ -2216,6 +4905,8 @@ function drawAllKeys(hoveredIndices = new Set()) {
     ctxLC.rotate((pianoTransform.rotation * Math.PI) / 180);
     ctxLC.scale(pianoTransform.scale * (pianoTransform.flipH ? -1 : 1), pianoTransform.scale * (pianoTransform.flipV ? -1 : 1));
     ctxLC.translate(-keysBounds.centerX, -keysBounds.centerY);
+
+    drawFallingNotes(keysBounds);
   }
 
   // Sort keys by X position (left to right) to ensure proper piano sequence
@@ -2226,33 +4917,42 @@ function drawAllKeys(hoveredIndices = new Set()) {
     return aCenterX - bCenterX;
   });
 
+  // Keys sounding from take playback are lit blue (live playing stays gold)
+  const playbackIndices = playbackKeyIndices();
+
   // Draw white keys first (background layer) - sorted left to right
   sortedKeys.forEach(({ key: k, index: i }) => {
     if (!k || !k.polygon || k.polygon.length === 0) return; // Skip invalid keys
     
     const isHovered = hoveredIndices.has(i);
+    const isPlayback = !isHovered && playbackIndices.has(i);
     if (k.type === "white") {
       // Enhanced styling for white keys with transparency
-      const fill = isHovered ? "rgba(255, 215, 0, 0.6)" : "rgba(255, 255, 255, 0.7)";
-      const stroke = isHovered ? "#FFD700" : "#333";
-      const strokeWidth = isHovered ? 3 : 1.5;
-      drawPoly(ctxLC, k.polygon, fill, stroke, k.note, isHovered, strokeWidth);
+      const fill = isHovered ? "rgba(255, 215, 0, 0.6)" : isPlayback ? "rgba(96, 165, 250, 0.6)" : "rgba(255, 255, 255, 0.7)";
+      const stroke = isHovered ? "#FFD700" : isPlayback ? "#3b82f6" : "#333";
+      const strokeWidth = isHovered || isPlayback ? 3 : 1.5;
+      drawPoly(ctxLC, k.polygon, fill, stroke, k.note, isHovered || isPlayback, strokeWidth);
     }
   });
 
+  drawPracticeMarks(false);
+
   // Draw black keys on top - sorted left to right
   sortedKeys.forEach(({ key: k, index: i }) => {
     if (!k || !k.polygon || k.polygon.length === 0) return; // Skip invalid keys
     
     const isHovered = hoveredIndices.has(i);
+    const isPlayback = !isHovered && playbackIndices.has(i);
     if (k.type === "black") {
       // Enhanced styling for black keys with transparency
-      const fill = isHovered ? "rgba(255, 215, 0, 0.8)" : "rgba(50, 50, 50, 0.75)";
-      const stroke = isHovered ? "#FFD700" : "#000";
-      const strokeWidth = isHovered ? 3 : 1.5;
-      drawPoly(ctxLC, k.polygon, fill, stroke, k.note, isHovered, strokeWidth);
+      const fill = isHovered ? "rgba(255, 215, 0, 0.8)" : isPlayback ? "rgba(59, 130, 246, 0.85)" : "rgba(50, 50, 50, 0.75)";
+      const stroke = isHovered ? "#FFD700" : isPlayback ? "#3b82f6" : "#000";
+      const strokeWidth = isHovered || isPlayback ? 3 : 1.5;
+      drawPoly(ctxLC, k.polygon, fill, stroke, k.note, isHovered || isPlayback, strokeWidth);
     }
   });
+
+  drawPracticeMarks(true);
   
   // Draw red separator line (after transformations are applied)
   if (keysBounds) {
@@ -2267,11 +4967,125 @@ function drawAllKeys(hoveredIndices = new Set()) {
     ctxLC.lineTo(keysBounds.maxX, redLineY);
     ctxLC.stroke();
     ctxLC.restore(); // Restore transform state
+
+    drawPedalIndicator(keysBounds);
+    drawBeatIndicator(keysBounds);
+    drawPitchIndicator(keysBounds);
+    drawOutOfRangeIndicator(keysBounds);
   }
   
   ctxLC.restore();
 }
 
+// Sustain pedal box to the right of the keys (drawn in key space so it follows the piano transform)
+function drawPedalIndicator(keysBounds) {
+  const isDown = sustainPedal.isDown();
+  const width = 44;
+  const height = Math.min(60, keysBounds.height * 0.4);
+  const x = keysBounds.maxX + 14;
+  const y = keysBounds.maxY - height;
+
+  ctxLC.save();
+  ctxLC.fillStyle = isDown ? "rgba(16, 185, 129, 0.85)" : "rgba(50, 50, 50, 0.6)";
+  ctxLC.strokeStyle = isDown ? "#10b981" : "#000";
+  ctxLC.lineWidth = 1.5;
+  ctxLC.fillRect(x, y, width, height);
+  ctxLC.strokeRect(x, y, width, height);
+  ctxLC.fillStyle = "rgba(255, 255, 255, 0.95)";
+  ctxLC.font = "bold 12px 'Poppins', sans-serif";
+  ctxLC.textAlign = "center";
+  ctxLC.textBaseline = "middle";
+  ctxLC.fillText("PED", x + width / 2, y + height / 2 - 7);
+  ctxLC.font = "bold 10px 'Poppins', sans-serif";
+  ctxLC.fillText(isDown ? "ON" : "OFF", x + width / 2, y + height / 2 + 9);
+  ctxLC.restore();
+}
+
+// Transpose/octave offset box to the left of the keys (mirrors the pedal box)
+function drawPitchIndicator(keysBounds) {
+  const shifted = getPitchOffset() !== 0;
+  const width = 52;
+  const height = Math.min(60, keysBounds.height * 0.4);
+  const x = keysBounds.minX - 14 - width;
+  const y = keysBounds.maxY - height;
+
+  ctxLC.save();
+  ctxLC.fillStyle = shifted ? "rgba(59, 130, 246, 0.85)" : "rgba(50, 50, 50, 0.6)";
+  ctxLC.strokeStyle = shifted ? "#3b82f6" : "#000";
+  ctxLC.lineWidth = 1.5;
+  ctxLC.fillRect(x, y, width, height);
+  ctxLC.strokeRect(x, y, width, height);
+  ctxLC.fillStyle = "rgba(255, 255, 255, 0.95)";
+  ctxLC.font = "bold 10px 'Poppins', sans-serif";
+  ctxLC.textAlign = "center";
+  ctxLC.textBaseline = "middle";
+  ctxLC.fillText(`TR ${formatOffset(pitchSettings.transpose)}`, x + width / 2, y + height / 2 - 8);
+  ctxLC.fillText(`OCT ${formatOffset(pitchSettings.octave)}`, x + width / 2, y + height / 2 + 8);
+  ctxLC.restore();
+}
+
+// Metronome beats as dots above the keys: the current beat lit, accented beats larger
+function drawBeatIndicator(keysBounds) {
+  if (!metronome.isRunning() || !audioContext) return;
+  const { beatsPerBar, accents, bpm } = metronome.getSettings();
+  const { beat, fraction } = metronome.positionAt(audioContext.currentTime);
+  const spacing = 22;
+  const y = keysBounds.minY - 20;
+  const startX = keysBounds.centerX - ((beatsPerBar - 1) * spacing) / 2;
+
+  ctxLC.save();
+  for (let i = 0; i < beatsPerBar; i++) {
+    const isCurrent = i === beat;
+    const radius = accents[i] === 2 ? 8 : 6;
+    ctxLC.beginPath();
+    ctxLC.arc(startX + i * spacing, y, radius, 0, Math.PI * 2);
+    if (isCurrent) {
+      // Flash bright right on the beat, then fade through the rest of it
+      const alpha = 1 - Math.min(1, fraction) * 0.6;
+      ctxLC.fillStyle = accents[i] === 2 ? `rgba(249, 115, 22, ${alpha})` : `rgba(16, 185, 129, ${alpha})`;
+    } else {
+      ctxLC.fillStyle = accents[i] === 0 ? "rgba(50, 50, 50, 0.25)" : "rgba(50, 50, 50, 0.6)";
+    }
+    ctxLC.fill();
+    ctxLC.strokeStyle = "#000";
+    ctxLC.lineWidth = 1;
+    ctxLC.stroke();
+  }
+  ctxLC.fillStyle = "rgba(255, 255, 255, 0.95)";
+  ctxLC.font = "bold 11px 'Poppins', sans-serif";
+  ctxLC.textAlign = "left";
+  ctxLC.textBaseline = "middle";
+  ctxLC.fillText(`${bpm} BPM`, startX + (beatsPerBar - 1) * spacing + 16, y);
+  ctxLC.restore();
+}
+
+// Playback notes the layout has no key for: "◀ A1" / "D6 ▶" above the keyboard's ends
+function drawOutOfRangeIndicator(keysBounds) {
+  if (playbackNotes.size === 0) return;
+  const layoutNotes = new Set(exportKeys.map(k => k.note));
+  const layoutMidis = [...layoutNotes].map(noteNameToMidi).filter(midi => midi !== null);
+  const low = Math.min(...layoutMidis);
+  const missing = [...playbackNotes.keys()].filter(note => !layoutNotes.has(note)).map(noteNameToMidi).filter(midi => midi !== null);
+  if (missing.length === 0) return;
+  const below = missing.filter(midi => midi < low).sort((a, b) => a - b);
+  const above = missing.filter(midi => midi >= low).sort((a, b) => a - b); // includes gaps in paper layouts
+
+  ctxLC.save();
+  ctxLC.font = "bold 12px 'Poppins', sans-serif";
+  ctxLC.textBaseline = "middle";
+  ctxLC.fillStyle = "rgba(245, 158, 11, 0.95)";
+  const y = keysBounds.minY - 20;
+  if (below.length > 0) {
+    ctxLC.textAlign = "left";
+    ctxLC.fillText(`◀ ${below.map(midiToNoteName).join(' ')}`, keysBounds.minX, y);
+  }
+  if (above.length > 0) {
+    ctxLC.textAlign = "right";
+    ctxLC.fillText(`${above.map(midiToNoteName).join(' ')} ▶`, keysBounds.maxX, y);
+  }
+  ctxLC.restore();
+}
+
 function drawPoly(ctxLC, pts, fillStyle, strokeStyle, text, highlight = false, strokeWidth = 1.5) {
   ctxLC.beginPath();
   pts.forEach((p, i) => i === 0 ? ctxLC.moveTo(...p) : ctxLC.lineTo(...p));
@@ -2395,6 +5209,23 @@ function transformPointForDetection(x, y) {
   };
 }
 
+// Where a key's centre appears on screen, 0 (left edge) to 1 (right edge): the forward
+// version of transformPointForDetection, plus the camera flips applied to the canvas by CSS
+function keyScreenPosition(key) {
+  const keysBounds = getKeysBoundingBox(exportKeys);
+  if (!keysBounds || !layoutCanvas.width) return 0.5;
+  const [x, y] = getPolygonCenter(key.polygon);
+
+  const fx = (x - keysBounds.centerX) * (pianoTransform.flipH ? -1 : 1) * pianoTransform.scale;
+  const fy = (y - keysBounds.centerY) * (pianoTransform.flipV ? -1 : 1) * pianoTransform.scale;
+  const angle = (pianoTransform.rotation * Math.PI) / 180;
+  const canvasX = fx * Math.cos(angle) - fy * Math.sin(angle) + layoutCanvas.width / 2 + pianoTransform.translateX;
+
+  const position = Math.max(0, Math.min(1, canvasX / layoutCanvas.width));
+  const mirrored = flipHorizontal !== rotate180; // each of these mirrors the canvas horizontally
+  return mirrored ? 1 - position : position;
+}
+
 function stabilizeLandmarks(rawLandmarks) {
   if (!rawLandmarks || rawLandmarks.length === 0) {
     stabilizedLandmarksCache = [];
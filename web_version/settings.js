@@ -0,0 +1,37 @@
+// Persistent user settings, stored in localStorage as one JSON object keyed by section
+// ('effects', 'instrument', ...). Missing or corrupt values fall back to the defaults.
+
+const STORAGE_KEY = 'virtualPiano.settings';
+
+function readAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    console.warn('Could not read saved settings:', e);
+    return {};
+  }
+}
+
+// Defaults merged with the saved section (nested objects are merged one level deep)
+export function loadSettings(section, defaults) {
+  const saved = readAll()[section];
+  const merged = structuredClone(defaults);
+  if (!saved || typeof saved !== 'object') return merged;
+
+  Object.keys(defaults).forEach(key => {
+    if (!(key in saved)) return;
+    const isGroup = defaults[key] && typeof defaults[key] === 'object' && !Array.isArray(defaults[key]);
+    merged[key] = isGroup ? { ...defaults[key], ...saved[key] } : saved[key];
+  });
+  return merged;
+}
+
+export function saveSettings(section, values) {
+  try {
+    const all = readAll();
+    all[section] = values;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch (e) {
+    console.warn('Could not save settings:', e);
+  }
+}
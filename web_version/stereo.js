@@ -0,0 +1,38 @@
+// Stereo placement of voices: each voice gets its own StereoPannerNode whose position
+// comes from the key it was played on (low notes left, high notes right, as the player
+// hears it) or, for paper layouts, from where the key is on screen.
+
+export const DEFAULT_STEREO = {
+  width: 0.6, // 0 = mono, 1 = lowest key hard left, highest hard right
+  followScreen: false // pan by the key's on-screen x instead of its place in the layout
+};
+
+const clampPan = pan => Math.max(-1, Math.min(1, pan));
+
+// Position (0-1) across the layout -> pan scaled by width
+export function positionToPan(position, width) {
+  return clampPan((position * 2 - 1) * width);
+}
+
+// Place of a note among the layout's keys, ordered by pitch (0 = lowest, 1 = highest).
+// Notes outside the layout (e.g. from a MIDI keyboard) are placed by pitch and clamped.
+export function layoutPosition(midi, layoutMidis) {
+  if (layoutMidis.length < 2) return 0.5;
+  const index = layoutMidis.indexOf(midi);
+  if (index !== -1) return index / (layoutMidis.length - 1);
+  const low = layoutMidis[0];
+  const high = layoutMidis[layoutMidis.length - 1];
+  return Math.max(0, Math.min(1, (midi - low) / (high - low)));
+}
+
+// Route a voice's output through a panner; returns { input, disconnect }.
+// Without StereoPannerNode support (or when centred) the voice connects straight through.
+export function createVoiceOutput(ctx, destination, pan = 0) {
+  if (!pan || typeof ctx.createStereoPanner !== 'function') {
+    return { input: destination, disconnect: () => {} };
+  }
+  const panner = ctx.createStereoPanner();
+  panner.pan.value = clampPan(pan);
+  panner.connect(destination);
+  return { input: panner, disconnect: () => panner.disconnect() };
+}
@@ -0,0 +1,44 @@
+// Sustain pedal shared by every input that can hold it (keyboard, hand gesture, MIDI CC64).
+// The pedal is down while at least one holder presses it; onPedalUp fires once the last
+// holder lets go (latching the released notes is the voice allocator's job).
+// onHolderChange(holder, pressed) reports every individual press and release.
+
+export function initSustainPedal({ onPedalUp, onChange, onHolderChange } = {}) {
+  const state = {
+    holders: new Set() // 'keyboard' | 'gesture' | 'midi' | 'playback'
+  };
+
+  function press(holder) {
+    if (state.holders.has(holder)) return;
+    state.holders.add(holder);
+    onHolderChange?.(holder, true);
+    if (state.holders.size === 1) {
+      onChange?.(true);
+    }
+  }
+
+  function release(holder) {
+    if (!state.holders.delete(holder)) return;
+    onHolderChange?.(holder, false);
+    if (state.holders.size > 0) return;
+    onChange?.(false);
+    onPedalUp?.();
+  }
+
+  return {
+    press,
+    release,
+    isDown: () => state.holders.size > 0,
+    getHolders: () => [...state.holders]
+  };
+}
+
+// Fist = all four fingertips curled closer to the wrist than their knuckles
+export function isFistGesture(landmarks) {
+  if (!landmarks || landmarks.length < 21) return false;
+  const wrist = landmarks[0];
+  const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  return [[8, 5], [12, 9], [16, 13], [20, 17]].every(([tip, knuckle]) =>
+    dist(landmarks[tip], wrist) < dist(landmarks[knuckle], wrist) * 1.1
+  );
+}
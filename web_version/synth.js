@@ -0,0 +1,114 @@
+import { resolveEnvelope, applyEnvelopeStart, applyEnvelopeRelease, envelopeLevelAt } from './envelope.js';
+import { createVoiceOutput } from './stereo.js';
+
+// Sample-free synthesizer voices (oscillators -> filter -> ADSR amp), used as an
+// instrument of its own and as the fallback when sample packs can't be loaded.
+//
+// Same voice contract as the sample player in instruments.js:
+// createSynthVoice(ctx, destination, options) starts sounding immediately and returns
+// { release(fadeSeconds?), releaseTime }; release fades out and frees the nodes.
+
+export const SYNTH_PRESETS = {
+  epiano: {
+    name: 'E-Piano',
+    // ratio = multiple of the note frequency, detune in cents
+    oscillators: [
+      { type: 'sine', ratio: 1, detune: 0, gain: 0.7 },
+      { type: 'sine', ratio: 2, detune: 3, gain: 0.2 },
+      { type: 'triangle', ratio: 4, detune: -4, gain: 0.06 }
+    ],
+    filter: { type: 'lowpass', cutoff: 1800, q: 0.7, velocityAmount: 3500 },
+    envelope: { attack: 0.004, decay: 1.4, sustain: 0.2, release: 0.5 }
+  },
+  organ: {
+    name: 'Organ',
+    // Drawbar-style stack of sine harmonics
+    oscillators: [
+      { type: 'sine', ratio: 0.5, detune: 0, gain: 0.35 },
+      { type: 'sine', ratio: 1, detune: 0, gain: 0.45 },
+      { type: 'sine', ratio: 2, detune: 0, gain: 0.3 },
+      { type: 'sine', ratio: 3, detune: 0, gain: 0.15 },
+      { type: 'sine', ratio: 4, detune: 0, gain: 0.1 }
+    ],
+    filter: { type: 'lowpass', cutoff: 6000, q: 0.5, velocityAmount: 0 },
+    envelope: { attack: 0.01, decay: 0.05, sustain: 1, release: 0.08 }
+  },
+  pad: {
+    name: 'Pad',
+    oscillators: [
+      { type: 'sawtooth', ratio: 1, detune: -7, gain: 0.3 },
+      { type: 'sawtooth', ratio: 1, detune: 7, gain: 0.3 },
+      { type: 'triangle', ratio: 0.5, detune: 0, gain: 0.2 }
+    ],
+    filter: { type: 'lowpass', cutoff: 900, q: 1.2, velocityAmount: 1200 },
+    envelope: { attack: 0.6, decay: 0.8, sustain: 0.7, release: 1.6 }
+  }
+};
+
+export const DEFAULT_SYNTH_PRESET = 'epiano';
+
+// Preset by name, or an inline preset object from an instrument manifest
+export function resolveSynthPreset(preset) {
+  if (preset && typeof preset === 'object') {
+    const base = SYNTH_PRESETS[preset.base] || SYNTH_PRESETS[DEFAULT_SYNTH_PRESET];
+    return {
+      ...base,
+      ...preset,
+      filter: { ...base.filter, ...preset.filter },
+      envelope: { ...base.envelope, ...preset.envelope }
+    };
+  }
+  return SYNTH_PRESETS[preset] || SYNTH_PRESETS[DEFAULT_SYNTH_PRESET];
+}
+
+// envelope defaults to the preset's own; instruments pass theirs (with user overrides).
+// detune (cents) comes from the tuning and shifts every oscillator; pan (-1..1) places it.
+// startTime and release(fade, time) schedule ahead, e.g. when rendering offline.
+export function createSynthVoice(ctx, destination, { frequency, velocity = 100, gain = 1, preset = DEFAULT_SYNTH_PRESET, envelope = null, detune = 0, pan = 0, startTime = ctx.currentTime }) {
+  const settings = resolveSynthPreset(preset);
+  const ampEnvelope = envelope || resolveEnvelope(settings.envelope);
+  const now = startTime;
+
+  const filter = ctx.createBiquadFilter();
+  filter.type = settings.filter.type;
+  filter.Q.value = settings.filter.q;
+  // Harder strikes open the filter for a brighter tone
+  const cutoff = settings.filter.cutoff + settings.filter.velocityAmount * (velocity / 127);
+  filter.frequency.value = Math.min(cutoff, ctx.sampleRate / 2 - 100);
+
+  const amp = ctx.createGain();
+  applyEnvelopeStart(amp.gain, ampEnvelope, gain, now);
+
+  const oscillators = settings.oscillators.map(spec => {
+    const osc = ctx.createOscillator();
+    osc.type = spec.type;
+    osc.frequency.value = frequency * spec.ratio;
+    osc.detune.value = (spec.detune || 0) + detune;
+    const oscGain = ctx.createGain();
+    oscGain.gain.value = spec.gain;
+    osc.connect(oscGain).connect(filter);
+    osc.start(now);
+    return osc;
+  });
+
+  const output = createVoiceOutput(ctx, destination, pan);
+  filter.connect(amp).connect(output.input);
+
+  let released = false;
+  function releaseVoice(fadeSeconds = ampEnvelope.release, time = ctx.currentTime) {
+    if (released) return;
+    released = true;
+    const level = time > ctx.currentTime ? envelopeLevelAt(ampEnvelope, gain, time - now) : amp.gain.value;
+    const end = applyEnvelopeRelease(amp.gain, ampEnvelope, time, fadeSeconds, level);
+    oscillators.forEach(osc => osc.stop(end + 0.05));
+    oscillators[0].onended = () => {
+      amp.disconnect();
+      output.disconnect();
+    };
+  }
+
+  return {
+    release: releaseVoice,
+    releaseTime: ampEnvelope.release
+  };
+}
@@ -0,0 +1,141 @@
+// Note-level editing of recorded takes (recorder.js), behind the piano roll (pianoRoll.js).
+// A take's note on/off pairs become notes with a start and an end; edits work on those,
+// and notesToEvents() turns them back into take events. Pedal events are kept as recorded.
+//
+// Note: { id, note, midi, velocity, start, end, source, instrument } (times in ms)
+
+import { midiToNoteName } from './notes.js';
+
+export const GRID_OPTIONS = [
+  { id: '1/4', perWhole: 4 },
+  { id: '1/8', perWhole: 8 },
+  { id: '1/8T', perWhole: 12 },
+  { id: '1/16', perWhole: 16 },
+  { id: '1/16T', perWhole: 24 },
+  { id: '1/32', perWhole: 32 }
+];
+
+export const DEFAULT_QUANTIZE = { grid: '1/16', strength: 1, swing: 0, snap: true };
+export const ADDED_NOTE_SOURCE = 'edit'; // notes drawn in the editor (keyboard channel and part)
+export const MIN_NOTE_MS = 20;
+
+const HISTORY_LIMIT = 200;
+
+const holdKey = (midi, source) => `${source}|${midi}`;
+
+// Beat, bar and grid lengths in ms for a take's tempo ({ bpm, beatsPerBar, beatUnit, barOffset }),
+// and offsetMs: where the bar lines (and so the grid) start, within the first bar
+export function takeTiming(tempo, gridId = DEFAULT_QUANTIZE.grid) {
+  const bpm = tempo?.bpm || 120;
+  const beatUnit = tempo?.beatUnit || 4;
+  const beatMs = 60000 / bpm;
+  const wholeMs = beatMs * beatUnit; // the beat is a 1/beatUnit note
+  const grid = GRID_OPTIONS.find(option => option.id === gridId) || GRID_OPTIONS[3];
+  const barMs = beatMs * (tempo?.beatsPerBar || 4);
+  return {
+    beatMs,
+    barMs,
+    gridMs: wholeMs / grid.perWhole,
+    offsetMs: (tempo?.barOffset || 0) % barMs
+  };
+}
+
+export function takeToNotes(take) {
+  const notes = [];
+  const open = new Map(); // holdKey -> note still held
+  let nextId = 1;
+  take.events.forEach(event => {
+    if (event.type !== 'noteOn' && event.type !== 'noteOff') return;
+    const key = holdKey(event.midi, event.source);
+    const held = open.get(key);
+    if (held) {
+      held.end = event.time;
+      open.delete(key);
+    }
+    if (event.type === 'noteOn') {
+      const note = { id: nextId++, note: event.note, midi: event.midi, velocity: event.velocity, start: event.time, end: null, source: event.source, instrument: event.instrument ?? null };
+      notes.push(note);
+      open.set(key, note);
+    }
+  });
+  open.forEach(note => { note.end = take.duration; });
+  return notes;
+}
+
+// Notes (plus the take's pedal events) -> sorted take events. Overlapping notes of the same
+// pitch are cut where the next one starts, so every note on has its own note off.
+export function notesToEvents(notes, pedals = []) {
+  const sorted = [...notes].sort((a, b) => a.start - b.start);
+  const lastOf = new Map(); // midi -> previous note's event pair
+  const events = [];
+  sorted.forEach(note => {
+    const name = midiToNoteName(note.midi);
+    const on = { time: note.start, type: 'noteOn', note: name, midi: note.midi, velocity: note.velocity, source: note.source, instrument: note.instrument };
+    const off = { time: Math.max(note.start + MIN_NOTE_MS, note.end), type: 'noteOff', note: name, midi: note.midi, source: note.source, instrument: note.instrument };
+    const previous = lastOf.get(note.midi);
+    if (previous && previous.off.time > on.time) previous.off.time = on.time;
+    lastOf.set(note.midi, { on, off });
+    events.push(on, off);
+  });
+  const order = { noteOff: 0, pedal: 1, noteOn: 2 };
+  return [...events, ...pedals.map(event => ({ ...event }))]
+    .sort((a, b) => a.time - b.time || order[a.type] - order[b.type]);
+}
+
+// Events and duration for a take edited down to these notes
+export function applyNotes(take, notes) {
+  const pedals = take.events.filter(event => event.type === 'pedal');
+  const events = notesToEvents(notes, pedals);
+  const end = events.reduce((latest, event) => Math.max(latest, event.time), 0);
+  return { events, duration: Math.max(take.duration, end) };
+}
+
+// Nearest grid line to a time, on a grid starting at offsetMs (takeTiming); swing (0-1)
+// delays every second line, up to a triplet feel
+export function snapTime(time, gridMs, swing = 0, offsetMs = 0) {
+  const pair = gridMs * 2;
+  const base = Math.floor((time - offsetMs) / pair) * pair + offsetMs;
+  const candidates = [base, base + gridMs + (swing * gridMs) / 3, base + pair];
+  return candidates.reduce((best, candidate) => (Math.abs(candidate - time) < Math.abs(best - time) ? candidate : best));
+}
+
+// Pull note starts toward the grid by strength (0-1), keeping each note's length
+export function quantizeNotes(notes, { gridMs, offsetMs = 0, strength = 1, swing = 0, ids = null }) {
+  return notes.map(note => {
+    if (ids && !ids.has(note.id)) return note;
+    const target = snapTime(note.start, gridMs, swing, offsetMs);
+    const shift = (target - note.start) * Math.min(1, Math.max(0, strength));
+    return { ...note, start: Math.max(0, note.start + shift), end: Math.max(0, note.end + shift) };
+  });
+}
+
+// Undo/redo over snapshots of the note list
+export function createEditHistory(initial) {
+  const past = [];
+  const future = [];
+  let current = initial;
+  return {
+    current: () => current,
+    push(next) {
+      past.push(current);
+      if (past.length > HISTORY_LIMIT) past.shift();
+      future.length = 0;
+      current = next;
+      return current;
+    },
+    undo() {
+      if (past.length === 0) return null;
+      future.push(current);
+      current = past.pop();
+      return current;
+    },
+    redo() {
+      if (future.length === 0) return null;
+      past.push(current);
+      current = future.pop();
+      return current;
+    },
+    canUndo: () => past.length > 0,
+    canRedo: () => future.length > 0
+  };
+}
@@ -0,0 +1,165 @@
+// Tuning: A4 reference pitch, historical temperaments and Scala (.scl/.kbm) scales.
+// Everything is reduced to a table of per-note detune in cents relative to 12-TET at
+// A4 = 440 Hz, which the voices apply on top of the pitch they would otherwise play.
+
+import { NOTE_NAMES } from './notes.js';
+
+export const DEFAULT_TUNING = {
+  referencePitch: 440, // Hz for A4
+  temperament: 'equal', // key of TEMPERAMENTS, or 'scala' for an imported scale
+  root: 0, // pitch class (0 = C) the temperament is laid out from
+  scl: null, // { name, text } of an imported .scl file
+  kbm: null // { name, text } of an optional .kbm keyboard mapping
+};
+
+export const REFERENCE_PRESETS = [415, 432, 440, 442];
+
+// Cents of each chromatic degree above the root
+export const TEMPERAMENTS = {
+  equal: { name: 'Equal temperament', cents: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100] },
+  meantone: {
+    name: 'Quarter-comma meantone',
+    cents: [0, 76.0, 193.2, 310.3, 386.3, 503.4, 579.5, 696.6, 772.6, 889.7, 1006.8, 1082.9]
+  },
+  werckmeister3: {
+    name: 'Werckmeister III',
+    cents: [0, 90.2, 192.2, 294.1, 390.2, 498.0, 588.3, 696.1, 792.2, 888.3, 996.1, 1092.2]
+  },
+  just: {
+    name: 'Just intonation (5-limit)',
+    cents: [0, 111.7, 203.9, 315.6, 386.3, 498.0, 590.2, 702.0, 813.7, 884.4, 1017.6, 1088.3]
+  },
+  pythagorean: {
+    name: 'Pythagorean',
+    cents: [0, 90.2, 203.9, 294.1, 407.8, 498.0, 611.7, 702.0, 792.2, 905.9, 996.1, 1109.8]
+  }
+};
+
+const A4_MIDI = 69;
+
+const ratioToCents = ratio => 1200 * Math.log2(ratio);
+
+// Non-comment lines of a Scala file ('!' starts a comment)
+function scalaLines(text) {
+  return String(text)
+    .split(/\r?\n/)
+    .filter(line => !line.trimStart().startsWith('!'));
+}
+
+// One .scl pitch: "701.955" (cents, has a dot), "3/2" or "2" (ratio)
+function parseScalaPitch(line) {
+  const token = line.trim().split(/\s+/)[0];
+  if (token.includes('.')) {
+    const cents = parseFloat(token);
+    if (Number.isFinite(cents)) return cents;
+  } else {
+    const [numerator, denominator = '1'] = token.split('/');
+    const ratio = parseInt(numerator, 10) / parseInt(denominator, 10);
+    if (ratio > 0) return ratioToCents(ratio);
+  }
+  throw new Error(`Invalid pitch "${line.trim()}"`);
+}
+
+// .scl -> { description, degrees: [0, ...cents of degrees 1..n-1], period } (period usually 1200)
+export function parseScl(text) {
+  const lines = scalaLines(text);
+  if (lines.length < 2) throw new Error('Scala file is missing its header');
+  const description = lines[0].trim();
+  const count = parseInt(lines[1], 10);
+  if (!Number.isInteger(count) || count < 1) throw new Error('Scala file has an invalid note count');
+  const pitches = lines.slice(2).filter(line => line.trim() !== '').slice(0, count).map(parseScalaPitch);
+  if (pitches.length !== count) throw new Error(`Scala file lists ${pitches.length} of ${count} pitches`);
+  return {
+    description,
+    degrees: [0, ...pitches.slice(0, -1)],
+    period: pitches[pitches.length - 1]
+  };
+}
+
+// .kbm -> { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping }
+// mapping entries are scale degrees, or null for unmapped keys ('x')
+export function parseKbm(text) {
+  const values = scalaLines(text).map(line => line.trim()).filter(Boolean);
+  if (values.length < 7) throw new Error('Keyboard mapping file is missing its header');
+  const [size, firstNote, lastNote, middleNote, referenceNote] = values.slice(0, 5).map(v => parseInt(v, 10));
+  const referenceFrequency = parseFloat(values[5]);
+  const octaveDegree = parseInt(values[6], 10);
+  if ([size, firstNote, lastNote, middleNote, referenceNote, octaveDegree].some(v => !Number.isInteger(v)) || !(referenceFrequency > 0)) {
+    throw new Error('Keyboard mapping file has an invalid header');
+  }
+  const mapping = values.slice(7, 7 + size).map(v => (v.toLowerCase() === 'x' ? null : parseInt(v, 10)));
+  while (mapping.length < size) mapping.push(null); // missing entries are unmapped
+  return { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping };
+}
+
+// Scale degree played by a MIDI note under a keyboard mapping (null = unmapped)
+function degreeForNote(midi, kbm, scaleSize) {
+  const offset = midi - kbm.middleNote;
+  if (kbm.size === 0) return offset; // linear mapping: one key per degree
+  const octave = Math.floor(offset / kbm.size);
+  const entry = kbm.mapping[((offset % kbm.size) + kbm.size) % kbm.size];
+  if (entry === null || entry === undefined || Number.isNaN(entry)) return null;
+  return entry + octave * (kbm.octaveDegree || scaleSize);
+}
+
+function degreeCents(scale, degree) {
+  const n = scale.degrees.length;
+  const octave = Math.floor(degree / n);
+  return octave * scale.period + scale.degrees[((degree % n) + n) % n];
+}
+
+// Without a .kbm: degree 0 on middle C, A4 at the reference pitch, one key per degree
+function defaultKbm(referencePitch) {
+  return {
+    size: 0, firstNote: 0, lastNote: 127, middleNote: 60,
+    referenceNote: A4_MIDI, referenceFrequency: referencePitch, octaveDegree: 0, mapping: []
+  };
+}
+
+// Detune (cents vs 12-TET A440) for MIDI notes 0-127; unmapped Scala keys stay at 12-TET
+export function buildTuningTable(settings = DEFAULT_TUNING) {
+  const tuning = { ...DEFAULT_TUNING, ...settings };
+  const table = new Float32Array(128);
+  const referenceCents = ratioToCents(tuning.referencePitch / 440);
+
+  if (tuning.temperament === 'scala' && tuning.scl) {
+    const scale = parseScl(tuning.scl.text);
+    const kbm = tuning.kbm ? parseKbm(tuning.kbm.text) : defaultKbm(tuning.referencePitch);
+    const referenceDegree = degreeForNote(kbm.referenceNote, kbm, scale.degrees.length) ?? 0;
+    const referenceHz = kbm.referenceFrequency;
+    for (let midi = 0; midi < 128; midi++) {
+      const degree = degreeForNote(midi, kbm, scale.degrees.length);
+      if (degree === null || midi < kbm.firstNote || midi > kbm.lastNote) {
+        table[midi] = referenceCents;
+        continue;
+      }
+      const cents = degreeCents(scale, degree) - degreeCents(scale, referenceDegree);
+      const frequency = referenceHz * Math.pow(2, cents / 1200);
+      table[midi] = ratioToCents(frequency / 440) - (midi - A4_MIDI) * 100;
+    }
+    return table;
+  }
+
+  // Temperament laid out from the root, then shifted so A stays at the reference pitch
+  const temperament = TEMPERAMENTS[tuning.temperament] || TEMPERAMENTS.equal;
+  const deviation = pitchClass => {
+    const degree = (((pitchClass - tuning.root) % 12) + 12) % 12;
+    return temperament.cents[degree] - degree * 100;
+  };
+  const aDeviation = deviation(A4_MIDI % 12);
+  for (let midi = 0; midi < 128; midi++) {
+    table[midi] = referenceCents + deviation(midi % 12) - aDeviation;
+  }
+  return table;
+}
+
+// Short label for the sidebar, e.g. "Werckmeister III on C, A4 = 415 Hz"
+export function describeTuning(settings) {
+  const tuning = { ...DEFAULT_TUNING, ...settings };
+  if (tuning.temperament === 'scala' && tuning.scl) {
+    return `${tuning.scl.name}${tuning.kbm ? ` + ${tuning.kbm.name}` : `, A4 = ${tuning.referencePitch} Hz`}`;
+  }
+  const temperament = TEMPERAMENTS[tuning.temperament] || TEMPERAMENTS.equal;
+  const root = tuning.temperament === 'equal' ? '' : ` on ${NOTE_NAMES[tuning.root]}`;
+  return `${temperament.name}${root}, A4 = ${tuning.referencePitch} Hz`;
+}
@@ -0,0 +1,144 @@
+// Voice allocator: polyphony cap, voice stealing, re-striking and per-source ownership.
+// Every voice belongs to the input source that started it ('hand:0_1', 'key:q',
+// 'midi:0', ...), so releasing one source never cuts the same note held by another.
+//
+// Voices are reserved synchronously with noteOn() and get their audio voice later via
+// attach(), because resolving samples is async; a noteOff() that arrives in between
+// releases the voice as soon as it is attached instead of leaving it stuck.
+
+export const DEFAULT_MAX_VOICES = 32;
+const RESTRIKE_FADE_SECONDS = 0.08; // Quick damp of the old voice when a note is struck again
+const STEAL_FADE_SECONDS = 0.03; // Fade of a stolen voice (short, but long enough not to click)
+const LOUDNESS_DECAY_SECONDS = 4; // Rough piano decay used to estimate how loud a voice still is
+
+export function initVoiceAllocator({ maxVoices = DEFAULT_MAX_VOICES, isPedalDown = () => false, onChange } = {}) {
+  const state = {
+    voices: [], // { id, note, source, velocity, startTime, state: 'held' | 'sustained' | 'released', voice, endTime, fade }
+    maxVoices,
+    nextId: 1
+  };
+
+  const now = () => performance.now() / 1000;
+
+  // Estimated current loudness: velocity, decayed by age; released tails count for little
+  function loudness(entry, t) {
+    const level = (entry.velocity / 127) * Math.exp(-(t - entry.startTime) / LOUDNESS_DECAY_SECONDS);
+    if (entry.state === 'released') return level * 0.25;
+    if (entry.state === 'sustained') return level * 0.6;
+    return level;
+  }
+
+  function releaseEntry(entry, fadeSeconds = null) {
+    if (entry.state === 'released') return;
+    entry.state = 'released';
+    entry.fade = fadeSeconds;
+    if (entry.voice) {
+      const fade = fadeSeconds ?? entry.voice.releaseTime;
+      entry.voice.release(fade);
+      entry.endTime = now() + fade;
+    }
+  }
+
+  // Drop voices whose release tail has finished
+  function prune() {
+    const t = now();
+    state.voices = state.voices.filter(entry => entry.state !== 'released' || t < entry.endTime);
+  }
+
+  // Steal the quietest voice (old, soft or already releasing voices go first)
+  function stealVoice() {
+    const t = now();
+    let victim = state.voices[0];
+    state.voices.forEach(entry => {
+      if (loudness(entry, t) < loudness(victim, t)) victim = entry;
+    });
+    releaseEntry(victim, STEAL_FADE_SECONDS);
+    state.voices = state.voices.filter(entry => entry !== victim);
+  }
+
+  function noteOn(note, source, velocity) {
+    prune();
+    // Re-strike: the same source striking again, or a note only ringing through the pedal
+    state.voices
+      .filter(entry => entry.note === note && (entry.source === source || entry.state === 'sustained'))
+      .forEach(entry => releaseEntry(entry, RESTRIKE_FADE_SECONDS));
+
+    while (state.voices.length >= state.maxVoices) {
+      stealVoice();
+    }
+
+    const entry = {
+      id: state.nextId++,
+      note,
+      source,
+      velocity,
+      startTime: now(),
+      state: 'held',
+      voice: null,
+      endTime: Infinity,
+      fade: null
+    };
+    state.voices.push(entry);
+    onChange?.();
+    return entry;
+  }
+
+  // Give a reserved entry its audio voice; returns false if it was released meanwhile
+  function attach(entry, voice) {
+    entry.voice = voice;
+    if (entry.state !== 'released') return true;
+    const fade = entry.fade ?? voice.releaseTime;
+    voice.release(fade);
+    entry.endTime = now() + fade;
+    return false;
+  }
+
+  // Key up for one source: latch on the pedal, otherwise release
+  function noteOff(note, source) {
+    const pedalDown = isPedalDown();
+    state.voices
+      .filter(entry => entry.note === note && entry.source === source && entry.state === 'held')
+      .forEach(entry => {
+        if (pedalDown) {
+          entry.state = 'sustained';
+        } else {
+          releaseEntry(entry);
+        }
+      });
+    onChange?.();
+  }
+
+  function pedalUp() {
+    state.voices.filter(entry => entry.state === 'sustained').forEach(entry => releaseEntry(entry));
+    onChange?.();
+  }
+
+  // Drop a reserved entry that never got a voice (e.g. the note could not be resolved)
+  function discard(entry) {
+    state.voices = state.voices.filter(other => other !== entry);
+    onChange?.();
+  }
+
+  function setMaxVoices(count) {
+    state.maxVoices = Math.max(1, count);
+    prune();
+    while (state.voices.length > state.maxVoices) {
+      stealVoice();
+    }
+    onChange?.();
+  }
+
+  return {
+    noteOn,
+    attach,
+    noteOff,
+    pedalUp,
+    discard,
+    setMaxVoices,
+    getMaxVoices: () => state.maxVoices,
+    getActiveCount: () => {
+      prune();
+      return state.voices.length;
+    }
+  };
+}
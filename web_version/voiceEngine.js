@@ -0,0 +1,99 @@
+// Low-latency voice engine: sample voices rendered by an AudioWorklet (voiceWorklet.js)
+// instead of one BufferSource + GainNode + panner per note. Triggering a note is a
+// synchronous write into a shared-memory ring that the audio thread drains every render
+// quantum, so the detection loop never waits on the audio thread or the event loop.
+// Without cross-origin isolation (no SharedArrayBuffer) messages go through the node's
+// MessagePort instead, which is still non-blocking but is delivered by the event loop.
+//
+// Voices keep the contract of createSampleVoice: { release(fadeSeconds?), releaseTime }.
+
+import { ringBufferSupported, createRingBuffer, ringWriter } from './ringBuffer.js';
+import { encodeVoiceMessage, VOICE_NOTE_ON, VOICE_NOTE_OFF } from './voiceMessages.js';
+
+export const VOICE_WORKLET_URL = 'voiceWorklet.js';
+
+export const voiceEngineSupported = ctx => typeof AudioWorkletNode === 'function' && !!ctx?.audioWorklet;
+
+// outputs: mixer channel ids, one stereo worklet output each (connected to getChannel(id)).
+// onStarted(voiceIds, contextTime) reports when voices began rendering.
+export async function createVoiceEngine(ctx, { outputs, getChannel, onStarted, moduleUrl = VOICE_WORKLET_URL }) {
+  await ctx.audioWorklet.addModule(new URL(moduleUrl, import.meta.url).href);
+
+  const ring = ringBufferSupported() ? createRingBuffer() : null;
+  const node = new AudioWorkletNode(ctx, 'voice-engine', {
+    numberOfInputs: 0,
+    numberOfOutputs: outputs.length,
+    outputChannelCount: outputs.map(() => 2),
+    processorOptions: { ring }
+  });
+  outputs.forEach((id, index) => node.connect(getChannel(id), index));
+
+  const writer = ring ? ringWriter(ring) : null;
+  const buffers = new WeakMap(); // AudioBuffer -> { id }
+  const readyIds = new Set(); // buffer ids the audio thread has acknowledged
+  let nextBufferId = 1;
+  let nextVoiceId = 1;
+
+  node.port.onmessage = event => {
+    const message = event.data;
+    if (message.type === 'bufferReady') {
+      readyIds.add(message.id);
+    } else if (message.type === 'started') {
+      onStarted?.(message.ids, message.time);
+    }
+  };
+
+  function send(message) {
+    const record = encodeVoiceMessage(message);
+    // A full ring (hundreds of pending messages) falls back to the port rather than dropping
+    if (!writer?.push(record)) node.port.postMessage({ type: 'voice', record });
+  }
+
+  // True once the buffer's data is on the audio thread; the first call starts the copy. Copies
+  // are kept as long as the instrument manager keeps its decoded buffers (for the page's life),
+  // so each sample is sent once.
+  function prepare(buffer) {
+    let entry = buffers.get(buffer);
+    if (!entry) {
+      entry = { id: nextBufferId++ };
+      buffers.set(buffer, entry);
+      const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c).slice());
+      node.port.postMessage({ type: 'buffer', id: entry.id, channels }, channels.map(data => data.buffer));
+    }
+    return readyIds.has(entry.id);
+  }
+
+  // Start a prepared sample on a mixer channel; returns the voice and its id
+  function createVoice(output, { sample, gain = 1, pan = 0 }) {
+    const entry = buffers.get(sample.buffer);
+    const id = nextVoiceId++;
+    const envelope = sample.envelope;
+    send({
+      type: VOICE_NOTE_ON,
+      id,
+      bufferId: entry.id,
+      output: Math.max(0, outputs.indexOf(output)),
+      playbackRate: sample.playbackRate * Math.pow(2, (sample.detune || 0) / 1200),
+      gain,
+      pan,
+      envelope,
+      loopStart: sample.loopStart,
+      loopEnd: sample.loopEnd
+    });
+
+    let released = false;
+    function release(fadeSeconds = envelope.release) {
+      if (released) return;
+      released = true;
+      send({ type: VOICE_NOTE_OFF, id, fade: fadeSeconds });
+    }
+    return { id, voice: { release, releaseTime: envelope.release } };
+  }
+
+  return {
+    transport: ring ? 'shared-memory' : 'message-port',
+    prepare,
+    createVoice,
+    disconnect: () => node.disconnect()
+  };
+}
@@ -0,0 +1,49 @@
+// Messages from the main thread to the voice worklet (voiceWorklet.js), packed into the
+// fixed numeric records of ringBuffer.js. The same objects go through the node's
+// MessagePort when shared memory is unavailable.
+
+import { RECORD_SIZE } from './ringBuffer.js';
+
+export const VOICE_NOTE_ON = 1;
+export const VOICE_NOTE_OFF = 2;
+
+const CURVES = ['exponential', 'linear'];
+
+// noteOn: { type, id, bufferId, output, playbackRate, gain, pan, envelope, loopStart, loopEnd }
+// noteOff: { type, id, fade }
+export function encodeVoiceMessage(message) {
+  const record = new Float64Array(RECORD_SIZE);
+  record[0] = message.type;
+  record[1] = message.id;
+  if (message.type === VOICE_NOTE_OFF) {
+    record[2] = message.fade;
+    return record;
+  }
+  const { envelope } = message;
+  record.set([
+    message.bufferId, message.output, message.playbackRate, message.gain, message.pan,
+    envelope.attack, envelope.decay, envelope.sustain, envelope.release, CURVES.indexOf(envelope.curve),
+    message.loopStart || 0, message.loopEnd || 0
+  ], 2);
+  return record;
+}
+
+export function decodeVoiceMessage(record) {
+  const type = record[0];
+  if (type === VOICE_NOTE_OFF) return { type, id: record[1], fade: record[2] };
+  return {
+    type,
+    id: record[1],
+    bufferId: record[2],
+    output: record[3],
+    playbackRate: record[4],
+    gain: record[5],
+    pan: record[6],
+    envelope: {
+      attack: record[7], decay: record[8], sustain: record[9], release: record[10],
+      curve: CURVES[record[11]] || CURVES[0]
+    },
+    loopStart: record[12],
+    loopEnd: record[13]
+  };
+}
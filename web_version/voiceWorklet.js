@@ -0,0 +1,171 @@
+// AudioWorklet processor that plays sample voices on the audio thread (see voiceEngine.js).
+// Decoded sample data is sent once per buffer over the port; note on/off messages arrive
+// through the shared-memory ring (ringBuffer.js) or, without it, the port, and take effect
+// at the start of the next render quantum. Each output is one stereo mixer channel.
+//
+// The envelope and panning follow createSampleVoice (instruments.js), so a note sounds the
+// same whichever path played it.
+
+import { ringReader } from './ringBuffer.js';
+import { decodeVoiceMessage, VOICE_NOTE_ON, VOICE_NOTE_OFF } from './voiceMessages.js';
+
+const TIME_CONSTANTS_PER_SEGMENT = 5; // matches envelope.js
+const MIN_TIME = 0.001;
+
+const approach = seconds => 1 - Math.exp(-TIME_CONSTANTS_PER_SEGMENT / (Math.max(MIN_TIME, seconds) * sampleRate));
+
+// StereoPannerNode gains for a mono or stereo input; none when centred (createVoiceOutput
+// skips the panner then too)
+function panGains(value, stereo) {
+  const pan = Math.max(-1, Math.min(1, value));
+  if (!pan) return null;
+  if (!stereo) {
+    const angle = ((pan + 1) / 2) * (Math.PI / 2);
+    return { ll: Math.cos(angle), rr: Math.sin(angle), mono: true };
+  }
+  const angle = ((pan <= 0 ? pan + 1 : pan) * Math.PI) / 2;
+  return pan <= 0
+    ? { ll: 1, rl: Math.cos(angle), lr: 0, rr: Math.sin(angle) }
+    : { ll: Math.cos(angle), rl: 0, lr: Math.sin(angle), rr: 1 };
+}
+
+class VoiceEngineProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.buffers = new Map(); // id -> { channels: Float32Array[], length }
+    this.voices = [];
+    this.started = [];
+    const ring = options.processorOptions?.ring;
+    this.ring = ring ? ringReader(ring) : null;
+    this.port.onmessage = event => this.receive(event.data);
+  }
+
+  receive(message) {
+    if (message.type === 'buffer') {
+      this.buffers.set(message.id, { channels: message.channels, length: message.channels[0].length });
+      this.port.postMessage({ type: 'bufferReady', id: message.id });
+    } else if (message.type === 'voice') {
+      this.handle(decodeVoiceMessage(message.record));
+    }
+  }
+
+  handle(message) {
+    if (message.type === VOICE_NOTE_ON) {
+      const buffer = this.buffers.get(message.bufferId);
+      if (!buffer) return;
+      const { envelope } = message;
+      const stereo = buffer.channels.length > 1;
+      this.voices.push({
+        id: message.id,
+        buffer,
+        output: message.output,
+        position: 0,
+        step: message.playbackRate,
+        loopStart: message.loopStart * sampleRate,
+        loopEnd: message.loopEnd * sampleRate,
+        pan: panGains(message.pan, stereo),
+        stereo,
+        envelope,
+        peak: message.gain,
+        sustainLevel: message.gain * envelope.sustain,
+        level: 0,
+        stage: 'attack',
+        attackStep: message.gain / (Math.max(MIN_TIME, envelope.attack) * sampleRate),
+        decayCoeff: approach(envelope.decay),
+        decayStep: (message.gain * (1 - envelope.sustain)) / (Math.max(MIN_TIME, envelope.decay) * sampleRate),
+        releaseFrames: 0
+      });
+      this.started.push(message.id);
+    } else if (message.type === VOICE_NOTE_OFF) {
+      const voice = this.voices.find(v => v.id === message.id && v.stage !== 'release');
+      if (!voice) return;
+      const frames = Math.max(MIN_TIME, message.fade) * sampleRate;
+      voice.stage = 'release';
+      voice.releaseFrames = frames;
+      voice.releaseStep = voice.level / frames;
+      voice.releaseCoeff = approach(message.fade);
+    }
+  }
+
+  // Next envelope level; false once the voice has finished releasing
+  advanceEnvelope(voice) {
+    const { envelope } = voice;
+    switch (voice.stage) {
+      case 'attack':
+        voice.level += voice.attackStep;
+        if (voice.level >= voice.peak) {
+          voice.level = voice.peak;
+          voice.stage = envelope.sustain >= 1 || envelope.decay <= 0 ? 'sustain' : 'decay';
+          if (voice.stage === 'sustain') voice.level = voice.sustainLevel;
+        }
+        break;
+      case 'decay':
+        if (envelope.curve === 'linear') {
+          voice.level = Math.max(voice.sustainLevel, voice.level - voice.decayStep);
+          if (voice.level === voice.sustainLevel) voice.stage = 'sustain';
+        } else {
+          voice.level += (voice.sustainLevel - voice.level) * voice.decayCoeff;
+        }
+        break;
+      case 'release':
+        if (--voice.releaseFrames <= 0) return false;
+        voice.level = envelope.curve === 'linear'
+          ? Math.max(0, voice.level - voice.releaseStep)
+          : voice.level * (1 - voice.releaseCoeff);
+        break;
+      default:
+        break;
+    }
+    return true;
+  }
+
+  // Mix one voice into its output; false when it has ended
+  render(voice, output) {
+    const [left, right = left] = output;
+    const { channels, length } = voice.buffer;
+    const sourceLeft = channels[0];
+    const sourceRight = channels[1] || channels[0];
+    const looping = voice.loopEnd > voice.loopStart;
+    const pan = voice.pan;
+    for (let i = 0; i < left.length; i++) {
+      if (looping && voice.position >= voice.loopEnd) {
+        voice.position -= voice.loopEnd - voice.loopStart;
+      }
+      const index = Math.floor(voice.position);
+      if (index + 1 >= length) return false;
+      const fraction = voice.position - index;
+      const l = sourceLeft[index] + (sourceLeft[index + 1] - sourceLeft[index]) * fraction;
+      const r = voice.stereo ? sourceRight[index] + (sourceRight[index + 1] - sourceRight[index]) * fraction : l;
+      if (!this.advanceEnvelope(voice)) return false;
+      const level = voice.level;
+      if (!pan) {
+        left[i] += l * level;
+        right[i] += r * level;
+      } else if (pan.mono) {
+        left[i] += l * pan.ll * level;
+        right[i] += l * pan.rr * level;
+      } else {
+        left[i] += (l * pan.ll + r * pan.rl) * level;
+        right[i] += (l * pan.lr + r * pan.rr) * level;
+      }
+      voice.position += voice.step;
+    }
+    return true;
+  }
+
+  process(inputs, outputs) {
+    this.ring?.drain(record => this.handle(decodeVoiceMessage(record)));
+    if (this.started.length > 0) {
+      // currentTime is when this quantum starts playing into the graph
+      this.port.postMessage({ type: 'started', ids: this.started, time: currentTime });
+      this.started = [];
+    }
+    this.voices = this.voices.filter(voice => {
+      const output = outputs[voice.output];
+      return output && output.length > 0 && this.render(voice, output);
+    });
+    return true;
+  }
+}
+
+registerProcessor('voice-engine', VoiceEngineProcessor);